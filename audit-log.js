@@ -0,0 +1,172 @@
+// Append-only audit trail of staff access to client data
+//
+// auditEvent() is route middleware: it records one row in audit_events once
+// the response has gone out, whether the request succeeded or was refused.
+// Handlers can add to the event through res.locals.audit:
+//   res.locals.audit = { recordCount, details, targetEmail }
+// Rows are never updated or deleted (database.js guards the table with a
+// trigger where the database supports it).
+
+const MAX_PAGE_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+    'id', 'created_at', 'actor_email', 'actor_role', 'action', 'target_email',
+    'ip', 'method', 'path', 'status_code', 'record_count', 'details'
+];
+
+async function recordEvent(db, event) {
+    await db.run(`
+        INSERT INTO audit_events (
+            actor_email, actor_role, action, target_email, ip, method, path,
+            status_code, record_count, details
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+        event.actorEmail || null,
+        event.actorRole || null,
+        event.action,
+        event.targetEmail || null,
+        event.ip || null,
+        event.method || null,
+        event.path || null,
+        event.statusCode || null,
+        Number.isInteger(event.recordCount) ? event.recordCount : null,
+        event.details ? JSON.stringify(event.details) : null
+    ]);
+}
+
+// action: a string, or a function of req for routes whose action depends on
+// the request (e.g. a view vs. a CSV export).
+// options.target(req): the client the request is about; defaults to the
+// :email route parameter or body.email.
+// options.skip(req): true for requests that are not recorded, on routes
+// clients use too.
+function auditEvent(db, action, options = {}) {
+    const getTarget = options.target || (req => req.params.email || (req.body && req.body.email));
+
+    return (req, res, next) => {
+        res.on('finish', () => {
+            if (options.skip && options.skip(req)) {
+                return;
+            }
+            const extra = res.locals.audit || {};
+            const user = req.currentUser;
+            recordEvent(db, {
+                actorEmail: user && user.email,
+                actorRole: user && user.role,
+                action: typeof action === 'function' ? action(req) : action,
+                targetEmail: extra.targetEmail || getTarget(req),
+                ip: req.ip,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                statusCode: res.statusCode,
+                recordCount: extra.recordCount,
+                details: extra.details
+            }).catch(error => console.error(`Error writing audit event ${req.method} ${req.originalUrl}:`, error));
+        });
+        next();
+    };
+}
+
+// filters: { actor, action, target, from, to, limit, offset }; from/to are
+// dates (YYYY-MM-DD, inclusive) or ISO timestamps
+function buildFilter(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.actor) {
+        params.push(filters.actor.toLowerCase());
+        conditions.push(`LOWER(actor_email) = $${params.length}`);
+    }
+    if (filters.action) {
+        params.push(filters.action);
+        conditions.push(`action = $${params.length}`);
+    }
+    if (filters.target) {
+        params.push(filters.target.toLowerCase());
+        conditions.push(`LOWER(target_email) = $${params.length}`);
+    }
+    if (filters.from) {
+        params.push(new Date(filters.from));
+        conditions.push(`created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+        const to = new Date(filters.to);
+        // A plain date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+            to.setUTCDate(to.getUTCDate() + 1);
+        }
+        params.push(to);
+        conditions.push(`created_at < $${params.length}`);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// Error message for filter values that are not valid dates, or null
+function getFilterError(filters) {
+    for (const key of ['from', 'to']) {
+        if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+            return `Invalid ${key} date: ${filters[key]}`;
+        }
+    }
+    return null;
+}
+
+// Newest first. Returns { events, total }.
+async function listEvents(db, filters = {}) {
+    const { where, params } = buildFilter(filters);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const count = await db.get(`SELECT COUNT(*) AS total FROM audit_events ${where}`, params);
+    const events = await db.all(
+        `SELECT * FROM audit_events ${where} ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+        params
+    );
+
+    return { events: events.map(formatEvent), total: Number(count.total) };
+}
+
+// Every matching event, oldest first, for export
+async function exportEvents(db, filters = {}) {
+    const { where, params } = buildFilter(filters);
+    const events = await db.all(`SELECT * FROM audit_events ${where} ORDER BY created_at, id`, params);
+    return events.map(formatEvent);
+}
+
+function formatEvent(row) {
+    return {
+        ...row,
+        details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+    };
+}
+
+function toCSV(events) {
+    const escape = value => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = value instanceof Date ? value.toISOString()
+            : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [EXPORT_COLUMNS.join(',')];
+    events.forEach(event => {
+        lines.push(EXPORT_COLUMNS.map(column => escape(event[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    recordEvent,
+    auditEvent,
+    getFilterError,
+    listEvents,
+    exportEvents,
+    toCSV
+};
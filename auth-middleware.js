@@ -0,0 +1,140 @@
+// Who is making a request, and what they may reach
+//
+// createAuth({ db, jwtSecret }) returns the middleware every route module
+// uses. Identity comes from a verified JWT (Authorization: Bearer) or the
+// server-side session; page links rely on the session cookie, since a JWT in
+// the URL would end up in history, logs and Referer headers. Emails sent in
+// the query string or body are never used as identity.
+const jwt = require('jsonwebtoken');
+const tokenStore = require('./token-store');
+const staffRoles = require('./staff-roles');
+const auditLog = require('./audit-log');
+const users = require('./repositories/users');
+
+// API routes answer 401/403 with JSON; pages send the browser to sign in
+function denyAccess(req, res, status, error) {
+    if (req.path.startsWith('/api/')) {
+        return res.status(status).json({ success: false, error });
+    }
+    res.redirect('/account');
+}
+
+function createAuth({ db, jwtSecret }) {
+    // Sets req.user to the claims of a valid, unrevoked JWT; never rejects
+    async function verifyJWT(req, res, next) {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+
+        if (!token) {
+            return next();
+        }
+
+        try {
+            const decoded = jwt.verify(token, jwtSecret);
+
+            // Logged out, or all of the user's sessions were logged out
+            if (await tokenStore.isRevoked(db, token, decoded)) {
+                console.log('JWT token has been revoked');
+                return next();
+            }
+
+            req.user = decoded;
+            next();
+        } catch (error) {
+            console.error('JWT verification failed:', error.message);
+            next();
+        }
+    }
+
+    // Issue a JWT for a user (claims: email, paid, packageType)
+    function createUserToken(claims) {
+        return tokenStore.signUserToken(db, jwtSecret, claims);
+    }
+
+    // The signed-in user, from req.user (see verifyJWT) or the session, with
+    // their current row from the database
+    async function getAuthenticatedUser(req) {
+        const email = req.user?.email || req.session.user?.email;
+        if (!email) {
+            return null;
+        }
+
+        const user = await users.findByEmail(db, email);
+        if (!user) {
+            return null;
+        }
+
+        // Sessions started before "log out on all devices" end with it as well
+        if (!req.user && Number(req.session.user.tokenVersion || 0) < Number(user.token_version || 0)) {
+            return null;
+        }
+
+        return {
+            email: user.email,
+            paid: user.paid === true,
+            packageType: user.package_type || 'full',
+            installmentsOutstanding: user.installments_outstanding === true,
+            emailVerified: user.email_verified === true,
+            role: staffRoles.isStaffRole(user.role) ? user.role : null
+        };
+    }
+
+    // Require a signed-in user; sets req.currentUser
+    function requireUser(req, res, next) {
+        verifyJWT(req, res, async () => {
+            try {
+                const user = await getAuthenticatedUser(req);
+                if (!user) {
+                    return denyAccess(req, res, 401, 'Authentication required');
+                }
+                req.currentUser = user;
+                next();
+            } catch (error) {
+                console.error('Error authenticating request:', error);
+                res.status(500).json({ success: false, error: 'Internal server error' });
+            }
+        });
+    }
+
+    // Require a signed-in user who has paid. Clients paying in installments
+    // qualify from the first installment: the surveys are inputs, and only the
+    // forms and letter drafts wait for the last one (see the admin routes).
+    function requirePaidUser(req, res, next) {
+        requireUser(req, res, () => {
+            if (!req.currentUser.paid) {
+                return denyAccess(req, res, 403, 'Payment required');
+            }
+            next();
+        });
+    }
+
+    // Require a signed-in staff member whose role grants permission (see staff-roles.js)
+    function requireStaff(permission) {
+        return (req, res, next) => {
+            requireUser(req, res, () => {
+                if (!staffRoles.hasPermission(req.currentUser.role, permission)) {
+                    console.log(`Staff access denied for ${req.currentUser.email} (${permission})`);
+                    return denyAccess(req, res, 403, 'Your account does not have access to this');
+                }
+                next();
+            });
+        };
+    }
+
+    // Record the request in the audit trail (see audit-log.js). Goes before
+    // requireStaff so refused attempts are recorded too.
+    function audited(action, options) {
+        return auditLog.auditEvent(db, action, options);
+    }
+
+    return {
+        verifyJWT,
+        createUserToken,
+        getAuthenticatedUser,
+        requireUser,
+        requirePaidUser,
+        requireStaff,
+        audited
+    };
+}
+
+module.exports = { createAuth };
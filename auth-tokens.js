@@ -0,0 +1,77 @@
+// Expiring single-use tokens for email verification, password reset and
+// confirming destructive admin operations
+//
+// The raw token only ever leaves the server inside the emailed link (or the
+// response to the admin who asked for confirmation); the auth_tokens table
+// stores its SHA-256 hash. Consuming a token marks it used
+// in the same statement that checks it, so a link works exactly once.
+const crypto = require('crypto');
+
+const TOKEN_PURPOSES = {
+    email_verification: { ttlMs: 24 * 60 * 60 * 1000 },
+    password_reset: { ttlMs: 60 * 60 * 1000 },
+    clean_database: { ttlMs: 5 * 60 * 1000 }
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getPurpose(purpose) {
+    const definition = TOKEN_PURPOSES[purpose];
+    if (!definition) {
+        throw new Error(`Unknown token purpose: ${purpose}`);
+    }
+    return definition;
+}
+
+// Issue a new token; earlier unused tokens for the same purpose stop working
+async function createToken(db, userEmail, purpose) {
+    const { ttlMs } = getPurpose(purpose);
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    await db.run(
+        'UPDATE auth_tokens SET used_at = $1 WHERE user_email = $2 AND purpose = $3 AND used_at IS NULL',
+        [new Date(), userEmail, purpose]
+    );
+    await db.run(
+        'INSERT INTO auth_tokens (token_hash, user_email, purpose, expires_at) VALUES ($1, $2, $3, $4)',
+        [hashToken(token), userEmail, purpose, expiresAt]
+    );
+
+    return { token, expiresAt };
+}
+
+// Use up a token. Returns the user email, or null if the token is unknown,
+// expired, already used or issued for another purpose.
+async function consumeToken(db, token, purpose) {
+    getPurpose(purpose);
+    if (!token) {
+        return null;
+    }
+    const now = new Date();
+    const row = await db.get(
+        `UPDATE auth_tokens SET used_at = $1
+         WHERE token_hash = $2 AND purpose = $3 AND used_at IS NULL AND expires_at > $1
+         RETURNING user_email`,
+        [now, hashToken(token), purpose]
+    );
+    return row ? row.user_email : null;
+}
+
+// Drop tokens that can no longer be used
+async function pruneTokens(db) {
+    const result = await db.run(
+        'DELETE FROM auth_tokens WHERE expires_at < $1 OR used_at IS NOT NULL',
+        [new Date()]
+    );
+    return result.changes;
+}
+
+module.exports = {
+    TOKEN_PURPOSES,
+    createToken,
+    consumeToken,
+    pruneTokens
+};
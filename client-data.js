@@ -0,0 +1,154 @@
+// A client's account, current survey revisions and payments, as the data
+// management page views and exports them (JSON or CSV, one client or many)
+const surveyMappings = require('./survey-mappings');
+const surveyRevisions = require('./survey-revisions');
+const users = require('./repositories/users');
+const payments = require('./repositories/payments');
+
+// Second survey row for exports, interpreted against the mapping that produced it
+function formatSecondSurvey(secondSurvey) {
+    if (!secondSurvey) {
+        return null;
+    }
+
+    const submission = surveyMappings.describeSubmission(secondSurvey);
+    const { unmapped } = surveyMappings.interpretResponses(secondSurvey.responses, submission.survey_variant);
+
+    return {
+        id: secondSurvey.id,
+        revision: secondSurvey.revision,
+        survey_variant: submission.survey_variant,
+        mapping_version: submission.mapping_version,
+        variant_inferred: submission.variant_inferred,
+        responses: secondSurvey.responses,
+        unmapped_fields: unmapped.map(field => field.key),
+        created_at: secondSurvey.created_at
+    };
+}
+
+// Question text for a second survey answer, looked up in the submission's mapping
+function secondSurveyQuestion(secondSurvey, questionId) {
+    const mapping = surveyMappings.getMapping(secondSurvey.survey_variant || 'full');
+    return mapping[questionId] || 'response';
+}
+
+// { user, first_survey, second_survey, payments }, or null for an unknown email
+async function loadClientData(db, email) {
+    const user = await users.findByEmail(db, email);
+    if (!user) {
+        return null;
+    }
+
+    const firstSurvey = await surveyRevisions.getCurrentRevision(db, 'first', email);
+    const secondSurvey = await surveyRevisions.getCurrentRevision(db, 'second', email);
+
+    return {
+        user: {
+            email: user.email,
+            paid: user.paid,
+            package_type: user.package_type,
+            created_at: user.created_at
+        },
+        first_survey: firstSurvey ? {
+            id: firstSurvey.id,
+            revision: firstSurvey.revision,
+            responses: firstSurvey.responses,
+            created_at: firstSurvey.created_at
+        } : null,
+        second_survey: formatSecondSurvey(secondSurvey),
+        payments: await payments.listForUser(db, email)
+    };
+}
+
+// Records loadClientData found: each current survey and each payment
+function countRecords(clientData) {
+    return (clientData.first_survey ? 1 : 0) + (clientData.second_survey ? 1 : 0) + clientData.payments.length;
+}
+
+function parseResponses(responses) {
+    return typeof responses === 'string' ? JSON.parse(responses) : responses;
+}
+
+function formatResponse(response) {
+    return Array.isArray(response) ? response.join('; ') : String(response);
+}
+
+// [Field, Value, Survey_Type, Question_ID, Response] rows for one client
+function toRows(clientData) {
+    const rows = [];
+
+    // User info
+    rows.push(['user', 'email', '', '', clientData.user.email]);
+    rows.push(['user', 'paid', '', '', clientData.user.paid]);
+    rows.push(['user', 'package_type', '', '', clientData.user.package_type]);
+    rows.push(['user', 'created_at', '', '', clientData.user.created_at]);
+    if (clientData.first_survey) {
+        rows.push(['user', 'first_survey_revision', '', '', clientData.first_survey.revision]);
+    }
+    if (clientData.second_survey) {
+        rows.push(['user', 'second_survey_revision', '', '', clientData.second_survey.revision]);
+        rows.push(['user', 'second_survey_variant', '', '', clientData.second_survey.survey_variant]);
+        rows.push(['user', 'second_survey_mapping_version', '', '', clientData.second_survey.mapping_version]);
+    }
+
+    // First survey responses
+    if (clientData.first_survey && clientData.first_survey.responses) {
+        Object.entries(parseResponses(clientData.first_survey.responses)).forEach(([questionId, response]) => {
+            rows.push(['first_survey', 'response', 'first', questionId, formatResponse(response)]);
+        });
+    }
+
+    // Second survey responses
+    if (clientData.second_survey && clientData.second_survey.responses) {
+        Object.entries(parseResponses(clientData.second_survey.responses)).forEach(([questionId, response]) => {
+            rows.push([
+                'second_survey',
+                secondSurveyQuestion(clientData.second_survey, questionId),
+                'second',
+                questionId,
+                formatResponse(response)
+            ]);
+        });
+    }
+
+    // Payment info
+    clientData.payments.forEach((payment, index) => {
+        rows.push(['payment', 'amount_dollars', '', `payment_${index}`, payment.amount_dollars]);
+        rows.push(['payment', 'package_type', '', `payment_${index}`, payment.package_type]);
+        rows.push(['payment', 'payment_method', '', `payment_${index}`, payment.payment_method]);
+        rows.push(['payment', 'status', '', `payment_${index}`, payment.status]);
+        rows.push(['payment', 'created_at', '', `payment_${index}`, payment.created_at]);
+    });
+
+    return rows;
+}
+
+function formatCSV(rows) {
+    return rows.map(row =>
+        row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')
+    ).join('\n');
+}
+
+function toCSV(clientData) {
+    return formatCSV([
+        ['Field', 'Value', 'Survey_Type', 'Question_ID', 'Response'],
+        ...toRows(clientData)
+    ]);
+}
+
+// Several clients in one file, each row starting with the client's email
+function toBulkCSV(clientDataList) {
+    return formatCSV([
+        ['User_Email', 'Field', 'Value', 'Survey_Type', 'Question_ID', 'Response'],
+        ...clientDataList.flatMap(clientData => toRows(clientData).map(row => [clientData.user.email, ...row]))
+    ]);
+}
+
+module.exports = {
+    formatSecondSurvey,
+    secondSurveyQuestion,
+    loadClientData,
+    countRecords,
+    toCSV,
+    toBulkCSV
+};
@@ -0,0 +1,52 @@
+// Wiping every client's data from a development or staging database, shared
+// by /api/clean-database (routes/maintenance.js) and `node db-manager.js clean`
+
+// Children before the tables they reference. audit_events is kept so the
+// trail records the clean itself; first_survey_fields only describes the form.
+const CLEANED_TABLES = [
+    'second_survey_responses',
+    'first_survey_responses',
+    'survey_responses',     // answers stored before the survey was split in two
+    'survey_drafts',
+    'invoices',
+    'payments',
+    'stripe_events',
+    'payment_plans',
+    'coupon_reservations',
+    'coupons',
+    'auth_tokens',          // verification / password reset tokens
+    'revoked_tokens',       // JWT revocations
+    'users',
+    'evaluation_responses'
+];
+
+// Read at call time so the check cannot be bypassed by a stale config
+function isProductionDatabase() {
+    return process.env.NODE_ENV === 'production';
+}
+
+// Delete every row of CLEANED_TABLES, in one transaction when db has
+// transaction(fn) (db-manager.js); the first error stops the clean and is
+// thrown. Returns the number of rows deleted per table.
+async function cleanDatabase(db) {
+    if (isProductionDatabase()) {
+        throw new Error('Cleaning the database is disabled in production');
+    }
+
+    const deleteAll = async (target) => {
+        const deleted = {};
+        for (const table of CLEANED_TABLES) {
+            const result = await target.run(`DELETE FROM ${table}`);
+            deleted[table] = result.changes;
+            console.log(`✓ Cleared ${table} (${result.changes} records deleted)`);
+        }
+        return deleted;
+    };
+    return db.transaction ? db.transaction(deleteAll) : deleteAll(db);
+}
+
+module.exports = {
+    CLEANED_TABLES,
+    isProductionDatabase,
+    cleanDatabase
+};
@@ -1,17 +1,38 @@
-// Database configuration for Vercel + Neon PostgreSQL
-const { sql } = require('@vercel/postgres');
+// Database access for the server: Vercel + Neon PostgreSQL by default, or
+// another driver from db-drivers.js (DB_DRIVER)
+const dbDrivers = require('./db-drivers');
+const migrator = require('./migrator');
 
 // Database helper functions
 class Database {
     constructor() {
         this.isProduction = process.env.NODE_ENV === 'production';
+        this.initialized = null;
+        this.driver = null;
+    }
+
+    // Use the named driver (see db-drivers.js) instead of DB_DRIVER. Must be
+    // called before the first query.
+    useDriver(name) {
+        if (this.driver && this.driver.name !== name) {
+            throw new Error(`Database is already using the ${this.driver.name} driver`);
+        }
+        this.getDriver(name);
+    }
+
+    getDriver(name = process.env.DB_DRIVER || 'vercel') {
+        if (!this.driver) {
+            this.driver = dbDrivers.createDriver(name);
+            console.log(`Database driver: ${this.driver.name}`);
+        }
+        return this.driver;
     }
 
     // Execute SQL query
     async query(text, params = []) {
         try {
             console.log('Executing query:', text.substring(0, 100) + '...');
-            const result = await sql.query(text, params);
+            const result = await this.getDriver().query(text, params);
             console.log('Query executed successfully');
             return result;
         } catch (error) {
@@ -43,127 +64,21 @@ class Database {
         };
     }
 
-    // Initialize database tables
-    async initDatabase() {
-        console.log('Initializing database tables...');
-        
-        try {
-            // Create users table
-            await this.query(`
-                CREATE TABLE IF NOT EXISTS users (
-                    id SERIAL PRIMARY KEY,
-                    email TEXT UNIQUE NOT NULL,
-                    password_hash TEXT NOT NULL,
-                    paid BOOLEAN DEFAULT FALSE,
-                    package_type TEXT DEFAULT 'full',
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Create survey_responses table
-            await this.query(`
-                CREATE TABLE IF NOT EXISTS survey_responses (
-                    id TEXT PRIMARY KEY,
-                    user_email TEXT NOT NULL,
-                    responses JSONB NOT NULL,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_email) REFERENCES users (email)
-                )
-            `);
-
-            // Create first_survey_responses table
-            await this.query(`
-                CREATE TABLE IF NOT EXISTS first_survey_responses (
-                    id TEXT PRIMARY KEY,
-                    user_email TEXT NOT NULL,
-                    responses JSONB NOT NULL,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_email) REFERENCES users (email)
-                )
-            `);
-
-            // Create first_survey_fields table
-            await this.query(`
-                CREATE TABLE IF NOT EXISTS first_survey_fields (
-                    id SERIAL PRIMARY KEY,
-                    field_name TEXT NOT NULL,
-                    field_type TEXT NOT NULL,
-                    field_label TEXT NOT NULL,
-                    is_required BOOLEAN DEFAULT FALSE,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Create payments table
-            await this.query(`
-                CREATE TABLE IF NOT EXISTS payments (
-                    id SERIAL PRIMARY KEY,
-                    user_email TEXT NOT NULL,
-                    stripe_session_id TEXT UNIQUE NOT NULL,
-                    amount_cents INTEGER NOT NULL,
-                    amount_dollars REAL NOT NULL,
-                    package_type TEXT NOT NULL,
-                    payment_type TEXT NOT NULL,
-                    payment_method TEXT DEFAULT 'card',
-                    base_price_cents INTEGER DEFAULT 0,
-                    processing_fee_cents INTEGER DEFAULT 0,
-                    status TEXT DEFAULT 'completed',
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_email) REFERENCES users (email)
-                )
-            `);
-
-            // Create evaluation_responses table
-            await this.query(`
-                CREATE TABLE IF NOT EXISTS evaluation_responses (
-                    id SERIAL PRIMARY KEY,
-                    email TEXT NOT NULL,
-                    name TEXT NOT NULL,
-                    education TEXT NOT NULL,
-                    publications INTEGER NOT NULL,
-                    citations INTEGER NOT NULL,
-                    research_field TEXT NOT NULL,
-                    work_experience INTEGER NOT NULL,
-                    current_position TEXT NOT NULL,
-                    awards TEXT NOT NULL,
-                    grants TEXT NOT NULL,
-                    patents TEXT NOT NULL,
-                    research_description TEXT,
-                    timeline TEXT,
-                    evaluation_score INTEGER,
-                    evaluation_recommendations TEXT,
-                    status TEXT DEFAULT 'pending',
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Check if payments table has new columns, if not add them
-            try {
-                await this.query(`
-                    ALTER TABLE payments 
-                    ADD COLUMN IF NOT EXISTS payment_method TEXT DEFAULT 'card'
-                `);
-                
-                await this.query(`
-                    ALTER TABLE payments 
-                    ADD COLUMN IF NOT EXISTS base_price_cents INTEGER DEFAULT 0
-                `);
-                
-                await this.query(`
-                    ALTER TABLE payments 
-                    ADD COLUMN IF NOT EXISTS processing_fee_cents INTEGER DEFAULT 0
-                `);
-                
-                console.log('Payment table schema updated successfully');
-            } catch (migrationError) {
-                console.log('Payment table schema already up to date or migration failed:', migrationError.message);
-            }
-
-            console.log('Database tables initialized successfully');
-        } catch (error) {
-            console.error('Error initializing database:', error);
-            throw error;
+    // Bring the schema up to date by applying pending migrations (see
+    // migrator.js). Runs once per process; on an up-to-date database it only
+    // reads schema_migrations.
+    initDatabase() {
+        if (!this.initialized) {
+            console.log('Initializing database tables...');
+            this.initialized = migrator.migrate(this).then(applied => {
+                console.log(`Database schema up to date (${applied.length} migrations applied)`);
+            }).catch(error => {
+                console.error('Error initializing database:', error);
+                this.initialized = null;
+                throw error;
+            });
         }
+        return this.initialized;
     }
 }
 
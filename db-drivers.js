@@ -0,0 +1,87 @@
+// Database drivers behind database.js' query/get/all/run and db-manager.js
+//
+// Every driver speaks the Postgres dialect, so the $1-style parameters, JSONB
+// columns (read back as objects) and the migrations in migrations/ work
+// unchanged on all of them:
+//
+//   vercel    @vercel/postgres, connecting to POSTGRES_URL (Neon). The server's
+//             default.
+//   postgres  node-postgres (pg), connecting to POSTGRES_URL or DATABASE_URL.
+//             Any Postgres server, including one on localhost; db-manager.js'
+//             default.
+//   memory    An in-memory Postgres (pg-mem, a dev dependency) inside the
+//             process. Needs no database server; the data is gone when the
+//             process exits. For development and the tests.
+//
+// Select one with DB_DRIVER (or DB_DRIVER in config.js for the server).
+//
+// A driver is { name, query(text, params), connect(), end() }: query returns
+// pg's { rows, rowCount }, and connect() a client with query() and release()
+// for statements that must share a connection (transactions).
+const DRIVERS = {
+    vercel: createVercelDriver,
+    postgres: createPostgresDriver,
+    memory: createMemoryDriver
+};
+
+function createVercelDriver() {
+    const { sql } = require('@vercel/postgres');
+    return {
+        name: 'vercel',
+        query: (text, params) => sql.query(text, params),
+        connect: () => sql.connect(),
+        end: () => sql.end()
+    };
+}
+
+function createPostgresDriver(options) {
+    const connectionString = options.connectionString || process.env.POSTGRES_URL || process.env.DATABASE_URL;
+    if (!connectionString) {
+        throw new Error('The postgres database driver needs POSTGRES_URL or DATABASE_URL');
+    }
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString });
+    return {
+        name: 'postgres',
+        query: (text, params) => pool.query(text, params),
+        connect: () => pool.connect(),
+        end: () => pool.end()
+    };
+}
+
+// pg-mem has no PL/pgSQL, so audit_events' append-only trigger is not created
+// (migrations/005_staff_audit.js carries on without it). BEGIN/ROLLBACK are
+// accepted but do not undo anything.
+function createMemoryDriver() {
+    let newDb;
+    try {
+        ({ newDb } = require('pg-mem'));
+    } catch (error) {
+        throw new Error('The memory database driver needs pg-mem: run npm install (it is a dev dependency)');
+    }
+    // Without the coverage check pg-mem accepts statements it only partly
+    // understands, such as the repeated IF NOT EXISTS in migrations
+    const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+    const pool = new Pool();
+    return {
+        name: 'memory',
+        query: (text, params) => pool.query(text, params),
+        connect: () => pool.connect(),
+        end: () => pool.end()
+    };
+}
+
+// name: a key of DRIVERS. options.connectionString overrides the environment
+// for the postgres driver.
+function createDriver(name, options = {}) {
+    const create = DRIVERS[name];
+    if (!create) {
+        throw new Error(`Unknown database driver "${name}" (expected ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    return create(options);
+}
+
+module.exports = {
+    DRIVER_NAMES: Object.keys(DRIVERS),
+    createDriver
+};
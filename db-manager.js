@@ -1,23 +1,33 @@
 #!/usr/bin/env node
 
-const { Pool } = require('pg');
+const readline = require('readline');
+const dbDrivers = require('./db-drivers');
+const databaseCleaner = require('./database-cleaner');
+const staffRoles = require('./staff-roles');
+const migrator = require('./migrator');
 require('dotenv').config();
 
-// Get PostgreSQL connection string from environment variable
-const connectionString = process.env.POSTGRES_URL || 'YOUR_CONNECTION_STRING_HERE';
+// node-postgres on POSTGRES_URL unless DB_DRIVER names another driver (see
+// db-drivers.js). An in-memory database would be empty and gone on exit.
+const driverName = process.env.DB_DRIVER || 'postgres';
 
-if (connectionString === 'YOUR_CONNECTION_STRING_HERE') {
-    console.error('Error: POSTGRES_URL environment variable not set');
-    console.error('Please set POSTGRES_URL in your .env file or environment variables');
+if (driverName === 'memory') {
+    console.error('Error: the memory database only exists inside a running server');
+    console.error('Set DB_DRIVER to postgres or vercel to manage a real database');
     process.exit(1);
 }
 
-const pool = new Pool({
-    connectionString: connectionString
-});
+let driver;
+try {
+    driver = dbDrivers.createDriver(driverName);
+} catch (error) {
+    console.error('Error:', error.message);
+    console.error('Please set POSTGRES_URL in your .env file or environment variables');
+    process.exit(1);
+}
 
 async function queryDatabase(sql, params = []) {
-    const client = await pool.connect();
+    const client = await driver.connect();
     try {
         const result = await client.query(sql, params);
         return result;
@@ -30,9 +40,7 @@ async function getTableCounts() {
     console.log('📊 Database Table Counts:');
     console.log('========================');
     
-    const tables = ['users', 'payments', 'first_survey_responses', 'second_survey_responses', 'evaluation_responses'];
-    
-    for (const table of tables) {
+    for (const table of databaseCleaner.CLEANED_TABLES) {
         try {
             const result = await queryDatabase(`SELECT COUNT(*) as count FROM ${table}`);
             console.log(`${table.padEnd(25)}: ${result.rows[0].count} records`);
@@ -43,21 +51,34 @@ async function getTableCounts() {
     console.log('');
 }
 
+function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question(question, answer => {
+        rl.close();
+        resolve(answer.trim());
+    }));
+}
+
+// Like /api/clean-database: refused in production and confirmed first. Returns
+// false when the user does not confirm.
 async function cleanDatabase() {
+    if (databaseCleaner.isProductionDatabase()) {
+        throw new Error('Cleaning the database is disabled in production');
+    }
+
+    console.log(`This deletes every row of: ${databaseCleaner.CLEANED_TABLES.join(', ')}`);
+    const answer = await ask('Type "clean" to confirm: ');
+    if (answer !== 'clean') {
+        console.log('Cancelled; nothing was deleted.\n');
+        return false;
+    }
+
     console.log('🧹 Cleaning Database...');
     console.log('======================');
-    
-    const tables = ['second_survey_responses', 'first_survey_responses', 'payments', 'users', 'evaluation_responses'];
-    
-    for (const table of tables) {
-        try {
-            const result = await queryDatabase(`DELETE FROM ${table}`);
-            console.log(`✓ Cleared ${table} (${result.rowCount} records deleted)`);
-        } catch (error) {
-            console.log(`✗ Error clearing ${table}: ${error.message}`);
-        }
-    }
+
+    await withMigrationDb(migrationDb => databaseCleaner.cleanDatabase(migrationDb));
     console.log('\n🎉 Database cleaned successfully!\n');
+    return true;
 }
 
 async function showRecentData() {
@@ -137,6 +158,103 @@ async function runCustomQuery(query) {
     console.log('');
 }
 
+// Give a registered account a staff role ('none' removes it). This is how the
+// first admin is set up; after that admins manage staff on /api/admin/staff.
+async function setStaffRole(email, role) {
+    const newRole = role === 'none' ? null : role;
+    if (newRole !== null && !staffRoles.isStaffRole(newRole)) {
+        console.log(`❌ Unknown role: ${role} (use ${staffRoles.STAFF_ROLES.join(', ')} or none)`);
+        return;
+    }
+    
+    const result = await queryDatabase('UPDATE users SET role = $1 WHERE email = $2 RETURNING email, role', [newRole, email.toLowerCase()]);
+    if (result.rows.length === 0) {
+        console.log(`❌ No account found for ${email}. Register on the account page first.`);
+    } else {
+        console.log(`✓ ${result.rows[0].email} is now: ${result.rows[0].role || 'a client (no staff role)'}`);
+    }
+    console.log('');
+}
+
+// database.js' helpers on a single connection, for migrator.js (each
+// migration in its own transaction) and database-cleaner.js
+function createMigrationDb(client) {
+    const migrationDb = {
+        query: (text, params = []) => client.query(text, params),
+        get: async (text, params = []) => (await client.query(text, params)).rows[0] || null,
+        all: async (text, params = []) => (await client.query(text, params)).rows,
+        run: async (text, params = []) => {
+            const result = await client.query(text, params);
+            return { lastID: result.rows[0]?.id || null, changes: result.rowCount || 0 };
+        },
+        transaction: async (fn) => {
+            await client.query('BEGIN');
+            try {
+                const result = await fn(migrationDb);
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
+        }
+    };
+    return migrationDb;
+}
+
+async function withMigrationDb(fn) {
+    const client = await driver.connect();
+    try {
+        return await fn(createMigrationDb(client));
+    } finally {
+        client.release();
+    }
+}
+
+async function showMigrationStatus() {
+    console.log('🗂️  Schema Migrations:');
+    console.log('=====================');
+    
+    const status = await withMigrationDb(migrationDb => migrator.getStatus(migrationDb));
+    status.forEach(migration => {
+        const name = migrator.formatMigration(migration);
+        if (migration.missing) {
+            console.log(`  ⚠ ${name.padEnd(30)} applied ${migration.appliedAt}, but its file is missing`);
+        } else if (migration.applied) {
+            console.log(`  ✓ ${name.padEnd(30)} applied ${migration.appliedAt}`);
+        } else {
+            console.log(`  · ${name.padEnd(30)} pending`);
+        }
+    });
+    console.log('');
+}
+
+async function runMigrations() {
+    console.log('⬆️  Applying migrations...');
+    console.log('=========================');
+    
+    const applied = await withMigrationDb(migrationDb => migrator.migrate(migrationDb));
+    if (applied.length === 0) {
+        console.log('Nothing to apply: the schema is up to date.');
+    } else {
+        applied.forEach(migration => console.log(`✓ Applied ${migrator.formatMigration(migration)}`));
+    }
+    console.log('');
+}
+
+async function rollbackMigrations(steps) {
+    console.log('⬇️  Rolling back migrations...');
+    console.log('=============================');
+    
+    const rolledBack = await withMigrationDb(migrationDb => migrator.rollback(migrationDb, { steps }));
+    if (rolledBack.length === 0) {
+        console.log('Nothing to roll back.');
+    } else {
+        rolledBack.forEach(migration => console.log(`✓ Rolled back ${migrator.formatMigration(migration)}`));
+    }
+    console.log('');
+}
+
 // Main function
 async function main() {
     const command = process.argv[2];
@@ -151,8 +269,9 @@ async function main() {
                 
             case 'clean':
             case 'clear':
-                await cleanDatabase();
-                await getTableCounts();
+                if (await cleanDatabase()) {
+                    await getTableCounts();
+                }
                 break;
                 
             case 'recent':
@@ -170,19 +289,53 @@ async function main() {
                 await runCustomQuery(query);
                 break;
                 
+            case 'migrate':
+                await runMigrations();
+                await showMigrationStatus();
+                break;
+                
+            case 'migrate:status':
+                await showMigrationStatus();
+                break;
+                
+            case 'migrate:rollback': {
+                const steps = process.argv[3] === undefined ? 1 : Number(process.argv[3]);
+                if (!Number.isInteger(steps) || steps < 1) {
+                    console.log('Usage: node db-manager.js migrate:rollback [STEPS]');
+                    break;
+                }
+                await rollbackMigrations(steps);
+                await showMigrationStatus();
+                break;
+            }
+                
+            case 'set-role':
+                if (!process.argv[3] || !process.argv[4]) {
+                    console.log(`Usage: node db-manager.js set-role <email> <${staffRoles.STAFF_ROLES.join('|')}|none>`);
+                    break;
+                }
+                await setStaffRole(process.argv[3], process.argv[4]);
+                break;
+                
             default:
                 console.log('🗄️  Database Manager');
                 console.log('==================');
                 console.log('');
                 console.log('Usage:');
                 console.log('  node db-manager.js status     - Show table counts');
-                console.log('  node db-manager.js clean      - Clean all data');
+                console.log('  node db-manager.js clean      - Clean all data (asks to confirm; refused in production)');
                 console.log('  node db-manager.js recent     - Show recent data');
                 console.log('  node db-manager.js query "SQL" - Run custom query');
+                console.log('  node db-manager.js migrate    - Apply pending schema migrations');
+                console.log('  node db-manager.js migrate:status - List applied and pending migrations');
+                console.log('  node db-manager.js migrate:rollback [STEPS] - Undo the last STEPS migrations (default 1)');
+                console.log('  node db-manager.js set-role EMAIL ROLE - Make an account staff (admin, case-manager, viewer or none)');
                 console.log('');
                 console.log('Examples:');
                 console.log('  node db-manager.js status');
+                console.log('  node db-manager.js migrate:status');
                 console.log('  node db-manager.js clean');
+                console.log('  node db-manager.js set-role jane@example.com admin');
                 console.log('  node db-manager.js query "SELECT email, paid FROM users"');
                 console.log('  node db-manager.js query "SELECT * FROM payments WHERE payment_method = \'ach\'"');
                 console.log('  node db-manager.js query "SELECT * FROM first_survey_responses"');
@@ -191,8 +344,9 @@ async function main() {
         }
     } catch (error) {
         console.error('❌ Error:', error.message);
+        process.exitCode = 1;
     } finally {
-        await pool.end();
+        await driver.end();
     }
 }
 
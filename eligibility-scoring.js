@@ -0,0 +1,196 @@
+// NIW eligibility scoring driven by niw_comprehensive_questionnaire.json
+//
+// The questionnaire's "scoring" section holds every weight, threshold and
+// recommendation; this module only interprets it, so scoring changes are
+// made in the JSON. scoreEvaluation() is pure and takes the questionnaire as
+// an argument, which keeps it testable without a database.
+const fs = require('fs');
+const path = require('path');
+
+const QUESTIONNAIRE_FILE = path.join(__dirname, 'niw_comprehensive_questionnaire.json');
+
+let cachedQuestionnaire = null;
+
+function loadQuestionnaire() {
+    if (!cachedQuestionnaire) {
+        cachedQuestionnaire = JSON.parse(fs.readFileSync(QUESTIONNAIRE_FILE, 'utf8')).niw_questionnaire;
+    }
+    return cachedQuestionnaire;
+}
+
+// Question definition from any section of the questionnaire
+function findQuestion(questionnaire, questionId) {
+    const sections = ['qualification_assessment', 'optional_enhancements', 'basic_information'];
+    for (const section of sections) {
+        const questions = questionnaire[section] && questionnaire[section].questions;
+        if (questions && questions[questionId]) {
+            return questions[questionId];
+        }
+    }
+    return null;
+}
+
+// Map the evaluation form's field values (education=phd, ...) to questionnaire answers
+function fromEvaluationForm(body, questionnaire = loadQuestionnaire()) {
+    const answerValues = questionnaire.scoring.answer_values;
+    const choice = (questionId, value) => (answerValues[questionId] && answerValues[questionId][value]) || value;
+
+    return {
+        EDUCATION_LEVEL: choice('EDUCATION_LEVEL', body.education),
+        PUBLICATION_COUNT: parseInt(body.publications, 10),
+        CITATION_COUNT: parseInt(body.citations, 10),
+        RESEARCH_FIELD: choice('RESEARCH_FIELD', body.research_field),
+        WORK_EXPERIENCE: parseInt(body.work_experience, 10),
+        CURRENT_POSITION: choice('CURRENT_POSITION', body.current_position),
+        AWARDS: body.awards,
+        GRANTS: body.grants,
+        PATENTS: body.patents
+    };
+}
+
+function resolveThreshold(questionnaire, questionId, min) {
+    if (min !== 'threshold') {
+        return min;
+    }
+    const question = findQuestion(questionnaire, questionId);
+    if (!question || question.qualification_threshold === undefined) {
+        throw new Error(`No qualification_threshold defined for ${questionId}`);
+    }
+    return question.qualification_threshold;
+}
+
+function ruleMaxPoints(rule) {
+    if (rule.type === 'choice') {
+        return Math.max(...Object.values(rule.points));
+    }
+    if (rule.type === 'tiers') {
+        return Math.max(...rule.tiers.map(tier => tier.points));
+    }
+    return rule.points;
+}
+
+function rulePoints(questionnaire, rule, answer) {
+    switch (rule.type) {
+        case 'choice':
+            return rule.points[answer] || 0;
+        case 'tiers': {
+            const value = Number(answer);
+            if (!Number.isFinite(value)) {
+                return 0;
+            }
+            const tier = rule.tiers.find(candidate => value >= resolveThreshold(questionnaire, rule.question, candidate.min));
+            return tier ? tier.points : 0;
+        }
+        case 'flag':
+            return answer === 'yes' || answer === true ? rule.points : 0;
+        default:
+            throw new Error(`Unknown scoring rule type: ${rule.type}`);
+    }
+}
+
+function describeAnswer(rule, answer) {
+    if (rule.type === 'flag') {
+        return answer === 'yes' || answer === true ? 'Yes' : 'No';
+    }
+    return answer === undefined || answer === null || Number.isNaN(answer) ? 'Not answered' : String(answer);
+}
+
+function pickByMinimum(entries, key, value) {
+    const match = entries.find(entry => value >= entry[key]);
+    return match ? match.text : null;
+}
+
+function scoreProng(questionnaire, prongId, prong, answers) {
+    let score = 0;
+    let maxScore = 0;
+
+    const explanations = prong.rules.map(rule => {
+        const answer = answers[rule.question];
+        const points = rulePoints(questionnaire, rule, answer);
+        const max = ruleMaxPoints(rule);
+        score += points;
+        maxScore += max;
+
+        return {
+            question: rule.question,
+            label: rule.label,
+            answer: describeAnswer(rule, answer),
+            points,
+            max_points: max,
+            explanation: `${rule.label}: ${describeAnswer(rule, answer)} (${points}/${max})${rule.note ? ` - ${rule.note}` : ''}`
+        };
+    });
+
+    const percent = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+    return {
+        id: prongId,
+        title: prong.title,
+        description: prong.description,
+        score,
+        max_score: maxScore,
+        percent,
+        explanations,
+        recommendation: pickByMinimum(prong.recommendations, 'min_percent', percent)
+    };
+}
+
+// Minimum NIW requirements the answers do not meet
+function checkMinimumRequirements(questionnaire, answers) {
+    const requirements = questionnaire.scoring.minimum_requirements;
+    const notes = [];
+
+    Object.entries(requirements).forEach(([questionId, requirement]) => {
+        const answer = answers[questionId];
+        if (requirement.meets) {
+            if (!requirement.meets.includes(answer)) {
+                notes.push({ question: questionId, message: requirement.message });
+            }
+            return;
+        }
+        const threshold = resolveThreshold(questionnaire, questionId, 'threshold');
+        if (!(Number(answer) >= threshold)) {
+            notes.push({ question: questionId, message: requirement.message.replace('{threshold}', threshold) });
+        }
+    });
+
+    return notes;
+}
+
+// Score questionnaire answers (see fromEvaluationForm) prong by prong.
+// Returns { score, max_score, prongs, minimum_requirement_notes, recommendations }.
+function scoreEvaluation(answers, questionnaire = loadQuestionnaire()) {
+    const scoring = questionnaire.scoring;
+    if (!scoring) {
+        throw new Error('Questionnaire has no scoring section');
+    }
+
+    const prongs = Object.entries(scoring.prongs)
+        .map(([prongId, prong]) => scoreProng(questionnaire, prongId, prong, answers));
+
+    const score = prongs.reduce((total, prong) => total + prong.score, 0);
+    const maxScore = prongs.reduce((total, prong) => total + prong.max_score, 0);
+    const minimumNotes = checkMinimumRequirements(questionnaire, answers);
+
+    // Overall verdict first, then what to do about each prong, weakest first
+    const recommendations = [
+        pickByMinimum(scoring.overall_recommendations, 'min_score', score),
+        ...minimumNotes.map(note => note.message),
+        ...[...prongs].sort((a, b) => a.percent - b.percent).map(prong => prong.recommendation)
+    ].filter(Boolean);
+
+    return {
+        scoring_version: scoring.version,
+        score,
+        max_score: maxScore,
+        prongs,
+        minimum_requirement_notes: minimumNotes,
+        recommendations
+    };
+}
+
+module.exports = {
+    loadQuestionnaire,
+    fromEvaluationForm,
+    scoreEvaluation
+};
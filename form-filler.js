@@ -0,0 +1,207 @@
+// PDF form filling for USCIS / DOL forms from stored first-survey responses
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const crosswalk = require('./survey-crosswalk');
+
+const FORMS_DIR = path.join(__dirname, 'forms');
+const MAPPING_DIR = path.join(FORMS_DIR, 'mapping');
+
+// Supported forms. Templates are the flattened ("-static") PDFs; mapping
+// positions are [x, y] baseline points measured from the top-left corner.
+const FORM_DEFINITIONS = {
+    'i-140': {
+        title: 'Form I-140',
+        template: 'i-140-static.pdf',
+        textMappings: ['mapping140_final.json'],
+        checkboxMappings: ['mapping140_checkbox.json']
+    },
+    'eta-9089-appendix-a': {
+        title: 'ETA-9089 Appendix A',
+        template: 'ETA-9089-Appendix-A-static.pdf',
+        textMappings: ['mapping9089_final.json'],
+        checkboxMappings: ['mapping9089_checkbox.json']
+    },
+    'g-1145': {
+        title: 'Form G-1145',
+        template: 'g-1145-static.pdf',
+        textMappings: ['mapping1145_final.json'],
+        checkboxMappings: []
+    }
+};
+
+const FONT_SIZE = 10;
+const CHECK_MARK = 'X';
+
+function loadMapping(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(MAPPING_DIR, fileName), 'utf8'));
+}
+
+// Compare checkbox option labels ignoring punctuation ("High School/GED" vs "High SchoolGED")
+function normalizeOption(option) {
+    return String(option || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Read a single survey answer; checkbox groups are posted as "<field>[]"
+function readResponse(responses, fieldName) {
+    const value = responses[fieldName] !== undefined ? responses[fieldName] : responses[`${fieldName}[]`];
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return value;
+}
+
+// Survey date inputs post yyyy-mm-dd; the forms expect mm/dd/yyyy
+function formatAnswer(question, value) {
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (question.type === 'date' && isoDate) {
+        return `${isoDate[2]}/${isoDate[3]}/${isoDate[1]}`;
+    }
+    return text;
+}
+
+// Characters the font cannot draw. The standard fonts only cover WinAnsi
+// (Latin-1 plus a few symbols), and USCIS forms are completed in English, so
+// answers in another script are reported rather than transliterated.
+function findUnencodable(text, characterSet) {
+    // Line breaks and tabs are laid out by drawText, not looked up in the font
+    const drawn = [...text].filter(character => !/[\r\n\t]/.test(character));
+    return [...new Set(drawn.filter(character => !characterSet.has(character.codePointAt(0))))];
+}
+
+// Thrown by fillForm when answers cannot be written on the form; the route
+// answers 400 with error.fields
+function unencodableAnswersError(formTitle, fields) {
+    const error = new Error(`${formTitle} must be filled in Latin characters: ${fields.map(field => field.question).join('; ')}`);
+    error.code = 'UNENCODABLE_ANSWERS';
+    error.fields = fields;
+    return error;
+}
+
+// Build a lookup of survey answers keyed by first_survey.json item ID
+function buildAnswerIndex(responses) {
+    const answers = new Map();
+
+    crosswalk.getSurveyQuestions().forEach(question => {
+        const value = readResponse(responses, crosswalk.getFieldName(question));
+        if (value !== null) {
+            answers.set(question.item_id, { question, value, text: formatAnswer(question, value) });
+        }
+    });
+
+    return answers;
+}
+
+// Resolve a mapping key to an answer through the survey crosswalk
+function resolveAnswer(answerIndex, key) {
+    const itemId = crosswalk.getItemIdForKey(key);
+    return itemId ? answerIndex.get(itemId) || null : null;
+}
+
+function listForms() {
+    return Object.entries(FORM_DEFINITIONS).map(([id, definition]) => ({
+        id,
+        title: definition.title
+    }));
+}
+
+// Compare the crosswalk with every form's mapping files
+function buildCrosswalkReport() {
+    return crosswalk.buildReport(FORM_DEFINITIONS);
+}
+
+// Fill a form from first-survey responses and return the PDF bytes
+async function fillForm(formId, responses) {
+    const definition = FORM_DEFINITIONS[formId];
+    if (!definition) {
+        throw new Error(`Unknown form: ${formId}`);
+    }
+
+    const parsedResponses = typeof responses === 'string' ? JSON.parse(responses) : (responses || {});
+    const answerIndex = buildAnswerIndex(parsedResponses);
+
+    const templateBytes = fs.readFileSync(path.join(FORMS_DIR, definition.template));
+    const pdfDoc = await PDFDocument.load(templateBytes);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const characterSet = new Set(font.getCharacterSet());
+    const pages = pdfDoc.getPages();
+
+    const drawAt = (pageIndex, position, text) => {
+        const page = pages[pageIndex];
+        if (!page || !position) {
+            return;
+        }
+        const { height } = page.getSize();
+        page.drawText(text, {
+            x: position[0],
+            y: height - position[1],
+            size: FONT_SIZE,
+            font,
+            color: rgb(0, 0, 0)
+        });
+    };
+
+    let filledCount = 0;
+    const unencodable = new Map();
+
+    // Text fields
+    definition.textMappings.forEach(fileName => {
+        Object.values(loadMapping(fileName)).forEach(field => {
+            if (!field.fill || !field.key) {
+                return;
+            }
+            const answer = resolveAnswer(answerIndex, field.key);
+            if (!answer) {
+                return;
+            }
+            const characters = findUnencodable(answer.text, characterSet);
+            if (characters.length > 0) {
+                unencodable.set(answer.question.item_id, {
+                    field: crosswalk.getFieldName(answer.question),
+                    question: answer.question.title,
+                    characters: characters.join('')
+                });
+            } else {
+                drawAt(field.page_index, field.position, answer.text);
+                filledCount++;
+            }
+        });
+    });
+
+    // Checkbox / radio groups: mark the position of each selected option
+    definition.checkboxMappings.forEach(fileName => {
+        Object.values(loadMapping(fileName)).forEach(field => {
+            if (!field.fill || !field.key || !field.subkey) {
+                return;
+            }
+            const answer = resolveAnswer(answerIndex, field.key);
+            if (!answer) {
+                return;
+            }
+            const selected = (Array.isArray(answer.value) ? answer.value : [answer.value]).map(normalizeOption);
+            Object.entries(field.subkey).forEach(([option, position]) => {
+                if (selected.includes(normalizeOption(option))) {
+                    drawAt(field.page_index, position, CHECK_MARK);
+                    filledCount++;
+                }
+            });
+        });
+    });
+
+    if (unencodable.size > 0) {
+        throw unencodableAnswersError(definition.title, [...unencodable.values()]);
+    }
+
+    console.log(`Filled ${filledCount} fields on ${definition.title} (crosswalk v${crosswalk.getVersion()})`);
+    return pdfDoc.save();
+}
+
+module.exports = {
+    FORM_DEFINITIONS,
+    listForms,
+    fillForm,
+    buildCrosswalkReport,
+    buildAnswerIndex,
+    resolveAnswer
+};
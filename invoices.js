@@ -0,0 +1,220 @@
+// Itemized invoices for payments, as PDFs clients can hand in for employer
+// reimbursement
+//
+// A payment is given the next invoice number the first time its invoice is
+// requested and keeps it; numbers run INV-000001, INV-000002... without gaps
+// (pricing.json invoices.number_prefix). The issuer printed at the top is
+// pricing.json invoices.issuer, with invoices.details (address, tax ID) below it.
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+// Payments that went through; failed and still-processing bank payments have
+// no invoice
+const INVOICED_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+const PAYMENT_METHOD_NAMES = {
+    card: 'Credit card',
+    ach: 'Bank transfer (ACH)',
+    manual: 'Recorded manually'
+};
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+
+function hasInvoice(payment) {
+    return INVOICED_STATUSES.includes(payment.status) && payment.amount_cents > 0;
+}
+
+function formatInvoiceNumber(prefix, sequence) {
+    return `${prefix}-${String(sequence).padStart(6, '0')}`;
+}
+
+// The payment's invoice, issuing the next number if it has none yet. Two
+// requests racing for a number both retry, so no number is skipped or reused.
+async function issueInvoice(db, paymentId, prefix) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const existing = await db.get('SELECT * FROM invoices WHERE payment_id = $1', [paymentId]);
+        if (existing) {
+            return existing;
+        }
+
+        const last = await db.get('SELECT MAX(sequence) AS sequence FROM invoices');
+        const sequence = Number(last.sequence || 0) + 1;
+        try {
+            await db.run(
+                'INSERT INTO invoices (sequence, invoice_number, payment_id) VALUES ($1, $2, $3)',
+                [sequence, formatInvoiceNumber(prefix, sequence), paymentId]
+            );
+            console.log(`Invoice ${formatInvoiceNumber(prefix, sequence)} issued for payment ${paymentId}`);
+        } catch (error) {
+            if (error.code !== '23505') {
+                throw error;
+            }
+        }
+    }
+    throw new Error(`Could not issue an invoice number for payment ${paymentId}`);
+}
+
+function formatAmount(catalog, cents) {
+    return (cents / 100).toLocaleString('en-US', { style: 'currency', currency: catalog.currency.toUpperCase() });
+}
+
+function formatDate(value) {
+    return new Date(value).toISOString().slice(0, 10);
+}
+
+// What the payment was for. installment is { number, count } for a payment
+// made as part of an installment plan.
+function describePayment(catalog, payment, installment) {
+    const pkg = catalog.packages[payment.package_type];
+    const packageName = pkg ? pkg.name : payment.package_type;
+
+    if (payment.payment_type === 'upgrade') {
+        const upgrade = Object.values(catalog.upgrades).map(to => to[payment.package_type]).find(Boolean);
+        return upgrade ? upgrade.name : `Upgrade to ${packageName}`;
+    }
+    if (payment.payment_type === 'installment' && installment) {
+        return `${packageName} - installment ${installment.number} of ${installment.count}`;
+    }
+    return packageName;
+}
+
+// [label, cents] rows, from the base price down to the amount charged. Rows
+// recorded without a base price get one that adds up to the amount.
+function buildLineItems(catalog, payment, { installment, couponCode } = {}) {
+    const feeCents = payment.processing_fee_cents || 0;
+    const discountCents = payment.discount_cents || 0;
+    const baseCents = payment.base_price_cents || payment.amount_cents - feeCents + discountCents;
+    const fee = catalog.fees[payment.payment_method];
+
+    const items = [[describePayment(catalog, payment, installment), baseCents]];
+    if (discountCents > 0) {
+        items.push([couponCode ? `Coupon ${couponCode}` : 'Discount', -discountCents]);
+    }
+    if (feeCents > 0) {
+        items.push([fee ? fee.label : 'Processing fee', feeCents]);
+    }
+    return items;
+}
+
+// invoice: the invoices row; payment: the payments row; installment and
+// couponCode: see buildLineItems. Returns the PDF bytes.
+async function renderInvoice(catalog, { invoice, payment, installment, couponCode }) {
+    const settings = catalog.invoices || {};
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(`Invoice ${invoice.invoice_number}`);
+    const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const grey = rgb(0.4, 0.4, 0.4);
+
+    let y = PAGE_HEIGHT - MARGIN;
+    const text = (value, x, options = {}) => {
+        const size = options.size || 10;
+        const useFont = options.bold ? bold : font;
+        const width = useFont.widthOfTextAtSize(value, size);
+        page.drawText(value, {
+            x: options.alignRight ? x - width : x,
+            y,
+            size,
+            font: useFont,
+            color: options.color || rgb(0, 0, 0)
+        });
+    };
+    const right = PAGE_WIDTH - MARGIN;
+
+    // Issuer on the left, invoice number and dates on the right
+    const top = y;
+    text(settings.issuer || 'Invoice', MARGIN, { size: 18, bold: true });
+    text('INVOICE', right, { size: 18, bold: true, alignRight: true });
+    y -= 18;
+    (settings.details || []).forEach(line => {
+        text(line, MARGIN, { color: grey });
+        y -= 14;
+    });
+    const issuerBottom = y;
+
+    y = top - 18;
+    [
+        ['Invoice number', invoice.invoice_number],
+        ['Payment date', formatDate(payment.created_at)],
+        ['Issued', formatDate(invoice.issued_at)]
+    ].forEach(([label, value]) => {
+        text(`${label}: ${value}`, right, { alignRight: true });
+        y -= 14;
+    });
+
+    // Customer and payment
+    y = Math.min(y, issuerBottom) - 30;
+    text('Billed to', MARGIN, { bold: true });
+    y -= 14;
+    text(payment.user_email, MARGIN);
+    y -= 24;
+    text(`Payment method: ${PAYMENT_METHOD_NAMES[payment.payment_method] || payment.payment_method}`, MARGIN);
+    y -= 36;
+
+    // Line items
+    text('Description', MARGIN, { bold: true });
+    text('Amount', right, { bold: true, alignRight: true });
+    y -= 8;
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: right, y }, thickness: 0.5, color: grey });
+    y -= 16;
+    buildLineItems(catalog, payment, { installment, couponCode }).forEach(([label, cents]) => {
+        text(label, MARGIN);
+        text(formatAmount(catalog, cents), right, { alignRight: true });
+        y -= 16;
+    });
+    page.drawLine({ start: { x: MARGIN, y: y + 8 }, end: { x: right, y: y + 8 }, thickness: 0.5, color: grey });
+    y -= 6;
+    text('Total paid', MARGIN, { bold: true });
+    text(formatAmount(catalog, payment.amount_cents), right, { bold: true, alignRight: true });
+    y -= 16;
+
+    if (payment.amount_refunded_cents > 0) {
+        text('Refunded', MARGIN);
+        text(formatAmount(catalog, -payment.amount_refunded_cents), right, { alignRight: true });
+        y -= 16;
+        text('Net paid', MARGIN, { bold: true });
+        text(formatAmount(catalog, payment.amount_cents - payment.amount_refunded_cents), right, { bold: true, alignRight: true });
+        y -= 16;
+    }
+
+    y -= 24;
+    text(payment.status === 'refunded' ? 'Refunded in full.' : 'Paid. Thank you for your business.', MARGIN, { color: grey });
+
+    return pdfDoc.save();
+}
+
+// Issue (if needed) and render the invoice for a payments row. Returns
+// { invoice, pdf }.
+async function getInvoicePdf(db, catalog, payment) {
+    const settings = catalog.invoices || {};
+    const invoice = await issueInvoice(db, payment.id, settings.number_prefix || 'INV');
+
+    let installment = null;
+    let couponCode = payment.coupon_code;
+    if (payment.payment_plan_id) {
+        const plan = await db.get('SELECT installment_count, coupon_code FROM payment_plans WHERE id = $1', [payment.payment_plan_id]);
+        const earlier = await db.get(
+            "SELECT COUNT(*) AS count FROM payments WHERE payment_plan_id = $1 AND payment_type = 'installment' AND id <= $2",
+            [payment.payment_plan_id, payment.id]
+        );
+        if (plan) {
+            installment = { number: Number(earlier.count), count: plan.installment_count };
+            couponCode = couponCode || plan.coupon_code;
+        }
+    }
+
+    const pdf = await renderInvoice(catalog, { invoice, payment, installment, couponCode });
+    return { invoice, pdf };
+}
+
+module.exports = {
+    INVOICED_STATUSES,
+    hasInvoice,
+    formatInvoiceNumber,
+    issueInvoice,
+    buildLineItems,
+    renderInvoice,
+    getInvoicePdf
+};
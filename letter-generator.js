@@ -0,0 +1,189 @@
+// Petition-letter draft generator driven by survey_questions_mapping_v4 placeholders
+//
+// Templates use a small mustache-like syntax:
+//   {{KEY}}               value of a placeholder (missing values render as [KEY])
+//   {{KEY|list}}          comma-separated answer as "a, b, and c"
+//   {{KEY|date}}          yyyy-mm-dd answer as "July 20, 2025"
+//   {{KEY|cap}}           capitalize the first letter
+//   {{#KEY}}...{{/KEY}}   optional block, rendered only when KEY has a value
+//   {{^KEY}}...{{/KEY}}   fallback block, rendered only when KEY is empty
+//
+// The template is written against the full v4 mapping. Placeholders the
+// simplified survey does not ask must sit in an optional block or have an
+// entry in FALLBACKS, so letters from either variant render completely.
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_TEMPLATE = 'petition_letter.md';
+
+// Pronoun forms derived from HE_SHE_THEY; "they" is used when it is not answered
+const PRONOUNS = {
+    he: { subject: 'he', object: 'him', possessive: 'his', reflexive: 'himself', plural: false },
+    she: { subject: 'she', object: 'her', possessive: 'her', reflexive: 'herself', plural: false },
+    they: { subject: 'they', object: 'them', possessive: 'their', reflexive: 'themselves', plural: true }
+};
+
+// Placeholder -> answers used in its place, in order, when it is not answered
+// (the simplified survey does not ask for the primary research field)
+const FALLBACKS = {
+    RESEARCH_FIELD_PRIMARY: ['EDU_FIELD', 'EDU_MAJOR_1']
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)(?:\|(\w+))?\}\}/g;
+
+function hasValue(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Accept "he", "He/him", "she/her", "They" ...; anything else falls back to "they"
+function resolvePronouns(answer) {
+    const key = String(answer || '').trim().toLowerCase().split(/[\s/,]+/)[0];
+    return PRONOUNS[key] || PRONOUNS.they;
+}
+
+function formatList(value) {
+    const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    if (items.length <= 1) return items.join('');
+    if (items.length === 2) return `${items[0]} and ${items[1]}`;
+    return `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}`;
+}
+
+function formatDate(value) {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return String(value);
+    return `${MONTHS[parseInt(match[2], 10) - 1]} ${parseInt(match[3], 10)}, ${match[1]}`;
+}
+
+const FILTERS = {
+    list: formatList,
+    date: formatDate,
+    cap: value => String(value).charAt(0).toUpperCase() + String(value).slice(1)
+};
+
+// Survey answers plus the derived pronoun and verb-agreement placeholders
+function buildContext(responses) {
+    const answers = typeof responses === 'string' ? JSON.parse(responses) : (responses || {});
+    const pronouns = resolvePronouns(answers.HE_SHE_THEY);
+
+    const fallbacks = {};
+    Object.entries(FALLBACKS).forEach(([key, alternatives]) => {
+        if (!hasValue(answers[key])) {
+            const alternative = alternatives.find(name => hasValue(answers[name]));
+            if (alternative) {
+                fallbacks[key] = answers[alternative];
+            }
+        }
+    });
+
+    return {
+        ...answers,
+        ...fallbacks,
+        PRONOUN_SUBJECT: pronouns.subject,
+        PRONOUN_OBJECT: pronouns.object,
+        PRONOUN_POSSESSIVE: pronouns.possessive,
+        PRONOUN_REFLEXIVE: pronouns.reflexive,
+        VERB_IS: pronouns.plural ? 'are' : 'is',
+        VERB_HAS: pronouns.plural ? 'have' : 'has',
+        VERB_SERVES: pronouns.plural ? 'serve' : 'serves'
+    };
+}
+
+function renderTemplate(template, context, missing) {
+    const withSections = template.replace(SECTION_PATTERN, (match, type, key, body) => {
+        const present = hasValue(context[key]);
+        const show = type === '#' ? present : !present;
+        return show ? renderTemplate(body, context, missing) : '';
+    });
+
+    return withSections.replace(VARIABLE_PATTERN, (match, key, filter) => {
+        if (!hasValue(context[key])) {
+            missing.add(key);
+            return `[${key}]`;
+        }
+        const value = String(context[key]).trim();
+        return filter && FILTERS[filter] ? FILTERS[filter](value) : value;
+    });
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Convert the subset of Markdown used by the letter templates to HTML
+function markdownToHtml(markdown, title) {
+    const inline = text => escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+
+    const blocks = markdown.split(/\n{2,}/).map(block => block.trim()).filter(Boolean);
+    const body = blocks.map(block => {
+        const heading = block.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            const level = heading[1].length + 1;
+            return `<h${level}>${inline(heading[2])}</h${level}>`;
+        }
+        const lines = block.split('\n');
+        if (lines.every(line => line.startsWith('- '))) {
+            return `<ul>\n${lines.map(line => `<li>${inline(line.slice(2))}</li>`).join('\n')}\n</ul>`;
+        }
+        return `<p>${lines.map(inline).join('<br>\n')}</p>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: 'Times New Roman', serif; max-width: 800px; margin: 40px auto; line-height: 1.5; }
+    h2, h3, h4 { margin-top: 1.5em; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Render a petition-letter draft from second-survey responses.
+// Returns { content, contentType, extension, missingPlaceholders }.
+function generateLetter(responses, options = {}) {
+    const format = options.format === 'html' ? 'html' : 'md';
+    const templateName = options.template || DEFAULT_TEMPLATE;
+    const template = fs.readFileSync(path.join(TEMPLATES_DIR, templateName), 'utf8');
+
+    const missing = new Set();
+    const markdown = renderTemplate(template, buildContext(responses), missing)
+        .replace(/\n{3,}/g, '\n\n');
+
+    if (format === 'html') {
+        return {
+            content: markdownToHtml(markdown, options.title || 'Petition Letter Draft'),
+            contentType: 'text/html',
+            extension: 'html',
+            missingPlaceholders: [...missing]
+        };
+    }
+
+    return {
+        content: markdown,
+        contentType: 'text/markdown',
+        extension: 'md',
+        missingPlaceholders: [...missing]
+    };
+}
+
+module.exports = {
+    generateLetter,
+    resolvePronouns
+};
@@ -0,0 +1,115 @@
+// Outgoing email behind a pluggable transport
+//
+// MAIL_TRANSPORT picks the transport:
+//   outbox   - writes every message as a JSON file to MAIL_OUTBOX_DIR
+//              (default outside production; used by development and tests)
+//   sendgrid - sends through the SendGrid v3 API with SENDGRID_API_KEY
+//   console  - only logs the recipient and subject
+// outbox and console deliver nothing, so production refuses them and must
+// set MAIL_TRANSPORT (see checkConfiguration). Other transports can be added with registerTransport(name, factory), where
+// factory(options) returns { send(message) } and send resolves when delivered.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Dot directory: express.static does not serve dotfiles, so messages (and
+// the tokens in them) are not reachable over HTTP
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '.mail-outbox');
+
+// Transports that keep messages on this machine instead of delivering them
+const LOCAL_TRANSPORTS = ['outbox', 'console'];
+
+// "Name <address>" or a bare address, as { name?, email }
+function parseAddress(value) {
+    const match = String(value).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+    if (!match) {
+        return { email: String(value).trim() };
+    }
+    return match[1] ? { name: match[1], email: match[2].trim() } : { email: match[2].trim() };
+}
+
+const transports = {
+    outbox: (options) => ({
+        async send(message) {
+            const dir = options.outboxDir || DEFAULT_OUTBOX_DIR;
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${uuidv4()}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+            console.log(`Email to ${message.to} written to ${file}`);
+            return { id: path.basename(file, '.json') };
+        }
+    }),
+
+    sendgrid: (options) => ({
+        async send(message) {
+            if (!options.sendgridApiKey) {
+                throw new Error('SENDGRID_API_KEY is not configured');
+            }
+            const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${options.sendgridApiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    personalizations: [{ to: [{ email: message.to }] }],
+                    from: parseAddress(message.from),
+                    subject: message.subject,
+                    content: [
+                        { type: 'text/plain', value: message.text },
+                        ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+                    ]
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`SendGrid responded ${response.status}: ${await response.text()}`);
+            }
+            return { id: response.headers.get('x-message-id') };
+        }
+    }),
+
+    // The body is never logged: it holds verification and reset tokens
+    console: () => ({
+        async send(message) {
+            console.log(`Email to ${message.to} (not sent, console transport): ${message.subject}`);
+            return { id: null };
+        }
+    })
+};
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+function getOptions() {
+    return {
+        transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'outbox'),
+        from: process.env.MAIL_FROM || 'TurboNIW <no-reply@turboniw.com>',
+        outboxDir: process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR,
+        sendgridApiKey: process.env.SENDGRID_API_KEY
+    };
+}
+
+// Throws unless the configured transport exists and, in production, delivers
+function checkConfiguration() {
+    const options = getOptions();
+    if (process.env.NODE_ENV === 'production' && (!options.transport || LOCAL_TRANSPORTS.includes(options.transport))) {
+        throw new Error(`MAIL_TRANSPORT must name a transport that delivers mail in production (got ${options.transport || 'nothing'})`);
+    }
+    if (!transports[options.transport]) {
+        throw new Error(`Unknown mail transport: ${options.transport}`);
+    }
+    return options;
+}
+
+// message: { to, subject, text, html? }
+async function sendMail(message) {
+    const options = checkConfiguration();
+    return transports[options.transport](options).send({ from: options.from, ...message });
+}
+
+module.exports = {
+    registerTransport,
+    checkConfiguration,
+    sendMail
+};
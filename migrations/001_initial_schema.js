@@ -0,0 +1,130 @@
+// Core tables, as initDatabase() created them before versioned migrations.
+// On a database it already set up, this only records the version.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                email TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                paid BOOLEAN DEFAULT FALSE,
+                package_type TEXT DEFAULT 'full',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS survey_responses (
+                id TEXT PRIMARY KEY,
+                user_email TEXT NOT NULL,
+                responses JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_email) REFERENCES users (email)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS first_survey_responses (
+                id TEXT PRIMARY KEY,
+                user_email TEXT NOT NULL,
+                responses JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_email) REFERENCES users (email)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS second_survey_responses (
+                id TEXT PRIMARY KEY,
+                user_email TEXT NOT NULL,
+                responses JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_email) REFERENCES users (email)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS first_survey_fields (
+                id SERIAL PRIMARY KEY,
+                field_name TEXT NOT NULL,
+                field_type TEXT NOT NULL,
+                field_label TEXT NOT NULL,
+                is_required BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS payments (
+                id SERIAL PRIMARY KEY,
+                user_email TEXT NOT NULL,
+                stripe_session_id TEXT UNIQUE NOT NULL,
+                amount_cents INTEGER NOT NULL,
+                amount_dollars REAL NOT NULL,
+                package_type TEXT NOT NULL,
+                payment_type TEXT NOT NULL,
+                status TEXT DEFAULT 'completed',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_email) REFERENCES users (email)
+            )
+        `);
+
+        // Payment method and fee breakdown, missing from the oldest databases
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS payment_method TEXT DEFAULT 'card'`);
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS base_price_cents INTEGER DEFAULT 0`);
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS processing_fee_cents INTEGER DEFAULT 0`);
+
+        // One in-progress draft per user and survey
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS survey_drafts (
+                id TEXT PRIMARY KEY,
+                user_email TEXT NOT NULL,
+                survey_type TEXT NOT NULL,
+                responses JSONB NOT NULL,
+                current_section INTEGER,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_email, survey_type),
+                FOREIGN KEY (user_email) REFERENCES users (email)
+            )
+        `);
+
+        // Public evaluations are not tied to an account: email is whatever was entered
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS evaluation_responses (
+                id SERIAL PRIMARY KEY,
+                email TEXT NOT NULL,
+                name TEXT NOT NULL,
+                education TEXT NOT NULL,
+                publications INTEGER NOT NULL,
+                citations INTEGER NOT NULL,
+                research_field TEXT NOT NULL,
+                work_experience INTEGER NOT NULL,
+                current_position TEXT NOT NULL,
+                awards TEXT NOT NULL,
+                grants TEXT NOT NULL,
+                patents TEXT NOT NULL,
+                research_description TEXT,
+                timeline TEXT,
+                evaluation_score INTEGER,
+                evaluation_recommendations TEXT,
+                status TEXT DEFAULT 'pending',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        for (const table of [
+            'evaluation_responses',
+            'survey_drafts',
+            'payments',
+            'first_survey_fields',
+            'second_survey_responses',
+            'first_survey_responses',
+            'survey_responses',
+            'users'
+        ]) {
+            await db.query(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
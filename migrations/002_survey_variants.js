@@ -0,0 +1,15 @@
+// Which survey variant and mapping produced each second survey, and the
+// per-prong scoring breakdown of each evaluation
+module.exports = {
+    async up(db) {
+        await db.query(`ALTER TABLE second_survey_responses ADD COLUMN IF NOT EXISTS survey_variant TEXT`);
+        await db.query(`ALTER TABLE second_survey_responses ADD COLUMN IF NOT EXISTS mapping_version TEXT`);
+        await db.query(`ALTER TABLE evaluation_responses ADD COLUMN IF NOT EXISTS evaluation_details JSONB`);
+    },
+
+    async down(db) {
+        await db.query(`ALTER TABLE evaluation_responses DROP COLUMN IF EXISTS evaluation_details`);
+        await db.query(`ALTER TABLE second_survey_responses DROP COLUMN IF EXISTS mapping_version`);
+        await db.query(`ALTER TABLE second_survey_responses DROP COLUMN IF EXISTS survey_variant`);
+    }
+};
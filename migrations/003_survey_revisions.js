@@ -0,0 +1,49 @@
+// Revision numbers and the current-revision flag on the survey tables (see
+// survey-revisions.js). Existing rows are numbered by created_at and the
+// newest becomes current.
+const TABLES = ['first_survey_responses', 'second_survey_responses'];
+
+module.exports = {
+    async up(db) {
+        for (const table of TABLES) {
+            await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS revision INTEGER`);
+            await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS is_current BOOLEAN DEFAULT FALSE`);
+
+            // Only databases with submissions from before revisions need the
+            // backfill (which pg-mem, used by the tests, cannot run)
+            const unnumbered = await db.get(`SELECT 1 AS found FROM ${table} WHERE revision IS NULL LIMIT 1`);
+            if (unnumbered) {
+                await db.query(`
+                    UPDATE ${table} SET revision = numbered.revision
+                    FROM (
+                        SELECT id, ROW_NUMBER() OVER (PARTITION BY user_email ORDER BY created_at, id) AS revision
+                        FROM ${table}
+                    ) numbered
+                    WHERE ${table}.id = numbered.id AND ${table}.revision IS NULL
+                `);
+
+                await db.query(`
+                    UPDATE ${table} SET is_current = TRUE
+                    WHERE id IN (
+                        SELECT DISTINCT ON (user_email) id FROM ${table}
+                        WHERE user_email NOT IN (SELECT user_email FROM ${table} WHERE is_current = TRUE)
+                        ORDER BY user_email, revision DESC
+                    )
+                `);
+            }
+
+            await db.query(`
+                CREATE UNIQUE INDEX IF NOT EXISTS ${table}_user_revision
+                ON ${table} (user_email, revision)
+            `);
+        }
+    },
+
+    async down(db) {
+        for (const table of TABLES) {
+            await db.query(`DROP INDEX IF EXISTS ${table}_user_revision`);
+            await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS is_current`);
+            await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS revision`);
+        }
+    }
+};
@@ -0,0 +1,44 @@
+// Email verification, verification / password reset tokens (see
+// auth-tokens.js) and persistent JWT revocation (see token-store.js)
+module.exports = {
+    async up(db) {
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE`);
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP`);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS auth_tokens (
+                id SERIAL PRIMARY KEY,
+                token_hash TEXT UNIQUE NOT NULL,
+                user_email TEXT NOT NULL,
+                purpose TEXT NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_email) REFERENCES users (email)
+            )
+        `);
+
+        // Bumped by "log out all sessions"; JWTs carry the version they were issued with
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER DEFAULT 0`);
+
+        // Logged-out JWTs by jti, kept until the token would have expired
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS revoked_tokens (
+                jti TEXT PRIMARY KEY,
+                user_email TEXT,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS revoked_tokens_expires_at ON revoked_tokens (expires_at)`);
+    },
+
+    async down(db) {
+        await db.query(`DROP TABLE IF EXISTS revoked_tokens`);
+        await db.query(`ALTER TABLE users DROP COLUMN IF EXISTS token_version`);
+        await db.query(`DROP TABLE IF EXISTS auth_tokens`);
+        await db.query(`ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at`);
+        await db.query(`ALTER TABLE users DROP COLUMN IF EXISTS email_verified`);
+    }
+};
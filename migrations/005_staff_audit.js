@@ -0,0 +1,68 @@
+// Staff roles (see staff-roles.js) and the append-only audit trail of staff
+// access to client data (see audit-log.js)
+module.exports = {
+    async up(db) {
+        // NULL for clients
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT`);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id SERIAL PRIMARY KEY,
+                actor_email TEXT,
+                actor_role TEXT,
+                action TEXT NOT NULL,
+                target_email TEXT,
+                ip TEXT,
+                method TEXT,
+                path TEXT,
+                status_code INTEGER,
+                record_count INTEGER,
+                details JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`CREATE INDEX IF NOT EXISTS audit_events_created_at ON audit_events (created_at)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS audit_events_target_email ON audit_events (target_email)`);
+        await db.query(`CREATE INDEX IF NOT EXISTS audit_events_actor_email ON audit_events (actor_email)`);
+
+        // Refuse UPDATE, DELETE and TRUNCATE so the trail cannot be rewritten.
+        // Databases without PL/pgSQL (pg-mem in the tests) go without.
+        try {
+            await db.query(`
+                CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+                BEGIN
+                    RAISE EXCEPTION 'audit_events is append-only';
+                END;
+                $$ LANGUAGE plpgsql
+            `);
+
+            await db.query(`DROP TRIGGER IF EXISTS audit_events_no_change ON audit_events`);
+            await db.query(`
+                CREATE TRIGGER audit_events_no_change
+                BEFORE UPDATE OR DELETE ON audit_events
+                FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+            `);
+
+            await db.query(`DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events`);
+            await db.query(`
+                CREATE TRIGGER audit_events_no_truncate
+                BEFORE TRUNCATE ON audit_events
+                FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only()
+            `);
+        } catch (error) {
+            console.log('Audit events append-only trigger not created:', error.message);
+        }
+    },
+
+    // Rolling this back deletes the audit trail
+    async down(db) {
+        await db.query(`DROP TABLE IF EXISTS audit_events`);
+        try {
+            await db.query(`DROP FUNCTION IF EXISTS audit_events_append_only()`);
+        } catch (error) {
+            console.log('Audit events append-only function not dropped:', error.message);
+        }
+        await db.query(`ALTER TABLE users DROP COLUMN IF EXISTS role`);
+    }
+};
@@ -0,0 +1,30 @@
+// Payment state driven by Stripe webhook events (see stripe-webhooks.js):
+// who recorded a manual payment and why, refunds, and the events already
+// applied
+module.exports = {
+    async up(db) {
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS note TEXT`);
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS recorded_by TEXT`);
+
+        // Refund and dispute events identify the payment by its payment intent
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT`);
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_refunded_cents INTEGER DEFAULT 0`);
+        await db.query(`CREATE INDEX IF NOT EXISTS payments_stripe_payment_intent_id ON payments (stripe_payment_intent_id)`);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS stripe_events (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.query(`DROP TABLE IF EXISTS stripe_events`);
+        await db.query(`DROP INDEX IF EXISTS payments_stripe_payment_intent_id`);
+        for (const column of ['amount_refunded_cents', 'stripe_payment_intent_id', 'recorded_by', 'note']) {
+            await db.query(`ALTER TABLE payments DROP COLUMN IF EXISTS ${column}`);
+        }
+    }
+};
@@ -0,0 +1,30 @@
+// Promo and referral coupons (see pricing.js), and the coupon and discount
+// of each payment. Redemptions are counted from payments.coupon_code.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS coupons (
+                code TEXT PRIMARY KEY,
+                kind TEXT NOT NULL DEFAULT 'promo',
+                percent_off INTEGER,
+                amount_off_cents INTEGER,
+                packages JSONB,
+                referrer_email TEXT,
+                max_redemptions INTEGER,
+                expires_at TIMESTAMP,
+                active BOOLEAN DEFAULT TRUE,
+                created_by TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS coupon_code TEXT`);
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_cents INTEGER DEFAULT 0`);
+    },
+
+    async down(db) {
+        await db.query(`ALTER TABLE payments DROP COLUMN IF EXISTS discount_cents`);
+        await db.query(`ALTER TABLE payments DROP COLUMN IF EXISTS coupon_code`);
+        await db.query(`DROP TABLE IF EXISTS coupons`);
+    }
+};
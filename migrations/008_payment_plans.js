@@ -0,0 +1,39 @@
+// Packages paid in installments through a Stripe subscription (see
+// stripe-webhooks.js). Each paid installment is also a row in payments.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS payment_plans (
+                id SERIAL PRIMARY KEY,
+                user_email TEXT NOT NULL,
+                package_type TEXT NOT NULL,
+                stripe_subscription_id TEXT UNIQUE NOT NULL,
+                stripe_session_id TEXT,
+                payment_method TEXT DEFAULT 'card',
+                installment_count INTEGER NOT NULL,
+                installment_amount_cents INTEGER NOT NULL,
+                installment_fee_cents INTEGER DEFAULT 0,
+                installments_paid INTEGER DEFAULT 0,
+                coupon_code TEXT,
+                discount_cents INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'active',
+                next_payment_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_email) REFERENCES users (email)
+            )
+        `);
+
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS payment_plan_id INTEGER`);
+
+        // Set while a plan is being paid off: both surveys are open, but the
+        // generated forms and letters wait for the last installment
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS installments_outstanding BOOLEAN DEFAULT FALSE`);
+    },
+
+    async down(db) {
+        await db.query(`ALTER TABLE users DROP COLUMN IF EXISTS installments_outstanding`);
+        await db.query(`ALTER TABLE payments DROP COLUMN IF EXISTS payment_plan_id`);
+        await db.query(`DROP TABLE IF EXISTS payment_plans`);
+    }
+};
@@ -0,0 +1,20 @@
+// Invoice numbers issued to payments (see invoices.js). sequence runs
+// 1, 2, 3... without gaps.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS invoices (
+                id SERIAL PRIMARY KEY,
+                sequence INTEGER UNIQUE NOT NULL,
+                invoice_number TEXT UNIQUE NOT NULL,
+                payment_id INTEGER UNIQUE NOT NULL,
+                issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (payment_id) REFERENCES payments (id)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.query(`DROP TABLE IF EXISTS invoices`);
+    }
+};
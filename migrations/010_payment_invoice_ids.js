@@ -0,0 +1,28 @@
+// Installments are paid by Stripe invoices, not checkout sessions: they are
+// keyed by stripe_invoice_id, and stripe_session_id is left empty for them
+// (the plan's checkout session is on payment_plans). The unique constraint is
+// rebuilt as an index so it allows those NULLs.
+module.exports = {
+    async up(db) {
+        await db.query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_invoice_id TEXT UNIQUE`);
+        await db.query(`ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_stripe_session_id_key`);
+        await db.query(`ALTER TABLE payments ALTER COLUMN stripe_session_id DROP NOT NULL`);
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS payments_stripe_session_id_key ON payments (stripe_session_id)`);
+
+        await db.query(`
+            UPDATE payments SET stripe_invoice_id = stripe_session_id, stripe_session_id = NULL
+            WHERE payment_type = 'installment' AND stripe_invoice_id IS NULL
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            UPDATE payments SET stripe_session_id = stripe_invoice_id
+            WHERE stripe_session_id IS NULL AND stripe_invoice_id IS NOT NULL
+        `);
+        await db.query(`DROP INDEX IF EXISTS payments_stripe_session_id_key`);
+        await db.query(`ALTER TABLE payments ALTER COLUMN stripe_session_id SET NOT NULL`);
+        await db.query(`ALTER TABLE payments ADD CONSTRAINT payments_stripe_session_id_key UNIQUE (stripe_session_id)`);
+        await db.query(`ALTER TABLE payments DROP COLUMN IF EXISTS stripe_invoice_id`);
+    }
+};
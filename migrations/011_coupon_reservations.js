@@ -0,0 +1,22 @@
+// A coupon with max_redemptions holds one of its redemptions for each open
+// checkout session that uses it (see pricing.reserveCoupon), until the session
+// is recorded in payments or payment_plans or the reservation expires.
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS coupon_reservations (
+                id SERIAL PRIMARY KEY,
+                coupon_code TEXT NOT NULL,
+                user_email TEXT NOT NULL,
+                stripe_session_id TEXT,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.query(`CREATE INDEX IF NOT EXISTS coupon_reservations_coupon_code ON coupon_reservations (coupon_code)`);
+    },
+
+    async down(db) {
+        await db.query(`DROP TABLE IF EXISTS coupon_reservations`);
+    }
+};
@@ -0,0 +1,141 @@
+// Versioned schema migrations
+//
+// Each file in migrations/ is NNN_description.js and exports up(db) and
+// down(db), where db has database.js' query, get, all and run. Applied
+// versions are rows in schema_migrations. Database.initDatabase() applies
+// pending migrations when the server starts; db-manager.js migrate,
+// migrate:status and migrate:rollback run them by hand.
+//
+// Migrations must be safe to run twice (IF NOT EXISTS / IF EXISTS): two
+// serverless instances starting at once can both apply the same one. When db
+// has transaction(fn) (db-manager.js), each migration and its
+// schema_migrations row are committed together.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// [{ version, name, up, down }], oldest first
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const { up, down } = require(path.join(dir, file));
+            if (typeof up !== 'function' || typeof down !== 'function') {
+                throw new Error(`Migration ${file} must export up(db) and down(db)`);
+            }
+            return { version: Number(match[1]), name: match[2], up, down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations are numbered ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+function formatMigration(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getApplied(db) {
+    await ensureMigrationsTable(db);
+    return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+function inTransaction(db, fn) {
+    return db.transaction ? db.transaction(fn) : fn(db);
+}
+
+// Every migration file and applied version: [{ version, name, applied,
+// appliedAt, missing }]. missing marks a version recorded as applied whose
+// file is gone.
+async function getStatus(db, migrations = loadMigrations()) {
+    const applied = await getApplied(db);
+    const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]));
+
+    const status = migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            applied: !!row,
+            appliedAt: row ? row.applied_at : null,
+            missing: false
+        };
+    });
+    applied.filter(row => !migrations.some(migration => migration.version === Number(row.version))).forEach(row => {
+        status.push({ version: Number(row.version), name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+    });
+    return status.sort((a, b) => a.version - b.version);
+}
+
+// Apply pending migrations, oldest first, up to options.to (default: all).
+// Returns the migrations applied.
+async function migrate(db, options = {}) {
+    const migrations = options.migrations || loadMigrations();
+    const applied = new Set((await getApplied(db)).map(row => Number(row.version)));
+    const pending = migrations.filter(migration =>
+        !applied.has(migration.version) && (options.to === undefined || migration.version <= options.to));
+
+    for (const migration of pending) {
+        console.log(`Applying migration ${formatMigration(migration)}`);
+        await inTransaction(db, async tx => {
+            await migration.up(tx);
+            await tx.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2) ON CONFLICT (version) DO NOTHING',
+                [migration.version, migration.name]
+            );
+        });
+    }
+    return pending;
+}
+
+// Undo the last options.steps (default 1) applied migrations, newest first.
+// Returns the migrations rolled back.
+async function rollback(db, options = {}) {
+    const steps = options.steps === undefined ? 1 : options.steps;
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive whole number');
+    }
+    const migrations = options.migrations || loadMigrations();
+    const applied = (await getApplied(db)).map(row => Number(row.version)).reverse().slice(0, steps);
+
+    const rolledBack = [];
+    for (const version of applied) {
+        const migration = migrations.find(candidate => candidate.version === version);
+        if (!migration) {
+            throw new Error(`Migration ${version} is applied but its file is missing from migrations/`);
+        }
+        console.log(`Rolling back migration ${formatMigration(migration)}`);
+        await inTransaction(db, async tx => {
+            await migration.down(tx);
+            await tx.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+        rolledBack.push(migration);
+    }
+    return rolledBack;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    formatMigration,
+    getStatus,
+    migrate,
+    rollback
+};
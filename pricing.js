@@ -0,0 +1,420 @@
+// Package prices, upgrade paths, payment method fees and coupons
+//
+// Packages, upgrades and fees are defined in pricing.json; coupons are rows
+// in the coupons table so admins can add them without a deploy. Amounts are
+// in cents. getQuote() is pure and takes the catalog as an argument, so it is
+// also what the account page is shown through /api/pricing/quote.
+//
+// pricing.json:
+//   packages.<type>           - name, description, price_cents
+//   upgrades.<from>.<to>      - name, and price_cents (defaults to the
+//                               difference between the package prices)
+//   installment_plans.<type>  - installments and interval ("month"): the
+//                               package can be paid in equal recurring parts
+//   fees.<payment method>     - label, percent and/or fixed_cents, charged on
+//                               the price after any coupon (on each
+//                               installment for installment plans)
+//   invoices                  - issuer, details and number_prefix printed on
+//                               invoices (see invoices.js)
+const fs = require('fs');
+const path = require('path');
+
+const PRICING_FILE = path.join(__dirname, 'pricing.json');
+
+// Stripe does not accept smaller charges
+const MINIMUM_CHARGE_CENTS = 50;
+
+// Payments that use up one of a coupon's redemptions
+const REDEEMED_STATUSES = ['processing', 'completed', 'partially_refunded', 'disputed'];
+
+const COUPON_KINDS = ['promo', 'referral'];
+
+// How long a checkout holds one of a limited coupon's redemptions; its Stripe
+// session expires at the same time (Stripe allows 30 minutes to 24 hours)
+const COUPON_RESERVATION_MINUTES = 35;
+
+let cachedCatalog = null;
+
+function loadCatalog() {
+    if (!cachedCatalog) {
+        cachedCatalog = JSON.parse(fs.readFileSync(PRICING_FILE, 'utf8'));
+    }
+    return cachedCatalog;
+}
+
+// Package types from the cheapest up
+function getPackageTypes(catalog) {
+    return Object.keys(catalog.packages)
+        .sort((a, b) => catalog.packages[a].price_cents - catalog.packages[b].price_cents);
+}
+
+function getUpgrade(catalog, fromPackage, toPackage) {
+    const upgrade = catalog.upgrades[fromPackage] && catalog.upgrades[fromPackage][toPackage];
+    if (!upgrade || !catalog.packages[toPackage]) {
+        return null;
+    }
+    const priceCents = upgrade.price_cents !== undefined
+        ? upgrade.price_cents
+        : catalog.packages[toPackage].price_cents - catalog.packages[fromPackage].price_cents;
+    return { name: upgrade.name, price_cents: priceCents };
+}
+
+function getProcessingFee(catalog, paymentMethod, amountCents) {
+    const fee = catalog.fees[paymentMethod];
+    return Math.round(amountCents * (fee.percent || 0) / 100) + (fee.fixed_cents || 0);
+}
+
+function getDiscount(coupon, amountCents) {
+    if (!coupon) {
+        return 0;
+    }
+    const discountCents = coupon.percent_off
+        ? Math.round(amountCents * coupon.percent_off / 100)
+        : coupon.amount_off_cents;
+    return Math.min(discountCents, amountCents);
+}
+
+// What buying packageType costs. ownedPackage is the package the user has
+// already paid for, if any, which makes the purchase an upgrade. Returns
+// { error } when the purchase is not possible.
+function getQuote(catalog, { packageType, ownedPackage = null, paymentMethod = 'card', coupon = null }) {
+    const target = catalog.packages[packageType];
+    if (!target) {
+        return { error: `Unknown package: ${packageType}` };
+    }
+    if (!catalog.fees[paymentMethod]) {
+        return { error: `Unknown payment method: ${paymentMethod}` };
+    }
+
+    let paymentType = 'initial';
+    let productName = target.name;
+    let basePriceCents = target.price_cents;
+    if (ownedPackage) {
+        if (ownedPackage === packageType) {
+            return { error: 'You already have this package' };
+        }
+        const upgrade = getUpgrade(catalog, ownedPackage, packageType);
+        if (!upgrade) {
+            return { error: `There is no upgrade from ${ownedPackage} to ${packageType}` };
+        }
+        paymentType = 'upgrade';
+        productName = upgrade.name;
+        basePriceCents = upgrade.price_cents;
+    }
+
+    const discountCents = getDiscount(coupon, basePriceCents);
+    const processingFeeCents = getProcessingFee(catalog, paymentMethod, basePriceCents - discountCents);
+    const totalCents = basePriceCents - discountCents + processingFeeCents;
+    if (totalCents < MINIMUM_CHARGE_CENTS) {
+        return { error: 'This coupon cannot be used for this purchase' };
+    }
+
+    return {
+        packageType,
+        paymentType,
+        paymentMethod,
+        productName,
+        currency: catalog.currency,
+        basePriceCents,
+        discountCents,
+        processingFeeCents,
+        totalCents,
+        couponCode: coupon ? coupon.code : null
+    };
+}
+
+// The same purchase paid in installments: the price after any coupon is
+// split into equal parts (rounded up to the cent), each with its own fee.
+// Only new purchases of a package with an installment plan qualify. Returns
+// { error } when the purchase is not possible.
+function getInstallmentQuote(catalog, options) {
+    const plan = catalog.installment_plans && catalog.installment_plans[options.packageType];
+    if (!plan) {
+        return { error: 'This package cannot be paid in installments' };
+    }
+    if (options.ownedPackage) {
+        return { error: 'Upgrades cannot be paid in installments' };
+    }
+    const quote = getQuote(catalog, options);
+    if (quote.error) {
+        return quote;
+    }
+
+    const installmentBaseCents = Math.ceil((quote.basePriceCents - quote.discountCents) / plan.installments);
+    const installmentFeeCents = getProcessingFee(catalog, quote.paymentMethod, installmentBaseCents);
+    const installmentTotalCents = installmentBaseCents + installmentFeeCents;
+    if (installmentTotalCents < MINIMUM_CHARGE_CENTS) {
+        return { error: 'This coupon cannot be used for this purchase' };
+    }
+
+    return {
+        ...quote,
+        paymentType: 'installment',
+        installmentCount: plan.installments,
+        interval: plan.interval,
+        installmentBaseCents,
+        installmentDiscountCents: Math.ceil(quote.discountCents / plan.installments),
+        installmentFeeCents,
+        installmentTotalCents,
+        processingFeeCents: installmentFeeCents * plan.installments,
+        totalCents: installmentTotalCents * plan.installments
+    };
+}
+
+// Checkout sessions from before payment_type was stored in their metadata:
+// an upgrade was charged an upgrade price for its package
+function inferPaymentType(catalog, packageType, basePriceCents) {
+    const isUpgrade = Object.keys(catalog.upgrades).some(fromPackage => {
+        const upgrade = getUpgrade(catalog, fromPackage, packageType);
+        return upgrade && upgrade.price_cents === basePriceCents;
+    });
+    return isUpgrade ? 'upgrade' : 'initial';
+}
+
+// The catalog as shown to customers
+function getPublicCatalog(catalog) {
+    const upgrades = {};
+    Object.keys(catalog.upgrades).forEach(fromPackage => {
+        upgrades[fromPackage] = {};
+        Object.keys(catalog.upgrades[fromPackage]).forEach(toPackage => {
+            upgrades[fromPackage][toPackage] = getUpgrade(catalog, fromPackage, toPackage);
+        });
+    });
+    return {
+        currency: catalog.currency,
+        packages: getPackageTypes(catalog).map(type => ({ type, ...catalog.packages[type] })),
+        upgrades,
+        installment_plans: catalog.installment_plans || {},
+        fees: catalog.fees
+    };
+}
+
+// Coupons
+
+function normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function formatCoupon(row, redemptions) {
+    return {
+        code: row.code,
+        kind: row.kind,
+        percent_off: row.percent_off,
+        amount_off_cents: row.amount_off_cents,
+        packages: row.packages,
+        referrer_email: row.referrer_email,
+        max_redemptions: row.max_redemptions,
+        redemptions,
+        expires_at: row.expires_at,
+        active: row.active,
+        created_by: row.created_by,
+        created_at: row.created_at
+    };
+}
+
+async function getRedemptionCounts(db) {
+    const placeholders = REDEEMED_STATUSES.map((status, index) => `$${index + 1}`).join(', ');
+    const rows = await db.all(
+        `SELECT coupon_code, COUNT(*) AS count FROM payments WHERE coupon_code IS NOT NULL AND status IN (${placeholders}) GROUP BY coupon_code`,
+        REDEEMED_STATUSES
+    );
+    // An installment plan is one redemption however many installments it has
+    const plans = await db.all(
+        "SELECT coupon_code, COUNT(*) AS count FROM payment_plans WHERE coupon_code IS NOT NULL AND status IN ('active', 'past_due', 'completed') GROUP BY coupon_code"
+    );
+    const counts = {};
+    rows.concat(plans).forEach(row => {
+        counts[row.coupon_code] = (counts[row.coupon_code] || 0) + Number(row.count);
+    });
+    return counts;
+}
+
+async function getCoupon(db, code) {
+    const row = await db.get('SELECT * FROM coupons WHERE code = $1', [normalizeCode(code)]);
+    if (!row) {
+        return null;
+    }
+    const counts = await getRedemptionCounts(db);
+    return formatCoupon(row, counts[row.code] || 0);
+}
+
+// Newest first, with how often each has been used
+async function listCoupons(db) {
+    const rows = await db.all('SELECT * FROM coupons ORDER BY created_at DESC, code');
+    const counts = await getRedemptionCounts(db);
+    return rows.map(row => formatCoupon(row, counts[row.code] || 0));
+}
+
+// Reservations of code held by open checkouts: unexpired, and for a session
+// that is not yet a payment or plan (a recorded one is counted by
+// getRedemptionCounts, or has failed and freed the slot). beforeId counts only
+// the reservations made before that one.
+async function countReservations(db, code, beforeId = null) {
+    const params = [code, new Date()];
+    let sql = `
+        SELECT COUNT(*) AS count FROM coupon_reservations
+        WHERE coupon_code = $1 AND expires_at > $2 AND (stripe_session_id IS NULL OR (
+            stripe_session_id NOT IN (SELECT stripe_session_id FROM payments WHERE stripe_session_id IS NOT NULL)
+            AND stripe_session_id NOT IN (SELECT stripe_session_id FROM payment_plans WHERE stripe_session_id IS NOT NULL)
+        ))`;
+    if (beforeId !== null) {
+        params.push(beforeId);
+        sql += ' AND id < $3';
+    }
+    const row = await db.get(sql, params);
+    return Number(row.count);
+}
+
+// The coupon for code if email may use it on packageType. Returns
+// { coupon } or { error }.
+async function findUsableCoupon(db, code, { email, packageType }) {
+    const coupon = await getCoupon(db, code);
+    if (!coupon || !coupon.active) {
+        return { error: 'This coupon code is not valid' };
+    }
+    if (coupon.expires_at && new Date(coupon.expires_at) <= new Date()) {
+        return { error: 'This coupon code has expired' };
+    }
+    if (coupon.max_redemptions !== null) {
+        if (coupon.redemptions >= coupon.max_redemptions) {
+            return { error: 'This coupon code has been used up' };
+        }
+        if (coupon.redemptions + await countReservations(db, coupon.code) >= coupon.max_redemptions) {
+            return { error: 'This coupon code is held by a checkout in progress; try again later' };
+        }
+    }
+    if (coupon.packages && !coupon.packages.includes(packageType)) {
+        return { error: 'This coupon code does not apply to this package' };
+    }
+    if (coupon.referrer_email && coupon.referrer_email.toLowerCase() === String(email).toLowerCase()) {
+        return { error: 'You cannot use your own referral code' };
+    }
+    return { coupon };
+}
+
+// Hold one of a limited coupon's redemptions for a checkout about to be
+// created, so checkouts opened at the same time cannot all redeem its last
+// use. Reservations are numbered and each only counts those before it, so of
+// several made at once only as many as are left are kept. Returns
+// { reservation: { id, expiresAt } } (null for a coupon without
+// max_redemptions) or { error }.
+async function reserveCoupon(db, coupon, email) {
+    if (coupon.max_redemptions === null) {
+        return { reservation: null };
+    }
+    const expiresAt = new Date(Date.now() + COUPON_RESERVATION_MINUTES * 60 * 1000);
+    const row = await db.get(
+        'INSERT INTO coupon_reservations (coupon_code, user_email, expires_at) VALUES ($1, $2, $3) RETURNING id',
+        [coupon.code, email, expiresAt]
+    );
+    const redemptions = (await getRedemptionCounts(db))[coupon.code] || 0;
+    if (redemptions + await countReservations(db, coupon.code, row.id) >= coupon.max_redemptions) {
+        await releaseCouponReservation(db, row.id);
+        return { error: 'This coupon code is held by a checkout in progress; try again later' };
+    }
+    return { reservation: { id: row.id, expiresAt } };
+}
+
+// The checkout session the reservation is held for
+async function attachCouponReservation(db, id, sessionId) {
+    await db.run('UPDATE coupon_reservations SET stripe_session_id = $1 WHERE id = $2', [sessionId, id]);
+}
+
+// For a checkout session that could not be created
+async function releaseCouponReservation(db, id) {
+    await db.run('DELETE FROM coupon_reservations WHERE id = $1', [id]);
+}
+
+// Returns a message, or null when fields describe a valid new coupon
+function getCouponFieldsError(catalog, fields) {
+    const code = normalizeCode(fields.code);
+    if (!/^[A-Z0-9_-]{3,40}$/.test(code)) {
+        return 'code must be 3 to 40 letters, digits, dashes or underscores';
+    }
+    const kind = fields.kind || 'promo';
+    if (!COUPON_KINDS.includes(kind)) {
+        return `kind must be one of: ${COUPON_KINDS.join(', ')}`;
+    }
+    if (kind === 'referral' && !fields.referrer_email) {
+        return 'A referral coupon needs a referrer_email';
+    }
+    const hasPercent = fields.percent_off !== undefined && fields.percent_off !== null;
+    const hasAmount = fields.amount_off_cents !== undefined && fields.amount_off_cents !== null;
+    if (hasPercent === hasAmount) {
+        return 'Give either percent_off or amount_off_cents';
+    }
+    if (hasPercent && !(Number.isInteger(fields.percent_off) && fields.percent_off >= 1 && fields.percent_off <= 100)) {
+        return 'percent_off must be a whole number from 1 to 100';
+    }
+    if (hasAmount && !(Number.isInteger(fields.amount_off_cents) && fields.amount_off_cents > 0)) {
+        return 'amount_off_cents must be a positive whole number';
+    }
+    if (fields.packages !== undefined && fields.packages !== null) {
+        if (!Array.isArray(fields.packages) || fields.packages.length === 0 ||
+            !fields.packages.every(packageType => catalog.packages[packageType])) {
+            return `packages must list some of: ${getPackageTypes(catalog).join(', ')}`;
+        }
+    }
+    if (fields.max_redemptions !== undefined && fields.max_redemptions !== null &&
+        !(Number.isInteger(fields.max_redemptions) && fields.max_redemptions > 0)) {
+        return 'max_redemptions must be a positive whole number';
+    }
+    if (fields.expires_at && isNaN(new Date(fields.expires_at).getTime())) {
+        return `Invalid expires_at date: ${fields.expires_at}`;
+    }
+    return null;
+}
+
+// fields are checked with getCouponFieldsError() first. referrer_email is
+// stored lowercased, as account emails are. Returns the coupon, or null if the
+// code is taken.
+async function createCoupon(db, fields, createdBy) {
+    const code = normalizeCode(fields.code);
+    try {
+        await db.run(`
+            INSERT INTO coupons (code, kind, percent_off, amount_off_cents, packages, referrer_email, max_redemptions, expires_at, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+            code,
+            fields.kind || 'promo',
+            fields.percent_off ?? null,
+            fields.amount_off_cents ?? null,
+            fields.packages ? JSON.stringify(fields.packages) : null,
+            fields.referrer_email ? fields.referrer_email.toLowerCase() : null,
+            fields.max_redemptions ?? null,
+            fields.expires_at ? new Date(fields.expires_at) : null,
+            createdBy
+        ]);
+    } catch (error) {
+        if (error.code === '23505') {
+            return null;
+        }
+        throw error;
+    }
+    return getCoupon(db, code);
+}
+
+// Returns the coupon, or null if there is none
+async function deactivateCoupon(db, code) {
+    const row = await db.get('UPDATE coupons SET active = FALSE WHERE code = $1 RETURNING code', [normalizeCode(code)]);
+    return row ? getCoupon(db, row.code) : null;
+}
+
+module.exports = {
+    loadCatalog,
+    getPackageTypes,
+    getQuote,
+    getInstallmentQuote,
+    inferPaymentType,
+    getPublicCatalog,
+    normalizeCode,
+    getCoupon,
+    listCoupons,
+    findUsableCoupon,
+    reserveCoupon,
+    attachCouponReservation,
+    releaseCouponReservation,
+    getCouponFieldsError,
+    createCoupon,
+    deactivateCoupon
+};
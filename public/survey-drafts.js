@@ -0,0 +1,213 @@
+// Server-side survey drafts: debounced autosave to /api/survey-drafts and
+// resume on another device. The page keeps writing its localStorage copy;
+// this class mirrors it to the server and decides which copy wins on load.
+class SurveyDraftSync {
+    constructor(surveyType, options) {
+        this.surveyType = surveyType;
+        this.storageKey = options.storageKey;
+        this.getData = options.getData;
+        this.applyData = options.applyData;
+        this.delay = options.delay || 2000;
+        this.saveTimer = null;
+        this.saving = false;
+        this.pending = false;
+    }
+
+    // Sync bookkeeping lives next to the page's own localStorage entry
+    get metaKey() {
+        return `${this.storageKey}_sync`;
+    }
+
+    getMeta() {
+        try {
+            return JSON.parse(localStorage.getItem(this.metaKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    setMeta(meta) {
+        localStorage.setItem(this.metaKey, JSON.stringify({ ...this.getMeta(), ...meta }));
+    }
+
+    clear() {
+        clearTimeout(this.saveTimer);
+        localStorage.removeItem(this.metaKey);
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = localStorage.getItem('niw_jwt_token');
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return headers;
+    }
+
+    // Called by the page every time it writes its local copy
+    markChanged() {
+        this.setMeta({ localSavedAt: new Date().toISOString() });
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.delay);
+    }
+
+    // Send any unsaved changes immediately (page unload)
+    flush() {
+        if (!this.saveTimer) {
+            return;
+        }
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.save({ keepalive: true });
+    }
+
+    async save(options = {}) {
+        this.saveTimer = null;
+        if (this.saving) {
+            this.pending = true;
+            return;
+        }
+
+        const data = this.getData();
+        if (!data) {
+            return;
+        }
+
+        const { currentSection, ...responses } = data;
+        const meta = this.getMeta();
+        this.saving = true;
+
+        try {
+            const response = await fetch(`/api/survey-drafts/${this.surveyType}`, {
+                method: 'PUT',
+                headers: this.getHeaders(),
+                keepalive: options.keepalive === true,
+                body: JSON.stringify({
+                    responses,
+                    currentSection,
+                    baseUpdatedAt: meta.serverUpdatedAt || null
+                })
+            });
+            const result = await response.json();
+
+            if (response.status === 409) {
+                this.resolveConflict(result.draft);
+            } else if (result.success) {
+                this.setMeta({ serverUpdatedAt: result.draft.updated_at, syncedAt: result.draft.updated_at });
+            } else {
+                console.error('Failed to save survey draft:', result.error);
+            }
+        } catch (error) {
+            // Offline or server unavailable: the localStorage copy is still there
+            console.error('Error saving survey draft:', error);
+        } finally {
+            this.saving = false;
+            if (this.pending) {
+                this.pending = false;
+                this.scheduleSave();
+            }
+        }
+    }
+
+    // Restore on page load. Returns the data that was applied, or null.
+    async load() {
+        const localData = this.readLocal();
+        const meta = this.getMeta();
+        let serverDraft = null;
+
+        try {
+            const response = await fetch(`/api/survey-drafts/${this.surveyType}`, {
+                headers: this.getHeaders()
+            });
+            const result = await response.json();
+            if (result.success) {
+                serverDraft = result.draft;
+            }
+        } catch (error) {
+            console.error('Error loading survey draft:', error);
+        }
+
+        if (!serverDraft) {
+            if (localData) {
+                this.applyData(localData);
+                this.scheduleSave();
+            }
+            return localData;
+        }
+
+        if (!localData) {
+            return this.useServerDraft(serverDraft);
+        }
+
+        const serverChanged = !meta.serverUpdatedAt ||
+            new Date(meta.serverUpdatedAt).getTime() !== new Date(serverDraft.updated_at).getTime();
+        const localChanged = !meta.syncedAt ||
+            (meta.localSavedAt && new Date(meta.localSavedAt) > new Date(meta.syncedAt));
+
+        if (!serverChanged) {
+            this.applyData(localData);
+            if (localChanged) {
+                this.scheduleSave();
+            }
+            return localData;
+        }
+
+        if (!localChanged) {
+            return this.useServerDraft(serverDraft);
+        }
+
+        return this.resolveConflict(serverDraft, localData);
+    }
+
+    readLocal() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error('Error reading local survey data:', e);
+            return null;
+        }
+    }
+
+    useServerDraft(draft) {
+        const data = { ...draft.responses };
+        if (draft.current_section !== null && draft.current_section !== undefined) {
+            data.currentSection = draft.current_section;
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+        this.setMeta({ serverUpdatedAt: draft.updated_at, syncedAt: draft.updated_at, localSavedAt: draft.updated_at });
+        this.applyData(data);
+        console.log('Survey draft restored from server');
+        return data;
+    }
+
+    // Both this browser and another device changed the draft: let the user pick
+    resolveConflict(serverDraft, localData) {
+        const meta = this.getMeta();
+        const serverTime = new Date(serverDraft.updated_at).toLocaleString();
+        const localTime = meta.localSavedAt ? new Date(meta.localSavedAt).toLocaleString() : 'unknown';
+
+        const useServer = window.confirm(
+            `Your answers to this survey were also saved on another device (${serverTime}).\n\n` +
+            `OK: load the answers from the other device.\n` +
+            `Cancel: keep the answers on this device (last edited ${localTime}).`
+        );
+
+        if (useServer) {
+            return this.useServerDraft(serverDraft);
+        }
+
+        // Overwrite the other device's copy on the next save
+        const data = localData || this.readLocal();
+        if (localData) {
+            this.applyData(localData);
+        }
+        this.setMeta({ serverUpdatedAt: serverDraft.updated_at });
+        this.scheduleSave();
+        return data;
+    }
+}
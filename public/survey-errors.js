@@ -0,0 +1,38 @@
+// Inline display of the per-field errors the survey submit endpoints return:
+// { success: false, error, errors: [{ field, code, message }] }
+function clearSubmissionErrors(form) {
+    form.querySelectorAll('.field-error').forEach(message => message.remove());
+    form.querySelectorAll('.form-group .error').forEach(input => input.classList.remove('error'));
+}
+
+// Mark each field and put its message under it. Returns the section holding
+// the first error (so the page can navigate there) and any errors for fields
+// that are not on the page.
+function showSubmissionErrors(form, errors) {
+    clearSubmissionErrors(form);
+    let firstSection = null;
+    const unplaced = [];
+
+    errors.forEach(error => {
+        const name = CSS.escape(error.field);
+        const inputs = form.querySelectorAll(`[name="${name}"], [name="${name}[]"]`);
+        if (inputs.length === 0) {
+            unplaced.push(error);
+            return;
+        }
+
+        inputs.forEach(input => input.classList.add('error'));
+        const group = inputs[0].closest('.form-group');
+        if (group) {
+            const message = document.createElement('div');
+            message.className = 'field-error';
+            message.textContent = error.message;
+            group.appendChild(message);
+        }
+        if (!firstSection) {
+            firstSection = inputs[0].closest('[data-section]');
+        }
+    });
+
+    return { firstSection, unplaced };
+}
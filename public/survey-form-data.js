@@ -0,0 +1,34 @@
+// Survey answers as a plain object, for submissions and saved drafts, and
+// back into the form. Checkbox groups are named "<field>[]" (survey-renderer.js)
+// and keep every checked value in an array; other fields hold one value.
+function formDataToObject(formData) {
+    const data = {};
+    new Set(formData.keys()).forEach(key => {
+        data[key] = key.endsWith('[]') ? formData.getAll(key) : formData.get(key);
+    });
+    return data;
+}
+
+function getFormValues(form) {
+    return formDataToObject(new FormData(form));
+}
+
+// Fill the form from saved answers, checking each saved value of a checkbox
+// group. Keys that are not fields (such as currentSection) are skipped.
+function setFormValues(form, data) {
+    Object.keys(data).forEach(key => {
+        const values = (Array.isArray(data[key]) ? data[key] : [data[key]]).map(String);
+        form.querySelectorAll(`[name="${CSS.escape(key)}"]`).forEach(field => {
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                field.checked = values.includes(field.value);
+            } else {
+                field.value = data[key];
+            }
+        });
+    });
+}
+
+// The tests load the conversion without a browser
+if (typeof module !== 'undefined') {
+    module.exports = { formDataToObject };
+}
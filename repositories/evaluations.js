@@ -0,0 +1,34 @@
+// EvaluationRepository: the free eligibility evaluation. Rows are keyed by the
+// email typed into the form, which need not belong to an account.
+
+// fields: the submitted form; evaluation: eligibility-scoring.js scoreEvaluation
+async function create(db, fields, evaluation) {
+    return db.run(`
+        INSERT INTO evaluation_responses (
+            email, name, education, publications, citations, research_field,
+            work_experience, current_position, awards, grants, patents,
+            research_description, timeline, evaluation_score, evaluation_recommendations,
+            evaluation_details
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    `, [
+        fields.email, fields.name, fields.education, parseInt(fields.publications), parseInt(fields.citations), fields.research_field,
+        parseInt(fields.work_experience), fields.current_position, fields.awards, fields.grants, fields.patents,
+        fields.research_description || null, fields.timeline || null, evaluation.score, evaluation.recommendations.join('; '),
+        JSON.stringify(evaluation)
+    ]);
+}
+
+async function hasEvaluation(db, email) {
+    return !!(await db.get('SELECT 1 AS found FROM evaluation_responses WHERE email = $1 LIMIT 1', [email]));
+}
+
+// Returns the number deleted
+async function deleteForEmail(db, email) {
+    return (await db.run('DELETE FROM evaluation_responses WHERE email = $1', [email])).changes;
+}
+
+module.exports = {
+    create,
+    hasEvaluation,
+    deleteForEmail
+};
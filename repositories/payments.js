@@ -0,0 +1,85 @@
+// PaymentRepository: payments and installment plans as the routes read them
+//
+// Stripe events write payments through stripe-webhooks.js, which also derives
+// users.paid from them (syncPaidStatus); call that after recording a payment
+// here.
+const { v4: uuidv4 } = require('uuid');
+
+// id: a route parameter; anything but a whole number finds nothing
+async function findById(db, id) {
+    if (!/^\d+$/.test(String(id))) {
+        return null;
+    }
+    return db.get('SELECT * FROM payments WHERE id = $1', [parseInt(id, 10)]);
+}
+
+// Every column, newest first (staff exports)
+async function listForUser(db, email) {
+    return db.all('SELECT * FROM payments WHERE user_email = $1 ORDER BY created_at DESC', [email]);
+}
+
+// What the account page shows, with each payment's invoice number once issued
+async function listHistory(db, email) {
+    return db.all(`
+        SELECT p.id, p.amount_cents, p.amount_dollars, p.amount_refunded_cents, p.package_type, p.payment_type, p.payment_method, p.status, p.created_at, i.invoice_number
+        FROM payments p
+        LEFT JOIN invoices i ON i.payment_id = p.id
+        WHERE p.user_email = $1
+        ORDER BY p.created_at DESC
+    `, [email]);
+}
+
+async function listPlans(db, email) {
+    return db.all(`
+        SELECT id, package_type, payment_method, installment_count, installment_amount_cents, installments_paid, status, next_payment_at, created_at
+        FROM payment_plans
+        WHERE user_email = $1
+        ORDER BY created_at DESC
+    `, [email]);
+}
+
+// An installment plan still being paid off (active or past due), or null
+async function findOpenPlan(db, email) {
+    return db.get("SELECT id FROM payment_plans WHERE user_email = $1 AND status IN ('active', 'past_due')", [email]);
+}
+
+async function findBySession(db, sessionId, email) {
+    return db.get('SELECT status, package_type FROM payments WHERE stripe_session_id = $1 AND user_email = $2', [sessionId, email]);
+}
+
+async function findPlanBySession(db, sessionId, email) {
+    return db.get('SELECT payment_method, installments_paid FROM payment_plans WHERE stripe_session_id = $1 AND user_email = $2', [sessionId, email]);
+}
+
+// A completed payment that did not come through Stripe checkout
+async function recordManual(db, payment, recordedBy) {
+    return db.run(`
+        INSERT INTO payments (user_email, stripe_session_id, amount_cents, amount_dollars, package_type, payment_type, payment_method, base_price_cents, processing_fee_cents, status, note, recorded_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'completed', $10, $11)
+    `, [
+        payment.user_email, payment.stripe_session_id, payment.amount_cents, payment.amount_dollars ?? payment.amount_cents / 100,
+        payment.package_type, payment.payment_type, payment.payment_method || 'card', payment.base_price_cents || 0,
+        payment.processing_fee_cents || 0, payment.note || null, recordedBy
+    ]);
+}
+
+// A zero-amount manual_adjustment entry that grants (paid) or revokes the
+// package, with the reason as its note
+async function recordAdjustment(db, { email, packageType, paid, reason }, recordedBy) {
+    return db.run(`
+        INSERT INTO payments (user_email, stripe_session_id, amount_cents, amount_dollars, package_type, payment_type, payment_method, status, note, recorded_by)
+        VALUES ($1, $2, 0, 0, $3, 'manual_adjustment', 'manual', $4, $5, $6)
+    `, [email, `manual-${uuidv4()}`, packageType, paid ? 'completed' : 'revoked', reason, recordedBy]);
+}
+
+module.exports = {
+    findById,
+    listForUser,
+    listHistory,
+    listPlans,
+    findOpenPlan,
+    findBySession,
+    findPlanBySession,
+    recordManual,
+    recordAdjustment
+};
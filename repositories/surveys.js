@@ -0,0 +1,78 @@
+// SurveyRepository: submitted surveys and in-progress drafts
+//
+// Submitting and reading revisions is survey-revisions.js; this covers the
+// rest of the survey tables: the drafts that autosave answers across devices,
+// the staff listings and deleting a client's answers.
+const { v4: uuidv4 } = require('uuid');
+const surveyRevisions = require('../survey-revisions');
+
+const DRAFT_SURVEY_TYPES = ['first', 'second'];
+
+// Most recent submissions of a survey ('first' or 'second'), every revision
+async function listRecent(db, surveyType, limit = 5) {
+    return db.all(
+        `SELECT id, user_email, responses, created_at FROM ${surveyRevisions.getTable(surveyType)} ORDER BY created_at DESC LIMIT $1`,
+        [limit]
+    );
+}
+
+async function hasSubmission(db, surveyType, email) {
+    const row = await db.get(
+        `SELECT 1 AS found FROM ${surveyRevisions.getTable(surveyType)} WHERE user_email = $1 LIMIT 1`,
+        [email]
+    );
+    return !!row;
+}
+
+// Every revision of the user's survey. Returns the number deleted.
+async function deleteSubmissions(db, surveyType, email) {
+    const result = await db.run(`DELETE FROM ${surveyRevisions.getTable(surveyType)} WHERE user_email = $1`, [email]);
+    return result.changes;
+}
+
+function formatDraft(draft) {
+    return draft ? {
+        survey_type: draft.survey_type,
+        responses: typeof draft.responses === 'string' ? JSON.parse(draft.responses) : draft.responses,
+        current_section: draft.current_section,
+        updated_at: draft.updated_at
+    } : null;
+}
+
+// The stored row, or null
+async function getDraft(db, email, surveyType) {
+    return db.get('SELECT * FROM survey_drafts WHERE user_email = $1 AND survey_type = $2', [email, surveyType]);
+}
+
+// Insert or replace the user's draft. Returns the stored row.
+async function saveDraft(db, email, surveyType, { responses, currentSection, updatedAt }) {
+    return db.get(`
+        INSERT INTO survey_drafts (id, user_email, survey_type, responses, current_section, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (user_email, survey_type) DO UPDATE SET
+            responses = EXCLUDED.responses,
+            current_section = EXCLUDED.current_section,
+            updated_at = EXCLUDED.updated_at
+        RETURNING *
+    `, [uuidv4(), email, surveyType, JSON.stringify(responses), currentSection, updatedAt]);
+}
+
+// One survey's draft, or all of the user's drafts without surveyType.
+// Returns the number deleted.
+async function deleteDrafts(db, email, surveyType) {
+    const result = surveyType
+        ? await db.run('DELETE FROM survey_drafts WHERE user_email = $1 AND survey_type = $2', [email, surveyType])
+        : await db.run('DELETE FROM survey_drafts WHERE user_email = $1', [email]);
+    return result.changes;
+}
+
+module.exports = {
+    DRAFT_SURVEY_TYPES,
+    listRecent,
+    hasSubmission,
+    deleteSubmissions,
+    formatDraft,
+    getDraft,
+    saveDraft,
+    deleteDrafts
+};
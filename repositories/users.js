@@ -0,0 +1,72 @@
+// UserRepository: the users table
+//
+// Rows are returned as stored (paid, role, package_type ...); turning one into
+// the signed-in user is auth-middleware.js' job. Paid status is derived from
+// the payment history by stripe-webhooks.js syncPaidStatus, not set here.
+
+async function findByEmail(db, email) {
+    return db.get('SELECT * FROM users WHERE email = $1', [email]);
+}
+
+async function create(db, email, passwordHash) {
+    return db.run('INSERT INTO users (email, password_hash) VALUES ($1, $2)', [email, passwordHash]);
+}
+
+async function markEmailVerified(db, email, verifiedAt = new Date()) {
+    return db.run('UPDATE users SET email_verified = TRUE, email_verified_at = $1 WHERE email = $2', [verifiedAt, email]);
+}
+
+// Receiving a reset email also proves ownership of the address
+async function resetPassword(db, email, passwordHash, verifiedAt = new Date()) {
+    return db.run(
+        'UPDATE users SET password_hash = $1, email_verified = TRUE, email_verified_at = COALESCE(email_verified_at, $2) WHERE email = $3',
+        [passwordHash, verifiedAt, email]
+    );
+}
+
+async function setPackageType(db, email, packageType) {
+    return db.run('UPDATE users SET package_type = $1 WHERE email = $2', [packageType, email]);
+}
+
+// role: a staff-roles.js role, or null. Returns { email, role }, or null for
+// an unknown account.
+async function setRole(db, email, role) {
+    return db.get('UPDATE users SET role = $1 WHERE email = $2 RETURNING email, role', [role, email]);
+}
+
+async function listStaff(db) {
+    return db.all('SELECT email, role, created_at FROM users WHERE role IS NOT NULL ORDER BY email');
+}
+
+// Every account with whether it has submitted each survey and the evaluation
+async function listWithSurveyStatus(db) {
+    return db.all(`
+        SELECT
+            u.email,
+            u.paid,
+            u.package_type,
+            CASE WHEN u.email IN (SELECT user_email FROM first_survey_responses) THEN true ELSE false END as first_survey_completed,
+            CASE WHEN u.email IN (SELECT user_email FROM second_survey_responses) THEN true ELSE false END as second_survey_completed,
+            CASE WHEN u.email IN (SELECT email FROM evaluation_responses) THEN true ELSE false END as evaluation_completed
+        FROM users u
+        ORDER BY u.email
+    `);
+}
+
+// Forms and letter drafts are released once a client's installments are all paid
+async function hasInstallmentsOutstanding(db, email) {
+    const user = await db.get('SELECT installments_outstanding FROM users WHERE email = $1', [email]);
+    return !!user && user.installments_outstanding === true;
+}
+
+module.exports = {
+    findByEmail,
+    create,
+    markEmailVerified,
+    resetPassword,
+    setPackageType,
+    setRole,
+    listStaff,
+    listWithSurveyStatus,
+    hasInstallmentsOutstanding
+};
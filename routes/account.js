@@ -0,0 +1,324 @@
+// Account routes: registration, login and logout, email verification,
+// password reset and the signed-in user
+const express = require('express');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const authTokens = require('../auth-tokens');
+const mailer = require('../mailer');
+const pricing = require('../pricing');
+const tokenStore = require('../token-store');
+const users = require('../repositories/users');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Links in emails point at APP_BASE_URL when set, otherwise at the host of the request
+function getBaseUrl(req) {
+    return process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function createAccountRoutes({ db, auth, config }) {
+    const router = express.Router();
+    const { verifyJWT, createUserToken, getAuthenticatedUser, requireUser } = auth;
+
+    async function sendVerificationEmail(req, email) {
+        const { token } = await authTokens.createToken(db, email, 'email_verification');
+        const link = `${getBaseUrl(req)}/account?verify=${token}`;
+        await mailer.sendMail({
+            to: email,
+            subject: 'Verify your TurboNIW email address',
+            text: `Please confirm that this is your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours. If you did not create a TurboNIW account, you can ignore this email.`
+        });
+    }
+
+    async function sendPasswordResetEmail(req, email) {
+        const { token } = await authTokens.createToken(db, email, 'password_reset');
+        const link = `${getBaseUrl(req)}/account?reset=${token}`;
+        await mailer.sendMail({
+            to: email,
+            subject: 'Reset your TurboNIW password',
+            text: `We received a request to reset the password for your TurboNIW account. Open the link below to choose a new password:\n\n${link}\n\nThe link expires in 1 hour and can be used once. If you did not request a reset, you can ignore this email; your password has not changed.`
+        });
+    }
+
+    router.post('/api/register', async (req, res) => {
+        try {
+            const { email, password } = req.body;
+            if (!email || !password) return res.status(400).json({ success: false, error: 'Email and password required' });
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+            }
+
+            const hashedPassword = await bcrypt.hash(password, 10);
+            await users.create(db, email.toLowerCase(), hashedPassword);
+
+            // Create JWT token
+            const token = await createUserToken({
+                email: email.toLowerCase(),
+                paid: false,
+                packageType: null
+            });
+
+            // Also set session for backward compatibility
+            req.session.user = {
+                email: email.toLowerCase(),
+                paid: false,
+                packageType: null,
+                tokenVersion: 0
+            };
+
+            // Ask the user to prove they own the address; the account works meanwhile
+            let verificationSent = true;
+            try {
+                await sendVerificationEmail(req, email.toLowerCase());
+            } catch (mailError) {
+                verificationSent = false;
+                console.error('Error sending verification email:', mailError);
+            }
+
+            res.json({ success: true, token, verificationSent });
+        } catch (e) {
+            console.error(e);
+            if (e.code === '23505') { // Unique constraint violation
+                res.status(400).json({ success: false, error: 'Email already registered. Please login instead.' });
+            } else {
+                res.status(500).json({ success: false, error: 'Internal server error' });
+            }
+        }
+    });
+
+    router.post('/api/login', async (req, res) => {
+        try {
+            console.log('Login attempt received for email:', req.body.email);
+            const { email, password } = req.body;
+            if (!email || !password) {
+                console.log('Missing email or password');
+                return res.status(400).json({ success: false, error: 'Email and password required' });
+            }
+
+            const user = await users.findByEmail(db, email.toLowerCase());
+            if (!user) {
+                console.log('User not found in database');
+                return res.status(404).json({ success: false, error: 'No account found. Please create an account.' });
+            }
+
+            const ok = await bcrypt.compare(password, user.password_hash);
+            if (!ok) {
+                console.log('Password comparison failed');
+                return res.status(401).json({ success: false, error: 'Incorrect password' });
+            }
+
+            console.log('Login successful, setting session for user:', email);
+
+            // Create JWT token
+            const token = await createUserToken({
+                email: user.email,
+                paid: user.paid === true,
+                packageType: user.package_type || 'full'
+            });
+
+            // Also set session for backward compatibility
+            req.session.user = {
+                email: user.email,
+                paid: user.paid === true,
+                packageType: user.package_type || 'full',
+                tokenVersion: Number(user.token_version || 0)
+            };
+
+            res.json({ success: true, token });
+        } catch (e) {
+            console.error('Login error:', e);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    // Email verification
+    router.post('/api/email-verification/request', requireUser, async (req, res) => {
+        try {
+            if (req.currentUser.emailVerified) {
+                return res.json({ success: true, alreadyVerified: true });
+            }
+
+            await sendVerificationEmail(req, req.currentUser.email);
+            res.json({ success: true, message: 'Verification email sent' });
+        } catch (error) {
+            console.error('Error requesting email verification:', error);
+            res.status(500).json({ success: false, error: 'Failed to send verification email' });
+        }
+    });
+
+    router.post('/api/email-verification/confirm', async (req, res) => {
+        try {
+            const email = await authTokens.consumeToken(db, req.body.token, 'email_verification');
+            if (!email) {
+                return res.status(400).json({ success: false, error: 'This verification link is invalid or has expired. Please request a new one.' });
+            }
+
+            await users.markEmailVerified(db, email);
+            console.log(`Email verified for user: ${email}`);
+            res.json({ success: true, email });
+        } catch (error) {
+            console.error('Error confirming email verification:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    // Password reset (the response never reveals whether an account exists)
+    const passwordResetLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 5,
+        message: { success: false, error: 'Too many password reset requests. Please try again later.' },
+        standardHeaders: true,
+        legacyHeaders: false
+    });
+
+    router.post('/api/password-reset/request', passwordResetLimiter, async (req, res) => {
+        try {
+            const { email } = req.body;
+            if (!email) {
+                return res.status(400).json({ success: false, error: 'Email required' });
+            }
+
+            const user = await users.findByEmail(db, email.toLowerCase());
+            if (user) {
+                await sendPasswordResetEmail(req, user.email);
+            } else {
+                console.log('Password reset requested for unknown email:', email);
+            }
+
+            res.json({ success: true, message: 'If an account exists for this email, a password reset link has been sent.' });
+        } catch (error) {
+            console.error('Error requesting password reset:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    router.post('/api/password-reset/confirm', async (req, res) => {
+        try {
+            const { token, password } = req.body;
+            if (!token || !password) {
+                return res.status(400).json({ success: false, error: 'Token and new password required' });
+            }
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+            }
+
+            const email = await authTokens.consumeToken(db, token, 'password_reset');
+            if (!email) {
+                return res.status(400).json({ success: false, error: 'This reset link is invalid or has expired. Please request a new one.' });
+            }
+
+            await users.resetPassword(db, email, await bcrypt.hash(password, 10));
+
+            // Sessions opened with the old password must not survive the reset
+            await tokenStore.revokeAllForUser(db, email);
+
+            console.log(`Password reset for user: ${email}`);
+            res.json({ success: true, message: 'Your password has been reset. Please log in with your new password.' });
+        } catch (error) {
+            console.error('Error confirming password reset:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    router.post('/api/logout', async (req, res) => {
+        // Get JWT token from request headers
+        const token = req.headers.authorization?.replace('Bearer ', '');
+
+        // Revoke the token until it expires
+        if (token) {
+            try {
+                const decoded = jwt.verify(token, config.JWT_SECRET);
+                await tokenStore.revokeToken(db, token, decoded);
+                console.log('JWT token revoked on logout');
+            } catch (error) {
+                // Invalid or expired tokens cannot be used anyway
+                console.log('Logout with unusable JWT token:', error.message);
+            }
+        }
+
+        // Destroy session
+        req.session.destroy(() => {
+            res.json({ success: true });
+        });
+    });
+
+    // Log out every device: tokens issued before now stop working
+    router.post('/api/logout-all', requireUser, async (req, res) => {
+        try {
+            const userEmail = req.currentUser.email;
+            await tokenStore.revokeAllForUser(db, userEmail);
+            console.log(`All sessions logged out for user: ${userEmail}`);
+
+            req.session.destroy(() => {
+                res.json({ success: true });
+            });
+        } catch (error) {
+            console.error('Error logging out all sessions:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    router.get('/api/me', verifyJWT, async (req, res) => {
+        try {
+            // Always fetch fresh data from database for accurate payment status
+            const user = await getAuthenticatedUser(req);
+            if (!user) {
+                return res.json({ success: true, user: null });
+            }
+
+            // Update session with fresh data. A JWT holder without one (e.g.
+            // after the server restarted) gets a session, which the survey
+            // page and invoice links from the account page rely on.
+            if (req.user && req.session.user?.email !== user.email) {
+                req.session.user = {
+                    email: user.email,
+                    paid: user.paid,
+                    packageType: user.packageType,
+                    tokenVersion: Number(req.user.ver || 0)
+                };
+            } else if (req.session.user) {
+                req.session.user.paid = user.paid;
+                req.session.user.packageType = user.packageType;
+            }
+
+            // Return fresh user data
+            res.json({ success: true, user });
+        } catch (error) {
+            console.error('Error in /api/me:', error);
+            res.json({ success: false, user: null });
+        }
+    });
+
+    // Record the package an unpaid user chose before checkout. Once paid, the
+    // package follows the payments (see syncPaidStatus in stripe-webhooks.js).
+    router.post('/api/set-package', requireUser, async (req, res) => {
+        try {
+            const { packageType } = req.body;
+            const userEmail = req.currentUser.email;
+
+            if (!pricing.getPackageTypes(pricing.loadCatalog()).includes(packageType)) {
+                return res.status(400).json({ success: false, error: `Unknown package: ${packageType}` });
+            }
+            if (req.currentUser.paid) {
+                return res.status(403).json({ success: false, error: 'Your package is set by your payments; buy an upgrade to change it' });
+            }
+
+            await users.setPackageType(db, userEmail, packageType);
+
+            // Update session if it exists
+            if (req.session.user) {
+                req.session.user.packageType = packageType;
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error setting package type:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAccountRoutes };
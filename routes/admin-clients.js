@@ -0,0 +1,395 @@
+// Data management routes: staff viewing, exporting and clearing client data,
+// survey revisions, PDF forms and petition letter drafts. Every call that
+// reads, exports or deletes client data is audited (see audit-log.js).
+const express = require('express');
+const formFiller = require('../form-filler');
+const letterGenerator = require('../letter-generator');
+const surveyMappings = require('../survey-mappings');
+const surveyRevisions = require('../survey-revisions');
+const clientData = require('../client-data');
+const users = require('../repositories/users');
+const surveys = require('../repositories/surveys');
+const evaluations = require('../repositories/evaluations');
+
+const CLEARABLE_SURVEY_TYPES = ['first', 'second', 'evaluation'];
+
+function createAdminClientRoutes({ db, auth }) {
+    const router = express.Router();
+    const { requireStaff, audited } = auth;
+
+    // Admin endpoint to check first survey responses
+    router.get('/api/first-survey-responses', audited('first_survey.list'), requireStaff('view'), async (req, res) => {
+        try {
+            const responses = await surveys.listRecent(db, 'first');
+            res.locals.audit = { recordCount: responses.length };
+            res.json({ success: true, responses });
+        } catch (error) {
+            console.error('Error fetching first survey responses:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch responses' });
+        }
+    });
+
+    // Admin endpoint to check second survey responses
+    router.get('/api/survey-responses', audited('second_survey.list'), requireStaff('view'), async (req, res) => {
+        try {
+            const responses = await surveys.listRecent(db, 'second');
+            res.locals.audit = { recordCount: responses.length };
+            res.json({ success: true, responses });
+        } catch (error) {
+            console.error('Error fetching survey responses:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch responses' });
+        }
+    });
+
+    // Get all users with survey completion status
+    router.get('/api/admin/users', audited('client_list.view'), requireStaff('view'), async (req, res) => {
+        try {
+            const rows = await users.listWithSurveyStatus(db);
+            res.locals.audit = { recordCount: rows.length };
+            res.json(rows);
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            res.status(500).json({ error: 'Failed to fetch users' });
+        }
+    });
+
+    // Get individual user data for download
+    const userDataAction = req => req.query.format === 'csv' ? 'client_data.export' : 'client_data.view';
+    router.get('/api/admin/user-data/:email', audited(userDataAction), requireStaff('view'), async (req, res) => {
+        try {
+            const { email } = req.params;
+            const { format = 'json' } = req.query;
+
+            const userData = await clientData.loadClientData(db, email);
+            if (!userData) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.locals.audit = { recordCount: clientData.countRecords(userData), details: { format } };
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', `attachment; filename="niw-survey-${email}-data.csv"`);
+                res.send(clientData.toCSV(userData));
+            } else {
+                res.json(userData);
+            }
+        } catch (error) {
+            console.error('Error fetching user data:', error);
+            res.status(500).json({ error: 'Failed to fetch user data' });
+        }
+    });
+
+    // Compare a user's second survey with the full v4 mapping
+    router.get('/api/admin/user-data/:email/mapping-diff', audited('client_data.view'), requireStaff('view'), async (req, res) => {
+        try {
+            const { email } = req.params;
+
+            const secondSurvey = await surveyRevisions.getCurrentRevision(db, 'second', email);
+            if (!secondSurvey) {
+                return res.status(404).json({ error: 'No second survey found for this user' });
+            }
+
+            const submission = surveyMappings.describeSubmission(secondSurvey);
+            const diff = surveyMappings.diffAgainstReference(secondSurvey.responses, submission.survey_variant);
+
+            res.json({
+                success: true,
+                email,
+                submission_id: secondSurvey.id,
+                mapping_version: submission.mapping_version,
+                variant_inferred: submission.variant_inferred,
+                ...diff
+            });
+        } catch (error) {
+            console.error('Error building mapping diff:', error);
+            res.status(500).json({ error: 'Failed to build mapping diff' });
+        }
+    });
+
+    // List every submitted revision of a user's survey ('first' or 'second')
+    router.get('/api/admin/user-data/:email/revisions/:surveyType', audited('client_revisions.view'), requireStaff('view'), async (req, res) => {
+        try {
+            const { email, surveyType } = req.params;
+            if (!surveyRevisions.SURVEY_TABLES[surveyType]) {
+                return res.status(400).json({ error: 'Invalid survey type. Must be: first or second' });
+            }
+
+            const revisions = await surveyRevisions.listRevisions(db, surveyType, email);
+            const current = revisions.find(revision => revision.is_current);
+
+            res.locals.audit = { recordCount: revisions.length, details: { survey_type: surveyType } };
+            res.json({
+                success: true,
+                email,
+                survey_type: surveyType,
+                current_revision: current ? current.revision : null,
+                revisions
+            });
+        } catch (error) {
+            console.error('Error listing survey revisions:', error);
+            res.status(500).json({ error: 'Failed to list survey revisions' });
+        }
+    });
+
+    // Field-level diff between two revisions (defaults: current vs the one before it)
+    router.get('/api/admin/user-data/:email/revisions/:surveyType/diff', audited('client_revisions.view'), requireStaff('view'), async (req, res) => {
+        try {
+            const { email, surveyType } = req.params;
+            if (!surveyRevisions.SURVEY_TABLES[surveyType]) {
+                return res.status(400).json({ error: 'Invalid survey type. Must be: first or second' });
+            }
+
+            const current = await surveyRevisions.getCurrentRevision(db, surveyType, email);
+            if (!current) {
+                return res.status(404).json({ error: 'No submissions found for this survey' });
+            }
+
+            const to = req.query.to ? parseInt(req.query.to, 10) : current.revision;
+            const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+            if (!Number.isInteger(from) || !Number.isInteger(to)) {
+                return res.status(400).json({ error: 'from and to must be revision numbers' });
+            }
+
+            const fromRevision = await surveyRevisions.getRevision(db, surveyType, email, from);
+            const toRevision = await surveyRevisions.getRevision(db, surveyType, email, to);
+            if (!fromRevision || !toRevision) {
+                return res.status(404).json({ error: `Revision ${!fromRevision ? from : to} not found` });
+            }
+
+            const diff = surveyRevisions.diffResponses(fromRevision.responses, toRevision.responses);
+            res.locals.audit = { recordCount: 2, details: { survey_type: surveyType, from, to } };
+
+            // Second survey fields are placeholders; show the question they stand for
+            if (surveyType === 'second') {
+                const submission = surveyMappings.describeSubmission(toRevision);
+                [...diff.added, ...diff.removed, ...diff.changed].forEach(entry => {
+                    entry.question = clientData.secondSurveyQuestion(submission, entry.field);
+                });
+            }
+
+            res.json({
+                success: true,
+                email,
+                survey_type: surveyType,
+                from: { revision: fromRevision.revision, created_at: fromRevision.created_at },
+                to: { revision: toRevision.revision, created_at: toRevision.created_at },
+                ...diff
+            });
+        } catch (error) {
+            console.error('Error diffing survey revisions:', error);
+            res.status(500).json({ error: 'Failed to diff survey revisions' });
+        }
+    });
+
+    // Bulk download endpoint (one audit event for the whole export, listing the emails)
+    router.post('/api/admin/bulk-download', audited('client_data.bulk_export', { target: () => null }), requireStaff('export'), async (req, res) => {
+        try {
+            const { emails, format = 'json' } = req.body;
+
+            if (!emails || !Array.isArray(emails) || emails.length === 0) {
+                return res.status(400).json({ error: 'No emails provided' });
+            }
+
+            // Unknown emails are left out
+            const userDataArray = [];
+            for (const email of emails) {
+                const userData = await clientData.loadClientData(db, email);
+                if (userData) {
+                    userDataArray.push(userData);
+                }
+            }
+
+            res.locals.audit = {
+                recordCount: userDataArray.length,
+                details: { format, emails: userDataArray.map(userData => userData.user.email) }
+            };
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', `attachment; filename="niw-survey-bulk-${userDataArray.length}-users-data.csv"`);
+                res.send(clientData.toBulkCSV(userDataArray));
+            } else {
+                res.json(userDataArray);
+            }
+        } catch (error) {
+            console.error('Error fetching bulk data:', error);
+            res.status(500).json({ error: 'Failed to fetch bulk data' });
+        }
+    });
+
+    // List the PDF forms that can be generated from first survey responses
+    router.get('/api/admin/forms', requireStaff('view'), (req, res) => {
+        res.json({ success: true, forms: formFiller.listForms() });
+    });
+
+    // Report survey questions missing from the crosswalk and PDF fields with no survey answer
+    router.get('/api/admin/forms/crosswalk-report', requireStaff('view'), (req, res) => {
+        try {
+            res.json({ success: true, report: formFiller.buildCrosswalkReport() });
+        } catch (error) {
+            console.error('Error building crosswalk report:', error);
+            res.status(500).json({ error: 'Failed to build crosswalk report' });
+        }
+    });
+
+    // Generate a filled PDF form (I-140, ETA-9089 Appendix A, G-1145) for a user
+    router.get('/api/admin/forms/:email/:formId.pdf', audited('form.export'), requireStaff('export'), async (req, res) => {
+        try {
+            const { email, formId } = req.params;
+
+            if (!formFiller.FORM_DEFINITIONS[formId]) {
+                return res.status(404).json({ error: `Unknown form: ${formId}` });
+            }
+
+            if (await users.hasInstallmentsOutstanding(db, email)) {
+                return res.status(403).json({ error: 'This client still has installments to pay' });
+            }
+
+            // Use the most recent first survey submission
+            const firstSurvey = await surveyRevisions.getCurrentRevision(db, 'first', email);
+            if (!firstSurvey) {
+                return res.status(404).json({ error: 'No first survey found for this user' });
+            }
+
+            const pdfBytes = await formFiller.fillForm(formId, firstSurvey.responses);
+            res.locals.audit = { recordCount: 1, details: { form: formId, revision: firstSurvey.revision } };
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${formId}-${email}.pdf"`);
+            res.send(Buffer.from(pdfBytes));
+        } catch (error) {
+            if (error.code === 'UNENCODABLE_ANSWERS') {
+                return res.status(400).json({ error: error.message, fields: error.fields });
+            }
+            console.error('Error generating form PDF:', error);
+            res.status(500).json({ error: 'Failed to generate form' });
+        }
+    });
+
+    // Generate a petition-letter draft from a user's current second survey
+    router.get('/api/admin/letters/:email', audited('letter.export'), requireStaff('export'), async (req, res) => {
+        try {
+            const { email } = req.params;
+            const { format = 'md' } = req.query;
+
+            if (await users.hasInstallmentsOutstanding(db, email)) {
+                return res.status(403).json({ error: 'This client still has installments to pay' });
+            }
+
+            const secondSurvey = await surveyRevisions.getCurrentRevision(db, 'second', email);
+            if (!secondSurvey) {
+                return res.status(404).json({ error: 'No second survey found for this user' });
+            }
+
+            const letter = letterGenerator.generateLetter(secondSurvey.responses, {
+                format: format === 'html' ? 'html' : 'md',
+                title: `Petition Letter Draft - ${email}`
+            });
+            res.locals.audit = { recordCount: 1, details: { format, revision: secondSurvey.revision } };
+
+            if (format === 'json') {
+                return res.json({
+                    success: true,
+                    content: letter.content,
+                    missing_placeholders: letter.missingPlaceholders
+                });
+            }
+
+            res.setHeader('Content-Type', `${letter.contentType}; charset=utf-8`);
+            res.setHeader('Content-Disposition', `attachment; filename="petition-letter-${email}.${letter.extension}"`);
+            res.send(letter.content);
+        } catch (error) {
+            console.error('Error generating petition letter:', error);
+            res.status(500).json({ error: 'Failed to generate petition letter' });
+        }
+    });
+
+    // Clear user survey data endpoint. The account and payment records are
+    // kept: those are business records.
+    router.post('/api/admin/clear-user-data', audited('client_data.delete'), requireStaff('edit'), async (req, res) => {
+        try {
+            const { email } = req.body;
+
+            if (!email) {
+                return res.status(400).json({ error: 'Email is required' });
+            }
+
+            if (!await users.findByEmail(db, email)) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const deleted = {
+                first_survey_responses: await surveys.deleteSubmissions(db, 'first', email),
+                second_survey_responses: await surveys.deleteSubmissions(db, 'second', email),
+                evaluation_responses: await evaluations.deleteForEmail(db, email),
+                survey_drafts: await surveys.deleteDrafts(db, email)
+            };
+
+            res.locals.audit = {
+                recordCount: Object.values(deleted).reduce((sum, count) => sum + count, 0),
+                details: { deleted }
+            };
+            console.log(`Cleared survey data for user: ${email}`);
+            res.json({
+                success: true,
+                message: `Survey data cleared for ${email}`,
+                cleared: {
+                    first_survey: true,
+                    second_survey: true,
+                    evaluation: true
+                }
+            });
+        } catch (error) {
+            console.error('Error clearing user data:', error);
+            res.status(500).json({ error: 'Failed to clear user data' });
+        }
+    });
+
+    // Clear specific survey data for a user (admin endpoint)
+    router.post('/api/admin/clear-user-survey', audited('client_survey.delete'), requireStaff('edit'), async (req, res) => {
+        try {
+            const { email, survey_type } = req.body;
+
+            if (!email || !survey_type) {
+                return res.status(400).json({ error: 'Email and survey_type are required' });
+            }
+
+            if (!CLEARABLE_SURVEY_TYPES.includes(survey_type)) {
+                return res.status(400).json({ error: 'Invalid survey_type. Must be: first, second, or evaluation' });
+            }
+
+            if (!await users.findByEmail(db, email)) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            let deletedCount;
+            let tableName;
+            if (survey_type === 'evaluation') {
+                tableName = 'evaluation_responses';
+                deletedCount = await evaluations.deleteForEmail(db, email);
+            } else {
+                tableName = surveyRevisions.getTable(survey_type);
+                deletedCount = await surveys.deleteSubmissions(db, survey_type, email);
+                await surveys.deleteDrafts(db, email, survey_type);
+            }
+
+            res.locals.audit = { recordCount: deletedCount, details: { survey_type, table: tableName } };
+            console.log(`Cleared ${survey_type} survey data for user: ${email} (${deletedCount} records deleted)`);
+            res.json({
+                success: true,
+                message: `${survey_type} survey data cleared for ${email}`,
+                survey_type: survey_type,
+                deleted_count: deletedCount,
+                table: tableName
+            });
+        } catch (error) {
+            console.error('Error clearing specific survey data:', error);
+            res.status(500).json({ error: 'Failed to clear survey data' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminClientRoutes };
@@ -0,0 +1,129 @@
+// Staff payment routes: refunds and promo/referral coupons
+const express = require('express');
+const stripeWebhooks = require('../stripe-webhooks');
+const pricing = require('../pricing');
+const users = require('../repositories/users');
+const payments = require('../repositories/payments');
+
+function createAdminPaymentRoutes({ db, auth, stripe }) {
+    const router = express.Router();
+    const { requireStaff, audited } = auth;
+
+    // Refund a Stripe payment in full or in part. Only the refund is requested
+    // here: the charge.refunded webhook then records it on the payment and
+    // downgrades the user if what they have paid no longer covers their package.
+    router.post('/api/admin/payments/:id/refund', audited('payment.refund'), requireStaff('refund'), async (req, res) => {
+        try {
+            const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+            if (!reason) {
+                return res.status(400).json({ success: false, error: 'A reason for the refund is required' });
+            }
+
+            const payment = await payments.findById(db, req.params.id);
+            if (!payment) {
+                return res.status(404).json({ success: false, error: 'Payment not found' });
+            }
+            res.locals.audit = { targetEmail: payment.user_email };
+
+            if (!payment.stripe_payment_intent_id) {
+                return res.status(400).json({ success: false, error: 'Only payments made through Stripe can be refunded' });
+            }
+            if (!stripeWebhooks.PAID_STATUSES.includes(payment.status)) {
+                return res.status(400).json({ success: false, error: `A ${payment.status} payment cannot be refunded` });
+            }
+
+            const refundableCents = payment.amount_cents - (payment.amount_refunded_cents || 0);
+            const amountCents = req.body.amount_cents === undefined ? refundableCents : req.body.amount_cents;
+            if (!Number.isInteger(amountCents) || amountCents <= 0 || amountCents > refundableCents) {
+                return res.status(400).json({ success: false, error: `amount_cents must be a whole number from 1 to ${refundableCents}` });
+            }
+
+            if (!stripe) {
+                console.error('Stripe not configured');
+                return res.status(500).json({ success: false, error: 'Stripe not configured' });
+            }
+
+            // Until the webhook arrives the payment still shows the old refunded
+            // amount; the idempotency key stops a repeated click refunding twice
+            const refund = await stripe.refunds.create({
+                payment_intent: payment.stripe_payment_intent_id,
+                amount: amountCents,
+                metadata: {
+                    payment_id: String(payment.id),
+                    refunded_by: req.currentUser.email,
+                    reason
+                }
+            }, {
+                idempotencyKey: `refund-${payment.id}-${payment.amount_refunded_cents || 0}-${amountCents}`
+            });
+
+            res.locals.audit = {
+                targetEmail: payment.user_email,
+                details: { payment_id: payment.id, amount_cents: amountCents, refund_id: refund.id, reason }
+            };
+            console.log(`Refund ${refund.id} of ${amountCents} cents on payment ${payment.id} for ${payment.user_email} requested by ${req.currentUser.email}: ${reason}`);
+            res.json({ success: true, refund: { id: refund.id, amount_cents: refund.amount, status: refund.status } });
+        } catch (error) {
+            console.error('Error refunding payment:', error);
+            if (error.type === 'StripeInvalidRequestError') {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            res.status(500).json({ success: false, error: 'Refund failed' });
+        }
+    });
+
+    // Promo and referral coupons (see pricing.js)
+    router.get('/api/admin/coupons', requireStaff('pricing'), async (req, res) => {
+        try {
+            res.json({ success: true, coupons: await pricing.listCoupons(db) });
+        } catch (error) {
+            console.error('Error listing coupons:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    router.post('/api/admin/coupons', audited('coupon.create', { target: req => req.body.referrer_email }), requireStaff('pricing'), async (req, res) => {
+        try {
+            const fieldsError = pricing.getCouponFieldsError(pricing.loadCatalog(), req.body);
+            if (fieldsError) {
+                return res.status(400).json({ success: false, error: fieldsError });
+            }
+            if (req.body.referrer_email && !await users.findByEmail(db, String(req.body.referrer_email).toLowerCase())) {
+                return res.status(404).json({ success: false, error: 'Referrer not found' });
+            }
+
+            const coupon = await pricing.createCoupon(db, req.body, req.currentUser.email);
+            if (!coupon) {
+                return res.status(409).json({ success: false, error: 'A coupon with this code already exists' });
+            }
+
+            res.locals.audit = { details: coupon };
+            console.log(`Coupon ${coupon.code} created by ${req.currentUser.email}`);
+            res.json({ success: true, coupon });
+        } catch (error) {
+            console.error('Error creating coupon:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    // Coupons are deactivated rather than deleted, so past payments keep their code
+    router.post('/api/admin/coupons/:code/deactivate', audited('coupon.deactivate'), requireStaff('pricing'), async (req, res) => {
+        try {
+            const coupon = await pricing.deactivateCoupon(db, req.params.code);
+            if (!coupon) {
+                return res.status(404).json({ success: false, error: 'Coupon not found' });
+            }
+
+            res.locals.audit = { details: { code: coupon.code } };
+            console.log(`Coupon ${coupon.code} deactivated by ${req.currentUser.email}`);
+            res.json({ success: true, coupon });
+        } catch (error) {
+            console.error('Error deactivating coupon:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminPaymentRoutes };
@@ -0,0 +1,44 @@
+// The free eligibility evaluation (no account needed)
+const express = require('express');
+const eligibilityScoring = require('../eligibility-scoring');
+const evaluations = require('../repositories/evaluations');
+
+const REQUIRED_FIELDS = [
+    'email', 'name', 'education', 'publications', 'citations', 'research_field',
+    'work_experience', 'current_position', 'awards', 'grants', 'patents'
+];
+
+function createEvaluationRoutes({ db }) {
+    const router = express.Router();
+
+    // Evaluation submission endpoint
+    router.post('/api/submit-evaluation', async (req, res) => {
+        try {
+            // Basic validation
+            if (REQUIRED_FIELDS.some(field => !req.body[field])) {
+                return res.status(400).json({ success: false, error: 'Missing required fields' });
+            }
+
+            // Score each Dhanasar prong with the rules in niw_comprehensive_questionnaire.json
+            const evaluation = eligibilityScoring.scoreEvaluation(eligibilityScoring.fromEvaluationForm(req.body));
+
+            await evaluations.create(db, req.body, evaluation);
+
+            res.json({
+                success: true,
+                message: 'Evaluation submitted successfully',
+                score: evaluation.score,
+                max_score: evaluation.max_score,
+                prongs: evaluation.prongs,
+                recommendations: evaluation.recommendations
+            });
+        } catch (error) {
+            console.error('Error submitting evaluation:', error);
+            res.status(500).json({ success: false, error: 'Failed to submit evaluation' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createEvaluationRoutes };
@@ -0,0 +1,172 @@
+// Maintenance routes (admins only): schema migrations, payments recorded or
+// corrected by hand, and wiping a non-production database
+const express = require('express');
+const authTokens = require('../auth-tokens');
+const stripeWebhooks = require('../stripe-webhooks');
+const migrator = require('../migrator');
+const databaseCleaner = require('../database-cleaner');
+const pricing = require('../pricing');
+const users = require('../repositories/users');
+const payments = require('../repositories/payments');
+
+// Operations that delete everyone's data only run outside production
+function refuseInProduction(req, res, next) {
+    if (databaseCleaner.isProductionDatabase()) {
+        return res.status(403).json({ success: false, error: 'This operation is disabled in production' });
+    }
+    next();
+}
+
+// A payment entered by hand buys a package or an upgrade. Installments come
+// from their plan's invoices and manual_adjustment entries from
+// /api/update-user-payment, so neither can be recorded here.
+const RECORDABLE_PAYMENT_TYPES = ['initial', 'upgrade'];
+
+function createMaintenanceRoutes({ db, auth }) {
+    const router = express.Router();
+    const { requireStaff, audited } = auth;
+
+    // Destructive operations take two calls from the same admin: the first answers
+    // 428 with a short-lived confirmation_token, the second repeats the request
+    // with it in the body. purpose is an auth-tokens.js token purpose.
+    function requireConfirmation(purpose) {
+        return async (req, res, next) => {
+            try {
+                const confirmationToken = req.body && req.body.confirmation_token;
+                if (!confirmationToken) {
+                    const { token, expiresAt } = await authTokens.createToken(db, req.currentUser.email, purpose);
+                    return res.status(428).json({
+                        success: false,
+                        error: 'Confirmation required. Repeat the request with this confirmation_token to proceed.',
+                        confirmation_token: token,
+                        expires_at: expiresAt
+                    });
+                }
+
+                const email = await authTokens.consumeToken(db, confirmationToken, purpose);
+                if (email !== req.currentUser.email) {
+                    return res.status(400).json({ success: false, error: 'Invalid or expired confirmation token' });
+                }
+                next();
+            } catch (error) {
+                console.error('Error checking confirmation token:', error);
+                res.status(500).json({ success: false, error: 'Internal server error' });
+            }
+        };
+    }
+
+    // Record payment
+    router.post('/api/record-payment', audited('payment.record', { target: req => req.body.user_email }), requireStaff('maintain'), async (req, res) => {
+        try {
+            const { user_email, stripe_session_id, amount_cents, package_type, payment_type } = req.body;
+            if (!user_email || !stripe_session_id || !package_type || !payment_type || !Number.isInteger(amount_cents)) {
+                return res.status(400).json({ success: false, error: 'user_email, stripe_session_id, amount_cents, package_type and payment_type are required' });
+            }
+            if (!pricing.getPackageTypes(pricing.loadCatalog()).includes(package_type)) {
+                return res.status(400).json({ success: false, error: `Unknown package: ${package_type}` });
+            }
+            if (!RECORDABLE_PAYMENT_TYPES.includes(payment_type)) {
+                return res.status(400).json({ success: false, error: `payment_type must be one of: ${RECORDABLE_PAYMENT_TYPES.join(', ')}` });
+            }
+
+            const user = await users.findByEmail(db, user_email);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            await payments.recordManual(db, req.body, req.currentUser.email);
+            await stripeWebhooks.syncPaidStatus(db, user.email);
+
+            console.log(`Payment ${stripe_session_id} for ${user_email} recorded by ${req.currentUser.email}`);
+            res.json({ success: true, message: 'Payment recorded' });
+        } catch (error) {
+            console.error('Error recording payment:', error);
+            res.status(500).json({ success: false, error: 'Record failed' });
+        }
+    });
+
+    // Correct a user's payment status by hand. The reason is kept in the payment
+    // history as a zero-amount manual_adjustment entry, and paid status is then
+    // derived from that history like any other payment.
+    router.post('/api/update-user-payment', audited('payment.update'), requireStaff('maintain'), async (req, res) => {
+        try {
+            const { email, paid, packageType } = req.body;
+            const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+            if (!email) {
+                return res.status(400).json({ success: false, error: 'Email required' });
+            }
+            if (typeof paid !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'paid must be true or false' });
+            }
+            if (!reason) {
+                return res.status(400).json({ success: false, error: 'A reason for the change is required' });
+            }
+
+            const existing = await users.findByEmail(db, email);
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            await payments.recordAdjustment(db, {
+                email: existing.email,
+                packageType: packageType || existing.package_type || 'full',
+                paid,
+                reason
+            }, req.currentUser.email);
+            const user = await stripeWebhooks.syncPaidStatus(db, existing.email);
+
+            res.locals.audit = { details: { paid, package_type: user.package_type, reason } };
+            console.log(`Payment status for ${user.email} set to ${paid ? 'paid' : 'unpaid'} by ${req.currentUser.email}: ${reason}`);
+            res.json({ success: true, message: 'User payment status updated' });
+        } catch (error) {
+            console.error('Error updating user payment:', error);
+            res.status(500).json({ success: false, error: 'Update failed' });
+        }
+    });
+
+    // Database migration endpoint
+    router.post('/api/migrate-database', audited('database.migrate'), requireStaff('maintain'), async (req, res) => {
+        try {
+            console.log('Running database migration...');
+
+            // Pending versioned migrations (see migrator.js)
+            const applied = await migrator.migrate(db);
+            const names = applied.map(migrator.formatMigration);
+            res.locals.audit = { recordCount: applied.length, details: { applied: names } };
+
+            console.log('Database migration completed successfully');
+            res.json({ success: true, message: 'Database migration completed', applied: names });
+        } catch (error) {
+            console.error('Database migration error:', error);
+            res.status(500).json({ success: false, error: 'Migration failed' });
+        }
+    });
+
+    // Admin endpoint to clean all database data (development and staging only).
+    // Needs a confirmation token.
+    router.post('/api/clean-database', audited('database.clean'), requireStaff('maintain'), refuseInProduction, requireConfirmation('clean_database'), async (req, res) => {
+        try {
+            console.log('Cleaning database...');
+
+            const deleted = await databaseCleaner.cleanDatabase(db);
+
+            res.locals.audit = {
+                recordCount: Object.values(deleted).reduce((sum, count) => sum + count, 0),
+                details: { deleted }
+            };
+            console.log('🎉 Database cleaned successfully!');
+
+            res.json({
+                success: true,
+                message: 'Database cleaned successfully! All user data, surveys, and payments have been removed.'
+            });
+        } catch (error) {
+            console.error('Error cleaning database:', error);
+            res.status(500).json({ success: false, error: 'Failed to clean database' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMaintenanceRoutes };
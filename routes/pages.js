@@ -0,0 +1,107 @@
+// Page routes: the public pages, the survey pages (rendered from their JSON
+// definitions by survey-renderer.js) and the staff pages
+const express = require('express');
+const path = require('path');
+const surveyMappings = require('../survey-mappings');
+const surveyRenderer = require('../survey-renderer');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Render a survey/evaluation template with its form built from the JSON definitions
+function sendSurveyPage(res, page) {
+    try {
+        res.type('html').send(surveyRenderer.renderPage(page));
+    } catch (error) {
+        console.error(`Error rendering ${page}:`, error);
+        res.status(500).send('Error loading survey');
+    }
+}
+
+function createPageRoutes({ auth, config }) {
+    const router = express.Router();
+    const { requirePaidUser, requireStaff } = auth;
+
+    router.get('/', (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'home.html'));
+    });
+
+    router.get('/account', (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'account.html'));
+    });
+
+    router.get('/evaluation', (req, res) => {
+        sendSurveyPage(res, 'evaluation.html');
+    });
+
+    router.get('/survey', requirePaidUser, (req, res) => {
+        const surveyType = surveyMappings.resolveVariant(config && config.SURVEY_TYPE, 'full');
+        sendSurveyPage(res, surveyMappings.getVariant(surveyType).page);
+    });
+
+    // Team survey previews (linked from the API docs) - staff only
+    router.get('/first-survey', requireStaff('view'), (req, res) => {
+        sendSurveyPage(res, 'first-survey-team.html');
+    });
+
+    router.get('/second-survey', requireStaff('view'), (req, res) => {
+        sendSurveyPage(res, 'second-survey-team.html');
+    });
+
+    // Authenticated survey routes (for actual users)
+    router.get('/survey/first', requirePaidUser, (req, res) => {
+        sendSurveyPage(res, 'first-survey.html');
+    });
+
+    router.get('/survey/second', requirePaidUser, (req, res) => {
+        sendSurveyPage(res, 'second-survey-simplified.html');
+    });
+
+    // API Documentation page - staff only
+    router.get('/api-docs', requireStaff('view'), (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'api-docs.html'));
+    });
+
+    // Data management page route - staff only
+    router.get('/data-management', requireStaff('view'), (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'data-management.html'));
+    });
+
+    router.get('/audit-log', requireStaff('audit'), (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'audit-log.html'));
+    });
+
+    // Static file routes for Vercel - with proper error handling
+    router.get('/styles.css', (req, res) => {
+        try {
+            res.setHeader('Content-Type', 'text/css');
+            res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+            res.sendFile(path.join(ROOT_DIR, 'public', 'styles.css'));
+        } catch (error) {
+            console.error('Error serving styles.css:', error);
+            res.status(404).send('CSS file not found');
+        }
+    });
+
+    router.get('/script.js', (req, res) => {
+        try {
+            res.setHeader('Content-Type', 'application/javascript');
+            res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+            res.sendFile(path.join(ROOT_DIR, 'script.js'));
+        } catch (error) {
+            console.error('Error serving script.js:', error);
+            res.status(404).send('JavaScript file not found');
+        }
+    });
+
+    router.get('/TurboNIW-name-italic.png', (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'public', 'TurboNIW-name-italic.png'));
+    });
+
+    router.get('/hero-image.jpg', (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'public', 'hero-image.jpg'));
+    });
+
+    return router;
+}
+
+module.exports = { createPageRoutes };
@@ -0,0 +1,330 @@
+// Payment routes: prices and quotes, Stripe checkout, the Stripe webhook and
+// the signed-in user's payment history and invoices
+const express = require('express');
+const Stripe = require('stripe');
+const staffRoles = require('../staff-roles');
+const stripeWebhooks = require('../stripe-webhooks');
+const pricing = require('../pricing');
+const invoices = require('../invoices');
+const payments = require('../repositories/payments');
+
+function createPaymentRoutes({ db, auth, stripe }) {
+    const router = express.Router();
+    const { requireUser, audited } = auth;
+
+    // The price of a package for the signed-in user with each payment method,
+    // with an optional coupon, paid at once or in installments. Upgrades are
+    // priced from the package already paid for. Returns { quote, coupon } or
+    // { status, error }.
+    async function getCheckoutQuote(user, { packageType, paymentMethod, couponCode, installments = false }) {
+        if (!packageType) {
+            return { status: 400, error: 'Package type required' };
+        }
+
+        let coupon = null;
+        if (couponCode) {
+            const result = await pricing.findUsableCoupon(db, couponCode, { email: user.email, packageType });
+            if (result.error) {
+                return { status: 400, error: result.error };
+            }
+            coupon = result.coupon;
+        }
+
+        const getQuote = installments ? pricing.getInstallmentQuote : pricing.getQuote;
+        const quote = getQuote(pricing.loadCatalog(), {
+            packageType,
+            ownedPackage: user.paid ? user.packageType : null,
+            paymentMethod,
+            coupon
+        });
+        if (quote.error) {
+            return { status: 400, error: quote.error };
+        }
+        return { quote, coupon };
+    }
+
+    // Package prices, upgrade paths and payment method fees (see pricing.js)
+    router.get('/api/pricing', (req, res) => {
+        res.json({ success: true, pricing: pricing.getPublicCatalog(pricing.loadCatalog()) });
+    });
+
+    router.post('/api/pricing/quote', requireUser, async (req, res) => {
+        try {
+            const { packageType, couponCode } = req.body;
+            const catalog = pricing.loadCatalog();
+            const quotes = {};
+            // null when the package cannot be paid in installments by this user
+            let installmentQuotes = {};
+
+            for (const paymentMethod of Object.keys(catalog.fees)) {
+                const result = await getCheckoutQuote(req.currentUser, { packageType, paymentMethod, couponCode });
+                if (result.error) {
+                    return res.status(result.status).json({ success: false, error: result.error });
+                }
+                quotes[paymentMethod] = result.quote;
+
+                const installments = await getCheckoutQuote(req.currentUser, { packageType, paymentMethod, couponCode, installments: true });
+                if (installments.error) {
+                    installmentQuotes = null;
+                } else if (installmentQuotes) {
+                    installmentQuotes[paymentMethod] = installments.quote;
+                }
+            }
+
+            res.json({ success: true, quotes, installmentQuotes });
+        } catch (error) {
+            console.error('Error quoting price:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    // Stripe checkout session creation
+    router.post('/api/create-checkout-session', requireUser, async (req, res) => {
+        console.log('Create checkout session request received');
+        console.log('Request body:', req.body);
+
+        if (!stripe) {
+            console.error('Stripe not configured');
+            return res.status(500).json({ success: false, error: 'Stripe not configured' });
+        }
+
+        try {
+            // Fresh from the database, so the upgrade price reflects what was actually paid
+            const sessionUser = req.currentUser;
+
+            const { packageType, paymentMethod = 'card', couponCode, installments = false } = req.body;
+            const { quote, coupon, status, error } = await getCheckoutQuote(sessionUser, { packageType, paymentMethod, couponCode, installments: installments === true });
+            if (error) {
+                return res.status(status).json({ success: false, error });
+            }
+
+            if (quote.paymentType === 'installment' && await payments.findOpenPlan(db, sessionUser.email)) {
+                return res.status(409).json({ success: false, error: 'You already have an installment plan in progress' });
+            }
+
+            const catalog = pricing.loadCatalog();
+            const dollars = (cents) => `$${(cents / 100).toFixed(2)}`;
+            let description = `Base price: ${dollars(quote.basePriceCents)}`;
+            if (quote.discountCents > 0) {
+                description += ` - coupon ${quote.couponCode}: ${dollars(quote.discountCents)}`;
+            }
+            description += ` + ${catalog.fees[paymentMethod].label}: ${dollars(quote.processingFeeCents)}`;
+
+            // Determine payment method types based on selection
+            const paymentMethodTypes = paymentMethod === 'ach' ? ['us_bank_account'] : ['card'];
+
+            const metadata = {
+                email: sessionUser.email,
+                package_type: quote.packageType,
+                payment_type: quote.paymentType,
+                payment_method: paymentMethod,
+                base_price: quote.basePriceCents.toString(),
+                discount: quote.discountCents.toString(),
+                coupon_code: quote.couponCode || '',
+                processing_fee: quote.processingFeeCents.toString(),
+                total_price: quote.totalCents.toString()
+            };
+
+            const sessionOptions = {
+                payment_method_types: paymentMethodTypes,
+                success_url: `${req.headers.origin}/account?success=1&session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${req.headers.origin}/account?canceled=1`,
+                client_reference_id: sessionUser.email,
+                metadata
+            };
+
+            if (quote.paymentType === 'installment') {
+                // A monthly subscription, cancelled by the webhook once the last
+                // installment is paid (see stripe-webhooks.js). Its metadata is
+                // copied onto every invoice.
+                Object.assign(metadata, {
+                    installment_count: quote.installmentCount.toString(),
+                    installment_amount: quote.installmentTotalCents.toString(),
+                    installment_fee: quote.installmentFeeCents.toString()
+                });
+                Object.assign(sessionOptions, {
+                    line_items: [{
+                        price_data: {
+                            currency: quote.currency,
+                            product_data: {
+                                name: `${quote.productName} (${quote.installmentCount} installments)`,
+                                description: `${description}, in ${quote.installmentCount} payments of ${dollars(quote.installmentTotalCents)}`
+                            },
+                            unit_amount: quote.installmentTotalCents,
+                            recurring: { interval: quote.interval }
+                        },
+                        quantity: 1,
+                    }],
+                    mode: 'subscription',
+                    subscription_data: { metadata }
+                });
+            } else {
+                Object.assign(sessionOptions, {
+                    line_items: [{
+                        price_data: {
+                            currency: quote.currency,
+                            product_data: {
+                                name: quote.productName,
+                                description
+                            },
+                            unit_amount: quote.totalCents,
+                        },
+                        quantity: 1,
+                    }],
+                    mode: 'payment'
+                });
+            }
+
+            // A limited coupon keeps a redemption for this session until it
+            // expires, and the session expires with it
+            let reservation = null;
+            if (coupon) {
+                const reserved = await pricing.reserveCoupon(db, coupon, sessionUser.email);
+                if (reserved.error) {
+                    return res.status(400).json({ success: false, error: reserved.error });
+                }
+                reservation = reserved.reservation;
+                if (reservation) {
+                    sessionOptions.expires_at = Math.floor(reservation.expiresAt.getTime() / 1000);
+                }
+            }
+
+            let session;
+            try {
+                session = await stripe.checkout.sessions.create(sessionOptions);
+            } catch (error) {
+                if (reservation) {
+                    await pricing.releaseCouponReservation(db, reservation.id);
+                }
+                throw error;
+            }
+            if (reservation) {
+                await pricing.attachCouponReservation(db, reservation.id, session.id);
+            }
+
+            res.json({ success: true, url: session.url, sessionId: session.id });
+        } catch (error) {
+            console.error('Error creating checkout session:', error);
+            res.status(500).json({ success: false, error: 'Failed to create checkout session' });
+        }
+    });
+
+    // Where a checkout stands after Stripe redirects back to the account page.
+    // Read-only: payments and paid status are written by the webhook.
+    router.get('/api/checkout/confirm', requireUser, async (req, res) => {
+        try {
+            const { session_id } = req.query;
+            if (!session_id) {
+                return res.status(400).json({ success: false, error: 'session_id required' });
+            }
+
+            const payment = await payments.findBySession(db, session_id, req.currentUser.email);
+            let status = payment ? payment.status : 'pending';
+
+            // Installment checkouts are paid by the plan's first invoice
+            if (!payment) {
+                const plan = await payments.findPlanBySession(db, session_id, req.currentUser.email);
+                if (plan && plan.installments_paid > 0) {
+                    status = 'completed';
+                } else if (plan && plan.payment_method === 'ach') {
+                    status = 'processing';
+                }
+            }
+
+            // pending: Stripe has not delivered the checkout event yet
+            res.json({
+                success: true,
+                status,
+                paid: status === 'completed',
+                user: {
+                    email: req.currentUser.email,
+                    paid: req.currentUser.paid,
+                    packageType: req.currentUser.packageType
+                }
+            });
+        } catch (error) {
+            console.error('Error confirming checkout session:', error);
+            res.status(500).json({ success: false, error: 'Failed to confirm payment' });
+        }
+    });
+
+    // Get user payments
+    router.get('/api/payments', requireUser, async (req, res) => {
+        try {
+            const history = await payments.listHistory(db, req.currentUser.email);
+            history.forEach(payment => {
+                payment.has_invoice = invoices.hasInvoice(payment);
+            });
+
+            const plans = await payments.listPlans(db, req.currentUser.email);
+
+            res.json({ success: true, payments: history, plans: plans });
+        } catch (error) {
+            console.error('Error fetching payments:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    // Invoice PDF for one of the signed-in user's payments. Staff who handle
+    // payments (the refund permission) can download any client's; those
+    // downloads are audited.
+    router.get('/api/payments/:id/invoice.pdf', audited('invoice.export', { target: () => null, skip: req => !req.currentUser || !req.currentUser.role }), requireUser, async (req, res) => {
+        try {
+            const payment = await payments.findById(db, req.params.id);
+            const allowed = payment && (payment.user_email === req.currentUser.email
+                || staffRoles.hasPermission(req.currentUser.role, 'refund'));
+            // Other users' payments are 404, so payment IDs cannot be probed
+            if (!allowed) {
+                return res.status(404).json({ success: false, error: 'Payment not found' });
+            }
+            res.locals.audit = { targetEmail: payment.user_email };
+
+            if (!invoices.hasInvoice(payment)) {
+                return res.status(409).json({ success: false, error: 'This payment has not gone through, so it has no invoice' });
+            }
+
+            const { invoice, pdf } = await invoices.getInvoicePdf(db, pricing.loadCatalog(), payment);
+            res.locals.audit.details = { invoice_number: invoice.invoice_number, payment_id: payment.id };
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoice_number}.pdf"`);
+            res.send(Buffer.from(pdf));
+        } catch (error) {
+            console.error('Error generating invoice:', error);
+            res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+        }
+    });
+
+    return router;
+}
+
+// Stripe webhook: the single place payments change state (see stripe-webhooks.js).
+// Stripe signs the exact bytes it sent, so this is mounted with express.raw
+// ahead of the JSON body parser.
+function createStripeWebhookHandler({ db, stripe, webhookSecret }) {
+    return async (req, res) => {
+        if (!webhookSecret) {
+            console.error('Stripe webhook received but STRIPE_WEBHOOK_SECRET is not set');
+            return res.status(500).json({ success: false, error: 'Webhook not configured' });
+        }
+
+        let event;
+        try {
+            event = Stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], webhookSecret);
+        } catch (err) {
+            console.error('Webhook signature verification failed:', err.message);
+            return res.status(400).send(`Webhook Error: ${err.message}`);
+        }
+
+        try {
+            const result = await stripeWebhooks.handleEvent(db, event, { stripe });
+            res.json({ received: true, duplicate: result.duplicate });
+        } catch (error) {
+            // A non-2xx answer makes Stripe deliver the event again later
+            console.error(`Error handling Stripe event ${event.id} (${event.type}):`, error);
+            res.status(500).json({ received: false });
+        }
+    };
+}
+
+module.exports = { createPaymentRoutes, createStripeWebhookHandler };
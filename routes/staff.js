@@ -0,0 +1,99 @@
+// Staff roles and the audit trail of staff access (admins only)
+const express = require('express');
+const staffRoles = require('../staff-roles');
+const auditLog = require('../audit-log');
+const users = require('../repositories/users');
+
+function createStaffRoutes({ db, auth }) {
+    const router = express.Router();
+    const { requireStaff, audited } = auth;
+
+    // Staff accounts and their roles
+    router.get('/api/admin/staff', requireStaff('manage'), async (req, res) => {
+        try {
+            const staff = await users.listStaff(db);
+            res.json({ success: true, staff, roles: staffRoles.STAFF_ROLES });
+        } catch (error) {
+            console.error('Error fetching staff:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch staff' });
+        }
+    });
+
+    // Give a registered account a staff role, or take it away with role: null
+    router.post('/api/admin/staff', audited('staff.role_change'), requireStaff('manage'), async (req, res) => {
+        try {
+            const { email, role } = req.body;
+            if (!email) {
+                return res.status(400).json({ success: false, error: 'Email required' });
+            }
+            if (role !== null && !staffRoles.isStaffRole(role)) {
+                return res.status(400).json({ success: false, error: `Role must be one of: ${staffRoles.STAFF_ROLES.join(', ')} (or null)` });
+            }
+
+            // Keeps at least the current admin able to manage staff
+            if (email.toLowerCase() === req.currentUser.email) {
+                return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+            }
+
+            const user = await users.setRole(db, email.toLowerCase(), role);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'No account with that email. Staff register on the account page first.' });
+            }
+
+            res.locals.audit = { details: { role: user.role } };
+            console.log(`Staff role for ${user.email} set to ${user.role || 'none'} by ${req.currentUser.email}`);
+            res.json({ success: true, user });
+        } catch (error) {
+            console.error('Error updating staff role:', error);
+            res.status(500).json({ success: false, error: 'Failed to update staff role' });
+        }
+    });
+
+    // Audit trail of staff access (see audit-log.js). Filters: actor, action,
+    // target, from, to (dates or ISO timestamps), limit, offset.
+    router.get('/api/admin/audit-events', audited('audit.view', { target: () => null }), requireStaff('audit'), async (req, res) => {
+        try {
+            const filterError = auditLog.getFilterError(req.query);
+            if (filterError) {
+                return res.status(400).json({ success: false, error: filterError });
+            }
+
+            const { events, total } = await auditLog.listEvents(db, req.query);
+            res.json({ success: true, events, total });
+        } catch (error) {
+            console.error('Error fetching audit events:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch audit events' });
+        }
+    });
+
+    // Download every event matching the filters above (format: csv or json)
+    router.get('/api/admin/audit-events/export', audited('audit.export', { target: () => null }), requireStaff('audit'), async (req, res) => {
+        try {
+            const filterError = auditLog.getFilterError(req.query);
+            if (filterError) {
+                return res.status(400).json({ success: false, error: filterError });
+            }
+
+            const { format = 'csv' } = req.query;
+            const events = await auditLog.exportEvents(db, req.query);
+            res.locals.audit = { recordCount: events.length, details: { format } };
+
+            const filename = `audit-events-${new Date().toISOString().split('T')[0]}`;
+            if (format === 'json') {
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+                res.json(events);
+            } else {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+                res.send(auditLog.toCSV(events));
+            }
+        } catch (error) {
+            console.error('Error exporting audit events:', error);
+            res.status(500).json({ success: false, error: 'Failed to export audit events' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStaffRoutes };
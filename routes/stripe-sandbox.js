@@ -0,0 +1,151 @@
+// The mock hosted checkout of the Stripe sandbox (STRIPE_MODE=sandbox, see
+// stripe-sandbox.js). Only mounted in sandbox mode. /stripe-sandbox lists the
+// sessions, so a processing bank payment or the next installment of a plan
+// can be completed after the checkout itself.
+const express = require('express');
+
+// Button text for each outcome, by the state of the session
+const OUTCOME_LABELS = {
+    open: {
+        paid: 'Pay',
+        processing: 'Pay by bank (stays processing)',
+        failed: 'Payment fails',
+        refunded: 'Pay, then refund in full'
+    },
+    processing: {
+        paid: 'Bank payment clears',
+        failed: 'Bank payment fails'
+    },
+    paid: {
+        refunded: 'Refund in full'
+    },
+    active: {
+        paid: 'Pay next installment',
+        failed: 'Next installment fails',
+        refunded: 'Refund last installment'
+    },
+    past_due: {
+        paid: 'Retry of the installment succeeds'
+    }
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatAmount(cents, currency) {
+    return `${(cents / 100).toFixed(2)} ${String(currency || 'usd').toUpperCase()}`;
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - Stripe sandbox</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 640px; margin: 40px auto; padding: 0 20px; color: #1f2937; }
+        .notice { background: #fef3c7; border: 1px solid #f59e0b; border-radius: 6px; padding: 10px 14px; }
+        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
+        td, th { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+        form { display: inline; }
+        button { margin: 4px 6px 4px 0; padding: 8px 14px; border: 0; border-radius: 6px; background: #2563eb; color: #fff; cursor: pointer; }
+        button[value="failed"], button[value="refunded"] { background: #6b7280; }
+    </style>
+</head>
+<body>
+    <p class="notice">Stripe sandbox: no real payment is made. Each button sends the webhook events Stripe would.</p>
+${body}
+</body>
+</html>`;
+}
+
+function renderCheckout({ session, lineItem, state, outcomes }) {
+    const product = lineItem.price_data.product_data || {};
+    const recurring = lineItem.price_data.recurring;
+    const method = session.payment_method_types.includes('us_bank_account') ? 'US bank account (ACH)' : 'Card';
+    const successUrl = session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id);
+
+    const buttons = outcomes.map(outcome =>
+        `<button type="submit" name="outcome" value="${outcome}">${escapeHtml(OUTCOME_LABELS[state][outcome])}</button>`
+    ).join('\n            ');
+
+    return renderPage(product.name || 'Checkout', `    <h1>${escapeHtml(product.name || 'Checkout')}</h1>
+    <p>${escapeHtml(product.description || '')}</p>
+    <table>
+        <tr><th>Amount</th><td>${escapeHtml(formatAmount(lineItem.price_data.unit_amount, session.currency))}${recurring ? ` per ${escapeHtml(recurring.interval)}` : ''}</td></tr>
+        <tr><th>Payment method</th><td>${method}</td></tr>
+        <tr><th>Customer</th><td>${escapeHtml(session.client_reference_id || '')}</td></tr>
+        <tr><th>Session</th><td>${escapeHtml(session.id)} (${escapeHtml(state)})</td></tr>
+    </table>
+    ${outcomes.length > 0 ? `<form method="post" action="/stripe-sandbox/checkout/${escapeHtml(session.id)}">
+            ${buttons}
+        </form>` : '<p>Nothing more can happen to this session.</p>'}
+    <p>
+        ${state === 'open' && session.cancel_url ? `<a href="${escapeHtml(session.cancel_url)}">Cancel and go back</a>` : `<a href="${escapeHtml(successUrl)}">Back to the account page</a>`}
+        | <a href="/stripe-sandbox">All sandbox sessions</a>
+    </p>`);
+}
+
+function renderSessionList(sessions) {
+    const rows = sessions.map(({ session, state }) => `        <tr>
+            <td><a href="/stripe-sandbox/checkout/${escapeHtml(session.id)}">${escapeHtml(session.id)}</a></td>
+            <td>${escapeHtml(session.client_reference_id || '')}</td>
+            <td>${escapeHtml(formatAmount(session.amount_total, session.currency))}</td>
+            <td>${escapeHtml(state)}</td>
+        </tr>`).join('\n');
+
+    return renderPage('Sessions', `    <h1>Sandbox checkout sessions</h1>
+    ${sessions.length > 0 ? `<table>
+        <tr><th>Session</th><th>Customer</th><th>Amount</th><th>State</th></tr>
+${rows}
+    </table>` : '<p>No checkout sessions since the server started.</p>'}`);
+}
+
+function createStripeSandboxRoutes({ stripe }) {
+    const router = express.Router();
+    const sandbox = stripe.sandbox;
+
+    router.get('/stripe-sandbox', (req, res) => {
+        res.type('html').send(renderSessionList(sandbox.listSessions()));
+    });
+
+    router.get('/stripe-sandbox/checkout/:id', (req, res) => {
+        const checkout = sandbox.getSession(req.params.id);
+        if (!checkout) {
+            return res.status(404).type('html').send(renderPage('Not found', '    <p>No such checkout session.</p>'));
+        }
+        res.type('html').send(renderCheckout(checkout));
+    });
+
+    // Complete the session, then return to the app as Stripe's checkout does.
+    // The events are delivered to this same server before the redirect, at the
+    // port it listens on: never at the Host header, which the client controls.
+    router.post('/stripe-sandbox/checkout/:id', async (req, res) => {
+        try {
+            if (!sandbox.getSession(req.params.id)) {
+                return res.status(404).type('html').send(renderPage('Not found', '    <p>No such checkout session.</p>'));
+            }
+
+            const webhookUrl = `http://127.0.0.1:${req.socket.localPort}/api/stripe-webhook`;
+            const session = await sandbox.complete(req.params.id, req.body.outcome, webhookUrl);
+            res.redirect(303, session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id));
+        } catch (error) {
+            if (error.type === 'StripeInvalidRequestError') {
+                return res.status(400).type('html').send(renderPage('Error', `    <p>${escapeHtml(error.message)}</p>`));
+            }
+            console.error('Error completing sandbox checkout:', error);
+            res.status(500).type('html').send(renderPage('Error', '    <p>Failed to complete the checkout session.</p>'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStripeSandboxRoutes };
@@ -0,0 +1,191 @@
+// Client survey routes: submitting the first and second surveys, autosaved
+// drafts, and the client's own view and deletion of their answers
+const express = require('express');
+const surveyMappings = require('../survey-mappings');
+const surveyRevisions = require('../survey-revisions');
+const surveyValidation = require('../survey-validation');
+const surveys = require('../repositories/surveys');
+const evaluations = require('../repositories/evaluations');
+
+function createSurveyRoutes({ db, auth, config }) {
+    const router = express.Router();
+    const { requireUser, requirePaidUser } = auth;
+
+    router.post('/api/submit-survey', requirePaidUser, async (req, res) => {
+        try {
+            const userEmail = req.currentUser.email;
+
+            // Get all form data from request body (excluding an email older pages still send,
+            // the survey variant marker and the page's saved-section bookkeeping)
+            const { email, survey_variant, currentSection, ...responses } = req.body;
+
+            // Record which survey variant and mapping version produced these answers
+            const surveyVariant = surveyMappings.resolveVariant(survey_variant, config.SURVEY_TYPE);
+            const mappingVersion = surveyMappings.getVariant(surveyVariant).mappingVersion;
+
+            // Answers must match the questions of the variant that was filled in
+            const validation = surveyValidation.validateSecondSurvey(responses, surveyVariant);
+            if (!validation.valid) {
+                return res.status(400).json({ success: false, error: 'Please correct the highlighted fields', errors: validation.errors });
+            }
+
+            console.log('Survey submission received:', {
+                userEmail: userEmail,
+                surveyVariant: surveyVariant,
+                responseCount: Object.keys(responses).length,
+                sampleFields: Object.keys(responses).slice(0, 5)
+            });
+
+            // Resubmitting adds a new revision rather than another unrelated row
+            const { id: responseId, revision } = await surveyRevisions.createRevision(db, 'second', userEmail, responses, {
+                survey_variant: surveyVariant,
+                mapping_version: mappingVersion
+            });
+
+            // The submitted answers replace the in-progress draft
+            await surveys.deleteDrafts(db, userEmail, 'second');
+
+            res.json({ success: true, responseId, revision, surveyVariant, mappingVersion });
+        } catch (error) {
+            console.error('Error submitting survey:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    router.post('/api/submit-first-survey', requirePaidUser, async (req, res) => {
+        try {
+            const userEmail = req.currentUser.email;
+
+            // Get all form data from request body (excluding an email older pages still send)
+            const { email, currentSection, ...responses } = req.body;
+
+            const validation = surveyValidation.validateFirstSurvey(responses);
+            if (!validation.valid) {
+                return res.status(400).json({ success: false, error: 'Please correct the highlighted fields', errors: validation.errors });
+            }
+
+            console.log('First survey submission received:', {
+                userEmail: userEmail,
+                responseCount: Object.keys(responses).length,
+                sampleFields: Object.keys(responses).slice(0, 5)
+            });
+
+            // Resubmitting adds a new revision rather than another unrelated row
+            const { id: responseId, revision } = await surveyRevisions.createRevision(db, 'first', userEmail, responses);
+
+            // The submitted answers replace the in-progress draft
+            await surveys.deleteDrafts(db, userEmail, 'first');
+
+            res.json({ success: true, responseId, revision });
+        } catch (error) {
+            console.error('Error submitting first survey:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    });
+
+    // Survey draft endpoints (server-side autosave so answers follow the user across devices)
+    router.get('/api/survey-drafts/:surveyType', requireUser, async (req, res) => {
+        try {
+            const { surveyType } = req.params;
+            if (!surveys.DRAFT_SURVEY_TYPES.includes(surveyType)) {
+                return res.status(400).json({ success: false, error: 'Invalid survey type. Must be: first or second' });
+            }
+
+            const draft = await surveys.getDraft(db, req.currentUser.email, surveyType);
+            res.json({ success: true, draft: surveys.formatDraft(draft) });
+        } catch (error) {
+            console.error('Error loading survey draft:', error);
+            res.status(500).json({ success: false, error: 'Failed to load survey draft' });
+        }
+    });
+
+    // Save a draft. baseUpdatedAt is the updated_at the client last synced with;
+    // if the stored draft has changed since (another device saved), respond 409
+    // with the stored draft so the client can resolve the conflict.
+    router.put('/api/survey-drafts/:surveyType', requireUser, async (req, res) => {
+        try {
+            const { surveyType } = req.params;
+            if (!surveys.DRAFT_SURVEY_TYPES.includes(surveyType)) {
+                return res.status(400).json({ success: false, error: 'Invalid survey type. Must be: first or second' });
+            }
+
+            const userEmail = req.currentUser.email;
+
+            const { responses, currentSection, baseUpdatedAt } = req.body;
+            if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+                return res.status(400).json({ success: false, error: 'responses must be an object' });
+            }
+
+            const existing = await surveys.getDraft(db, userEmail, surveyType);
+            if (existing) {
+                const baseTime = baseUpdatedAt ? new Date(baseUpdatedAt).getTime() : null;
+                if (baseTime !== new Date(existing.updated_at).getTime()) {
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Draft was updated on another device',
+                        draft: surveys.formatDraft(existing)
+                    });
+                }
+            }
+
+            const draft = await surveys.saveDraft(db, userEmail, surveyType, {
+                responses,
+                currentSection: Number.isInteger(currentSection) ? currentSection : null,
+                // Millisecond timestamp so the value round-trips exactly through JSON
+                updatedAt: new Date()
+            });
+
+            res.json({ success: true, draft: surveys.formatDraft(draft) });
+        } catch (error) {
+            console.error('Error saving survey draft:', error);
+            res.status(500).json({ success: false, error: 'Failed to save survey draft' });
+        }
+    });
+
+    // Which kinds of survey data the user has on file (for the account page)
+    router.get('/api/my-data', requireUser, async (req, res) => {
+        try {
+            const userEmail = req.currentUser.email;
+
+            res.json({
+                success: true,
+                first_survey: await surveys.hasSubmission(db, 'first', userEmail),
+                second_survey: await surveys.hasSubmission(db, 'second', userEmail),
+                evaluation: await evaluations.hasEvaluation(db, userEmail)
+            });
+        } catch (error) {
+            console.error('Error checking user data:', error);
+            res.status(500).json({ success: false, error: 'Failed to check your data' });
+        }
+    });
+
+    // Clear user's own survey data endpoint (for users to clear their own data)
+    router.post('/api/clear-my-data', requireUser, async (req, res) => {
+        try {
+            const userEmail = req.currentUser.email;
+
+            await surveys.deleteSubmissions(db, 'first', userEmail);
+            await surveys.deleteSubmissions(db, 'second', userEmail);
+            await evaluations.deleteForEmail(db, userEmail);
+            await surveys.deleteDrafts(db, userEmail);
+
+            console.log(`User cleared their own survey data: ${userEmail}`);
+            res.json({
+                success: true,
+                message: `Your survey data has been cleared successfully`,
+                cleared: {
+                    first_survey: true,
+                    second_survey: true,
+                    evaluation: true
+                }
+            });
+        } catch (error) {
+            console.error('Error clearing user data:', error);
+            res.status(500).json({ error: 'Failed to clear your data' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSurveyRoutes };
@@ -6,15 +6,53 @@ class SurveyForm {
         const sections = document.querySelectorAll('.form-section');
         this.totalSteps = sections && sections.length ? sections.length : 1;
         this.formData = {};
+        this.draftSync = null;
         this.init();
     }
 
     init() {
         this.bindEvents();
         this.updateProgress();
+        this.setupDraftSync();
         this.loadSavedData();
     }
 
+    getStorageKey() {
+        // Get user email for data isolation
+        let userEmail = 'anonymous';
+        try {
+            const accountData = JSON.parse(localStorage.getItem('niw_account') || '{}');
+            userEmail = accountData.email || 'anonymous';
+        } catch (e) {
+            console.error('Error loading account data for storage key:', e);
+        }
+        
+        // Determine which survey this is and use appropriate key with user email
+        return this.getSurveyType() === 'second' ? `secondSurveyData_${userEmail}` : `niwSurveyData_${userEmail}`;
+    }
+
+    // The rendered form says which survey it is; the URL (/survey/second,
+    // /second-survey) is only a fallback
+    getSurveyType() {
+        const form = document.getElementById('surveyForm');
+        if (form && form.dataset.survey) {
+            return form.dataset.survey;
+        }
+        return window.location.pathname.includes('second') ? 'second' : 'first';
+    }
+
+    // Mirror the localStorage copy to the server (public/survey-drafts.js)
+    setupDraftSync() {
+        if (typeof SurveyDraftSync === 'undefined') {
+            return;
+        }
+        this.draftSync = new SurveyDraftSync(this.getSurveyType(), {
+            storageKey: this.getStorageKey(),
+            getData: () => this.formData,
+            applyData: (data) => this.restoreData(data)
+        });
+    }
+
     bindEvents() {
         // Navigation buttons
         document.getElementById('prevBtn').addEventListener('click', () => this.previousStep());
@@ -32,7 +70,12 @@ class SurveyForm {
         document.getElementById('surveyForm').addEventListener('submit', (e) => this.submitForm(e));
 
         // Auto-save on page unload
-        window.addEventListener('beforeunload', () => this.saveFormData());
+        window.addEventListener('beforeunload', () => {
+            this.saveFormData();
+            if (this.draftSync) {
+                this.draftSync.flush();
+            }
+        });
     }
 
     showStep(step) {
@@ -227,66 +270,47 @@ class SurveyForm {
         errorFields.forEach(field => {
             field.classList.remove('error');
         });
+        document.querySelectorAll('.form-group .field-error').forEach(message => message.remove());
     }
 
     saveFormData() {
         const form = document.getElementById('surveyForm');
-        const formData = new FormData(form);
-        
-        // Convert FormData to object
-        for (let [key, value] of formData.entries()) {
-            this.formData[key] = value;
-        }
+        const values = getFormValues(form);
+
+        // A checkbox group with nothing checked is missing from the form data
+        form.querySelectorAll('input[type="checkbox"]').forEach(box => {
+            if (!(box.name in values)) {
+                delete this.formData[box.name];
+            }
+        });
+        Object.assign(this.formData, values);
 
-        // Get user email for data isolation
-        let userEmail = 'anonymous';
-        try {
-            const accountData = JSON.parse(localStorage.getItem('niw_account') || '{}');
-            userEmail = accountData.email || 'anonymous';
-        } catch (e) {
-            console.error('Error loading account data for storage key:', e);
-        }
-        
-        // Determine which survey this is and use appropriate key with user email
-        const isSecondSurvey = window.location.pathname.includes('second-survey');
-        const storageKey = isSecondSurvey ? `secondSurveyData_${userEmail}` : `niwSurveyData_${userEmail}`;
-        
         // Add current section to saved data
         this.formData.currentSection = this.currentStep;
         
         // Save to localStorage
-        localStorage.setItem(storageKey, JSON.stringify(this.formData));
+        localStorage.setItem(this.getStorageKey(), JSON.stringify(this.formData));
+        
+        // Queue a debounced save of the server-side draft
+        if (this.draftSync) {
+            this.draftSync.markChanged();
+        }
         
         // Show auto-save indicator
         this.showAutoSaveIndicator();
     }
 
     loadSavedData() {
-        // Get user email for data isolation
-        let userEmail = 'anonymous';
-        try {
-            const accountData = JSON.parse(localStorage.getItem('niw_account') || '{}');
-            userEmail = accountData.email || 'anonymous';
-        } catch (e) {
-            console.error('Error loading account data for storage key:', e);
+        // The draft sync picks between the server draft and the local copy
+        if (this.draftSync) {
+            this.draftSync.load();
+            return;
         }
         
-        // Determine which survey this is and use appropriate key with user email
-        const isSecondSurvey = window.location.pathname.includes('second-survey');
-        const storageKey = isSecondSurvey ? `secondSurveyData_${userEmail}` : `niwSurveyData_${userEmail}`;
-        
-        const savedData = localStorage.getItem(storageKey);
+        const savedData = localStorage.getItem(this.getStorageKey());
         if (savedData) {
             try {
-                this.formData = JSON.parse(savedData);
-                
-                // Restore current section if available
-                if (this.formData.currentSection !== undefined) {
-                    this.currentStep = this.formData.currentSection;
-                    this.showStep(this.currentStep);
-                }
-                
-                this.populateForm();
+                this.restoreData(JSON.parse(savedData));
                 console.log('Form data restored from localStorage');
             } catch (e) {
                 console.error('Error loading saved data:', e);
@@ -294,24 +318,26 @@ class SurveyForm {
         }
     }
 
+    restoreData(data) {
+        this.formData = data;
+        
+        // Restore current section if available
+        if (this.formData.currentSection !== undefined) {
+            this.currentStep = Math.max(1, Math.min(this.formData.currentSection, this.totalSteps));
+            this.showStep(this.currentStep);
+        }
+        
+        this.populateForm();
+    }
+
     populateForm() {
-        Object.keys(this.formData).forEach(key => {
-            const element = document.getElementById(key);
-            if (element) {
-                element.value = this.formData[key];
-            }
-        });
+        setFormValues(document.getElementById('surveyForm'), this.formData);
     }
 
     async submitForm(e) {
         e.preventDefault();
 
-        // For testing: skip validation to allow empty submissions
-        // if (!this.validateCurrentStep()) {
-        //     this.showNotification('Please fill in all required fields before submitting.', 'error');
-        //     return;
-        // }
-
+        // The server validates the whole submission; its field errors are shown inline
         // Save final data
         this.saveFormData();
 
@@ -325,25 +351,22 @@ class SurveyForm {
             // Simulate API call (replace with actual API endpoint)
             await this.submitToAPI();
             
-            // Clear saved data - get user-specific key
-            let userEmail = 'anonymous';
-            try {
-                const accountData = JSON.parse(localStorage.getItem('niw_account') || '{}');
-                userEmail = accountData.email || 'anonymous';
-            } catch (e) {
-                console.error('Error loading account data for clearing:', e);
+            // Clear saved data (the server deletes its draft on submission)
+            localStorage.removeItem(this.getStorageKey());
+            if (this.draftSync) {
+                this.draftSync.clear();
             }
             
-            const isSecondSurvey = window.location.pathname.includes('second-survey');
-            const storageKey = isSecondSurvey ? `secondSurveyData_${userEmail}` : `niwSurveyData_${userEmail}`;
-            localStorage.removeItem(storageKey);
-            
             // Show success message
             this.showSuccessMessage();
             
         } catch (error) {
             console.error('Submission error:', error);
-            this.showNotification('There was an error submitting your application. Please try again.', 'error');
+            if (error.fieldErrors) {
+                this.showFieldErrors(error.fieldErrors);
+            } else {
+                this.showNotification('There was an error submitting your application. Please try again.', 'error');
+            }
             
             // Restore button
             submitBtn.innerHTML = originalText;
@@ -352,44 +375,53 @@ class SurveyForm {
     }
 
     async submitToAPI() {
-        // Get the registered user's email from localStorage instead of form data
-        let registeredEmail = null;
-        try {
-            const accountData = JSON.parse(localStorage.getItem('niw_account') || '{}');
-            registeredEmail = accountData.email;
-        } catch (e) {
-            console.error('Error loading account data:', e);
+        // The server files the answers under the signed-in account (JWT or session)
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+        const token = localStorage.getItem('niw_jwt_token');
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
         }
         
-        // Debug: Log form data to see what we have
-        console.log('Form data before submission:', {
-            hasPersonalEmail: !!this.formData.PERSONAL_EMAIL,
-            personalEmailValue: this.formData.PERSONAL_EMAIL,
-            registeredEmail: registeredEmail,
-            usingRegisteredEmail: !!registeredEmail,
-            formDataKeys: Object.keys(this.formData).slice(0, 10)
-        });
+        // Only send fields that are on this page; saved data can hold answers
+        // to questions the current survey no longer asks
+        const responses = getFormValues(document.getElementById('surveyForm'));
         
-        // Submit to the actual API using registered email, not form email
         const response = await fetch('/api/submit-survey', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                email: registeredEmail || this.formData.PERSONAL_EMAIL, // Fallback to form email if no registered email
-                ...this.formData
-            })
+            headers: headers,
+            body: JSON.stringify(responses)
         });
 
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to submit survey');
+            const error = new Error(errorData.error || 'Failed to submit survey');
+            error.fieldErrors = errorData.errors;
+            throw error;
         }
 
         return response.json();
     }
 
+    // Per-field errors from the server (public/survey-errors.js)
+    showFieldErrors(errors) {
+        const form = document.getElementById('surveyForm');
+        const { firstSection, unplaced } = showSubmissionErrors(form, errors);
+        
+        if (firstSection) {
+            this.currentStep = parseInt(firstSection.dataset.section, 10);
+            this.showStep(this.currentStep);
+            const firstError = firstSection.querySelector('.field-error');
+            if (firstError) {
+                firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+        
+        const extra = unplaced.map(error => `${error.field}: ${error.message}`).join('; ');
+        this.showNotification(`Please correct the highlighted fields.${extra ? ' ' + extra : ''}`, 'error');
+    }
+
     showSuccessMessage() {
         // Hide form
         document.getElementById('surveyForm').style.display = 'none';
@@ -0,0 +1,40 @@
+// Staff roles and what each may do on the admin pages and /api/admin/* routes
+//
+// Staff sign in through the normal account login; users.role marks the
+// account as staff (NULL for clients). Permissions:
+//   view    - client list, submitted answers, revisions, form/crosswalk reports, API docs
+//   export  - download client data: bulk exports, filled PDF forms, petition letters
+//   edit    - clear a client's survey data
+//   manage  - give or take away staff roles
+//   audit   - read and export the audit trail of staff access (audit-log.js)
+//   refund  - refund a client's Stripe payment in full or in part, and
+//             download their invoices
+//   pricing - create and deactivate promo and referral coupons
+//   maintain - database maintenance: migrations, manual payment records and
+//             corrections, wiping test data (never in production)
+const ROLE_PERMISSIONS = {
+    viewer: ['view'],
+    'case-manager': ['view', 'export', 'edit'],
+    admin: ['view', 'export', 'edit', 'manage', 'audit', 'refund', 'pricing', 'maintain']
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function isStaffRole(role) {
+    return STAFF_ROLES.includes(role);
+}
+
+function hasPermission(role, permission) {
+    return isStaffRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+function getPermissions(role) {
+    return isStaffRole(role) ? ROLE_PERMISSIONS[role].slice() : [];
+}
+
+module.exports = {
+    STAFF_ROLES,
+    isStaffRole,
+    hasPermission,
+    getPermissions
+};
@@ -0,0 +1,53 @@
+// The Stripe API client shared by the checkout, refund and webhook code
+//
+// STRIPE_MODE picks it:
+//   stripe   (default) the real client when STRIPE_SECRET_KEY is set,
+//            otherwise null: checkout and refunds then answer "Stripe not
+//            configured"
+//   sandbox  the offline stand-in in stripe-sandbox.js, for development
+//
+// Tests can put a stand-in with the same methods (checkout.sessions.create,
+// refunds.create, subscriptions.cancel, invoicePayments.list) in its place
+// with useClient before the app is loaded.
+const Stripe = require('stripe');
+const stripeSandbox = require('./stripe-sandbox');
+
+const STRIPE_MODES = ['stripe', 'sandbox'];
+
+let client;
+
+function useClient(stripe) {
+    client = stripe;
+}
+
+// config: the server configuration (STRIPE_MODE, STRIPE_SECRET_KEY,
+// STRIPE_WEBHOOK_SECRET)
+function getClient(config) {
+    if (client === undefined) {
+        const mode = config.STRIPE_MODE || 'stripe';
+        if (!STRIPE_MODES.includes(mode)) {
+            throw new Error(`Unknown STRIPE_MODE: ${mode}. Use one of: ${STRIPE_MODES.join(', ')}`);
+        }
+
+        if (mode === 'sandbox') {
+            client = stripeSandbox.createSandbox({ webhookSecret: config.STRIPE_WEBHOOK_SECRET });
+        } else {
+            client = config.STRIPE_SECRET_KEY ? Stripe(config.STRIPE_SECRET_KEY) : null;
+        }
+    }
+    return client;
+}
+
+// The secret webhook events are verified with: the sandbox signs its own
+// with a local one unless STRIPE_WEBHOOK_SECRET is set
+function getWebhookSecret(config) {
+    const stripe = getClient(config);
+    return stripe && stripe.sandbox ? stripe.sandbox.webhookSecret : config.STRIPE_WEBHOOK_SECRET;
+}
+
+module.exports = {
+    STRIPE_MODES,
+    useClient,
+    getClient,
+    getWebhookSecret
+};
@@ -0,0 +1,403 @@
+// Offline stand-in for Stripe (STRIPE_MODE=sandbox), for working on checkout
+// without Stripe test keys or a network connection
+//
+// It implements the calls the app makes (checkout.sessions.create and
+// retrieve, refunds.create, subscriptions.cancel, invoicePayments.list) in
+// memory, with objects shaped like API version 2025-08-27.basil's. A checkout
+// session's url is a mock hosted checkout page (routes/stripe-sandbox.js)
+// where the session is completed with one of these outcomes:
+//
+//   paid        card and bank payments succeed; for installments, the first
+//               (or next) installment is paid
+//   processing  a bank (ACH) payment has started; complete the session again
+//               as paid or failed once it should settle
+//   failed      the payment (or the next installment) fails
+//   refunded    paid, then refunded in full
+//
+// Each outcome sends the webhook events Stripe would, signed with the webhook
+// secret, to the app's /api/stripe-webhook, so payments are recorded by the
+// same code as with Stripe (see stripe-webhooks.js). Sessions live in the
+// server process and are gone after a restart. Never used in production: it
+// marks payments paid without charging anyone.
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+// Used when STRIPE_WEBHOOK_SECRET is not set
+const DEFAULT_WEBHOOK_SECRET = 'whsec_sandbox_local';
+
+// The outcomes a session can be completed with next, by its mode and state
+const OUTCOMES = {
+    payment: {
+        open: ['paid', 'processing', 'failed', 'refunded'],
+        processing: ['paid', 'failed'],
+        paid: ['refunded']
+    },
+    subscription: {
+        open: ['paid', 'failed', 'refunded'],
+        active: ['paid', 'failed', 'refunded'],
+        past_due: ['paid']
+    }
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+function newId(prefix) {
+    return `${prefix}_sandbox_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// Thrown the way the Stripe library throws API errors, so callers that check
+// error.type treat it the same
+function invalidRequest(message) {
+    const error = new Error(message);
+    error.type = 'StripeInvalidRequestError';
+    error.statusCode = 400;
+    return error;
+}
+
+// options.webhookSecret: the secret /api/stripe-webhook verifies events with
+function createSandbox(options = {}) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('The Stripe sandbox cannot be used in production');
+    }
+
+    const webhookSecret = options.webhookSecret || DEFAULT_WEBHOOK_SECRET;
+    // Checkout session ID -> { session, lineItem, state, webhookUrl, lastPaymentIntent }
+    const sessions = new Map();
+    // Payment intent ID -> the charge it made, for refunds
+    const charges = new Map();
+    // Subscription ID -> the session record that started it
+    const subscriptions = new Map();
+    // Invoice ID -> its invoice payments
+    const invoicePayments = new Map();
+    const refundsByKey = new Map();
+    let deliveries = Promise.resolve();
+
+    // Queue a signed event for the app. Events are delivered one at a time, in
+    // the order they were sent, and a failed delivery is only logged.
+    function sendEvent(webhookUrl, type, object) {
+        const event = {
+            id: newId('evt'),
+            object: 'event',
+            api_version: '2025-08-27.basil',
+            created: nowSeconds(),
+            livemode: false,
+            pending_webhooks: 1,
+            type,
+            data: { object: JSON.parse(JSON.stringify(object)) }
+        };
+        const payload = JSON.stringify(event);
+
+        deliveries = deliveries.then(async () => {
+            const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+                body: payload
+            });
+            if (!response.ok) {
+                console.error(`Sandbox event ${event.id} (${type}) was answered ${response.status}`);
+            } else {
+                console.log(`Sandbox event ${event.id} (${type}) delivered`);
+            }
+        }).catch(error => {
+            console.error(`Sandbox event ${event.id} (${type}) could not be delivered:`, error.message);
+        });
+    }
+
+    // Resolves once every queued event has been delivered, including events
+    // queued while waiting (the app cancels a subscription from its webhook)
+    async function idle() {
+        let pending;
+        do {
+            pending = deliveries;
+            await pending;
+        } while (pending !== deliveries);
+    }
+
+    function getRecord(id) {
+        const record = sessions.get(id);
+        if (!record) {
+            throw invalidRequest(`No such checkout.session: '${id}'`);
+        }
+        return record;
+    }
+
+    function createCharge(record, amount) {
+        const paymentIntent = newId('pi');
+        charges.set(paymentIntent, {
+            id: newId('ch'),
+            amount,
+            amountRefunded: 0,
+            webhookUrl: record.webhookUrl,
+            // One-off payments end up refunded as a whole; installments do not
+            record: record.session.mode === 'payment' ? record : null
+        });
+        return paymentIntent;
+    }
+
+    function refund(params) {
+        const charge = charges.get(params.payment_intent);
+        if (!charge) {
+            throw invalidRequest(`No such payment_intent: '${params.payment_intent}'`);
+        }
+
+        const refundable = charge.amount - charge.amountRefunded;
+        const amount = params.amount === undefined ? refundable : params.amount;
+        if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+            throw invalidRequest(`Refund amount (${amount}) must be between 1 and the unrefunded amount (${refundable})`);
+        }
+
+        charge.amountRefunded += amount;
+        if (charge.record && charge.amountRefunded === charge.amount) {
+            charge.record.state = 'refunded';
+        }
+        sendEvent(charge.webhookUrl, 'charge.refunded', {
+            id: charge.id,
+            object: 'charge',
+            amount: charge.amount,
+            amount_refunded: charge.amountRefunded,
+            payment_intent: params.payment_intent,
+            refunded: charge.amountRefunded === charge.amount,
+            metadata: params.metadata || {}
+        });
+
+        return {
+            id: newId('re'),
+            object: 'refund',
+            amount,
+            payment_intent: params.payment_intent,
+            metadata: params.metadata || {},
+            status: 'succeeded'
+        };
+    }
+
+    function completePayment(record, outcome) {
+        const { session } = record;
+
+        if (record.state === 'open') {
+            session.status = 'complete';
+            session.payment_intent = createCharge(record, session.amount_total);
+            session.payment_status = outcome === 'paid' || outcome === 'refunded' ? 'paid' : 'unpaid';
+            sendEvent(record.webhookUrl, 'checkout.session.completed', session);
+            if (outcome === 'failed') {
+                sendEvent(record.webhookUrl, 'checkout.session.async_payment_failed', session);
+            }
+        } else if (record.state === 'processing') {
+            session.payment_status = outcome === 'paid' ? 'paid' : 'unpaid';
+            const type = outcome === 'paid' ? 'checkout.session.async_payment_succeeded' : 'checkout.session.async_payment_failed';
+            sendEvent(record.webhookUrl, type, session);
+        }
+
+        if (outcome === 'refunded') {
+            record.state = 'paid';
+            refund({ payment_intent: session.payment_intent });
+        } else {
+            record.state = outcome;
+        }
+    }
+
+    // An invoice for the subscription's next installment, paid or failed
+    function sendInvoice(record, paid) {
+        const { session, lineItem } = record;
+        const start = nowSeconds();
+        const invoice = {
+            id: newId('in'),
+            object: 'invoice',
+            amount_due: lineItem.price_data.unit_amount,
+            amount_paid: paid ? lineItem.price_data.unit_amount : 0,
+            currency: session.currency,
+            customer_email: session.customer_details.email,
+            parent: {
+                type: 'subscription_details',
+                subscription_details: { subscription: session.subscription, metadata: session.metadata }
+            },
+            lines: { data: [{ period: { start, end: start + 30 * DAY_SECONDS } }] },
+            next_payment_attempt: paid ? null : start + 3 * DAY_SECONDS,
+            status: paid ? 'paid' : 'open'
+        };
+        // The payment intent is not on the invoice; the app lists its payments
+        if (paid) {
+            record.lastPaymentIntent = createCharge(record, lineItem.price_data.unit_amount);
+            invoicePayments.set(invoice.id, [{
+                id: newId('inpay'),
+                object: 'invoice_payment',
+                invoice: invoice.id,
+                amount_paid: invoice.amount_paid,
+                payment: { type: 'payment_intent', payment_intent: record.lastPaymentIntent },
+                status: 'paid'
+            }]);
+        }
+        sendEvent(record.webhookUrl, paid ? 'invoice.paid' : 'invoice.payment_failed', invoice);
+    }
+
+    function completeSubscription(record, outcome) {
+        const { session } = record;
+
+        if (record.state === 'open') {
+            session.status = 'complete';
+            session.subscription = newId('sub');
+            session.payment_status = outcome === 'failed' ? 'unpaid' : 'paid';
+            subscriptions.set(session.subscription, record);
+            sendEvent(record.webhookUrl, 'checkout.session.completed', session);
+        }
+
+        if (outcome === 'failed') {
+            sendInvoice(record, false);
+            record.state = 'past_due';
+            return;
+        }
+        // Refunding an active plan refunds its last installment
+        if (outcome === 'paid' || record.state === 'open') {
+            sendInvoice(record, true);
+        }
+        record.state = 'active';
+        if (outcome === 'refunded') {
+            refund({ payment_intent: record.lastPaymentIntent });
+        }
+    }
+
+    function getOutcomes(id) {
+        const { session, state } = getRecord(id);
+        const outcomes = (OUTCOMES[session.mode] || {})[state] || [];
+        // Only bank payments are ever left processing
+        return outcomes.filter(outcome => outcome !== 'processing' || session.payment_method_types.includes('us_bank_account'));
+    }
+
+    // { session, lineItem, state, outcomes }, or null for an unknown session
+    function getSession(id) {
+        const record = sessions.get(id);
+        if (!record) {
+            return null;
+        }
+        return { session: { ...record.session }, lineItem: record.lineItem, state: record.state, outcomes: getOutcomes(id) };
+    }
+
+    // Newest first
+    function listSessions() {
+        return [...sessions.keys()].reverse().map(getSession);
+    }
+
+    // Complete the session (or move it on) with outcome, sending its events to
+    // webhookUrl. Resolves once the app has received them.
+    async function complete(id, outcome, webhookUrl) {
+        const record = getRecord(id);
+        if (!getOutcomes(id).includes(outcome)) {
+            throw invalidRequest(`A ${record.state} ${record.session.mode} session cannot be completed as ${outcome}`);
+        }
+        if (webhookUrl) {
+            record.webhookUrl = webhookUrl;
+        }
+
+        if (record.session.mode === 'subscription') {
+            completeSubscription(record, outcome);
+        } else {
+            completePayment(record, outcome);
+        }
+        console.log(`Sandbox checkout session ${id}: ${outcome}`);
+
+        await idle();
+        return { ...record.session };
+    }
+
+    // Stripe API calls the app makes
+    const client = {
+        checkout: {
+            sessions: {
+                async create(params) {
+                    const lineItem = params.line_items && params.line_items[0];
+                    if (!lineItem || !lineItem.price_data || !params.success_url) {
+                        throw invalidRequest('line_items with price_data and success_url are required');
+                    }
+
+                    const id = newId('cs_test');
+                    const session = {
+                        id,
+                        object: 'checkout.session',
+                        mode: params.mode || 'payment',
+                        status: 'open',
+                        payment_status: 'unpaid',
+                        amount_subtotal: lineItem.price_data.unit_amount * (lineItem.quantity || 1),
+                        amount_total: lineItem.price_data.unit_amount * (lineItem.quantity || 1),
+                        currency: lineItem.price_data.currency,
+                        client_reference_id: params.client_reference_id || null,
+                        customer_details: { email: params.client_reference_id || null },
+                        metadata: params.metadata || {},
+                        payment_method_types: params.payment_method_types || ['card'],
+                        payment_intent: null,
+                        subscription: null,
+                        success_url: params.success_url,
+                        cancel_url: params.cancel_url || null,
+                        // Relative, so the browser stays on the app's own host
+                        url: `/stripe-sandbox/checkout/${id}`,
+                        created: nowSeconds()
+                    };
+                    sessions.set(id, { session, lineItem, state: 'open', webhookUrl: null, lastPaymentIntent: null });
+                    console.log(`Sandbox checkout session ${id} created for ${session.client_reference_id}`);
+                    return { ...session };
+                },
+
+                async retrieve(id) {
+                    return { ...getRecord(id).session };
+                }
+            }
+        },
+
+        refunds: {
+            // Repeating a request with the same idempotency key returns the
+            // first refund, as Stripe does
+            async create(params, requestOptions = {}) {
+                const key = requestOptions.idempotencyKey;
+                if (key && refundsByKey.has(key)) {
+                    return refundsByKey.get(key);
+                }
+                const result = refund(params);
+                if (key) {
+                    refundsByKey.set(key, result);
+                }
+                return result;
+            }
+        },
+
+        invoicePayments: {
+            async list(params = {}) {
+                const data = (invoicePayments.get(params.invoice) || [])
+                    .filter(payment => !params.status || payment.status === params.status);
+                return { object: 'list', data, has_more: false };
+            }
+        },
+
+        subscriptions: {
+            async cancel(id) {
+                const record = subscriptions.get(id);
+                if (!record) {
+                    throw invalidRequest(`No such subscription: '${id}'`);
+                }
+                record.state = 'canceled';
+                const subscription = { id, object: 'subscription', status: 'canceled', metadata: record.session.metadata };
+                sendEvent(record.webhookUrl, 'customer.subscription.deleted', subscription);
+                return subscription;
+            }
+        },
+
+        // Sandbox controls for the mock checkout page
+        sandbox: {
+            webhookSecret,
+            listSessions,
+            getSession,
+            getOutcomes,
+            complete,
+            idle
+        }
+    };
+
+    return client;
+}
+
+module.exports = {
+    DEFAULT_WEBHOOK_SECRET,
+    createSandbox
+};
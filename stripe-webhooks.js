@@ -0,0 +1,443 @@
+// Stripe webhook events are the only thing that moves a payment between
+// states, and users.paid is derived from the payment history.
+//
+// Each event ID is stored in stripe_events before it is handled, so a
+// redelivered event is acknowledged without being applied twice. If handling
+// fails the ID is released again and Stripe's retry gets a fresh attempt.
+//
+// Payment statuses:
+//   processing          - checkout finished, bank (ACH) payment not yet cleared
+//   completed           - money received
+//   failed              - the bank payment did not go through
+//   partially_refunded  - some of the money was refunded (amount_refunded_cents)
+//   refunded            - all of the money was refunded
+//   disputed            - the customer opened a chargeback
+//   revoked             - an admin took a user's access away (manual_adjustment)
+//
+// Packages paid in installments are a Stripe subscription tracked in
+// payment_plans; each paid invoice adds a completed 'installment' payment and
+// the subscription is cancelled once the last one is in. Plan statuses:
+//   active     - installments are being paid on schedule
+//   past_due   - an installment failed; Stripe keeps retrying it
+//   completed  - every installment has been paid
+//   canceled   - Stripe gave up on a missed installment, or it was cancelled
+//
+// A user's package is whatever their net payments (amount paid plus any
+// coupon discount, less amount refunded) still cover at pricing.json's
+// prices, so a refund or failed payment that drops the total below the
+// package price downgrades or removes access.
+const pricing = require('./pricing');
+
+// Statuses that keep a user's access
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+
+// The statuses each change may move a payment out of; anything else means a
+// later event has already been applied, so the older one is ignored
+const TRANSITIONS = {
+    completed: ['processing'],
+    failed: ['processing'],
+    partially_refunded: ['completed', 'partially_refunded'],
+    refunded: ['completed', 'partially_refunded'],
+    disputed: ['completed', 'partially_refunded', 'refunded']
+};
+
+function getSessionEmail(session) {
+    return session.client_reference_id || (session.metadata && session.metadata.email) || null;
+}
+
+function getPaymentType(session) {
+    const metadata = session.metadata || {};
+    if (metadata.payment_type) {
+        return metadata.payment_type;
+    }
+    const basePrice = metadata.base_price
+        ? parseInt(metadata.base_price, 10)
+        : session.amount_total - parseInt(metadata.processing_fee || '0', 10);
+    return pricing.inferPaymentType(pricing.loadCatalog(), metadata.package_type, basePrice);
+}
+
+// Add the checkout session to the payment history (as processing) if it is
+// not there yet, then move it to status. Returns the user's email, or null
+// for a session that does not belong to a known user.
+async function recordCheckoutSession(db, session, status) {
+    const email = getSessionEmail(session);
+    const user = email ? await db.get('SELECT email FROM users WHERE email = $1', [email]) : null;
+    if (!user) {
+        console.log(`Stripe checkout session ${session.id} has no matching user (${email || 'no email'})`);
+        return null;
+    }
+
+    const metadata = session.metadata || {};
+    const paymentMethod = metadata.payment_method ||
+        (session.payment_method_types && session.payment_method_types.includes('us_bank_account') ? 'ach' : 'card');
+
+    await db.run(`
+        INSERT INTO payments (user_email, stripe_session_id, stripe_payment_intent_id, amount_cents, amount_dollars, package_type, payment_type, payment_method, base_price_cents, processing_fee_cents, coupon_code, discount_cents, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        ON CONFLICT (stripe_session_id) DO NOTHING
+    `, [
+        user.email,
+        session.id,
+        session.payment_intent || null,
+        session.amount_total || 0,
+        (session.amount_total || 0) / 100,
+        metadata.package_type || 'full',
+        getPaymentType(session),
+        paymentMethod,
+        parseInt(metadata.base_price || '0', 10),
+        parseInt(metadata.processing_fee || '0', 10),
+        metadata.coupon_code || null,
+        parseInt(metadata.discount || '0', 10),
+        'processing'
+    ]);
+
+    // Sessions created before the payment intent existed get it filled in later
+    if (session.payment_intent) {
+        await db.run(
+            'UPDATE payments SET stripe_payment_intent_id = $1 WHERE stripe_session_id = $2 AND stripe_payment_intent_id IS NULL',
+            [session.payment_intent, session.id]
+        );
+    }
+
+    if (status !== 'processing') {
+        await updatePaymentStatus(db, 'stripe_session_id', session.id, status);
+    }
+    return user.email;
+}
+
+// Move the payment matched by column = value to status (see TRANSITIONS).
+// Returns the payment, or null if there is none.
+async function updatePaymentStatus(db, column, value, status, amountRefundedCents) {
+    const payment = await db.get(`SELECT id, user_email, status FROM payments WHERE ${column} = $1`, [value]);
+    if (!payment) {
+        return null;
+    }
+    if (!TRANSITIONS[status].includes(payment.status)) {
+        console.log(`Payment ${payment.id} stays ${payment.status} (ignoring change to ${status})`);
+        return payment;
+    }
+
+    if (amountRefundedCents !== undefined) {
+        await db.run('UPDATE payments SET status = $1, amount_refunded_cents = $2 WHERE id = $3', [status, amountRefundedCents, payment.id]);
+    } else {
+        await db.run('UPDATE payments SET status = $1 WHERE id = $2', [status, payment.id]);
+    }
+    console.log(`Payment ${payment.id} for ${payment.user_email}: ${payment.status} -> ${status}`);
+    return payment;
+}
+
+// Installment plans
+
+// Invoices name their subscription directly in older API versions and under
+// parent.subscription_details in newer ones
+function getInvoiceSubscription(invoice) {
+    const details = (invoice.parent && invoice.parent.subscription_details) || invoice.subscription_details || {};
+    return {
+        subscriptionId: invoice.subscription || details.subscription || null,
+        metadata: details.metadata || {}
+    };
+}
+
+// The payment intent ID in an invoice payment, whether expanded or not
+function getPaymentIntentId(invoicePayment) {
+    const intent = invoicePayment.payment && invoicePayment.payment.payment_intent;
+    return intent && typeof intent === 'object' ? intent.id : intent || null;
+}
+
+// The payment intent that paid an invoice, or null. Since the basil API
+// versions it is in the invoice's payments, which events only carry when
+// expanded, so it is fetched from Stripe when missing; older versions send
+// invoice.payment_intent.
+async function getInvoicePaymentIntent(stripe, invoice) {
+    if (invoice.payment_intent) {
+        return typeof invoice.payment_intent === 'object' ? invoice.payment_intent.id : invoice.payment_intent;
+    }
+
+    let payments = invoice.payments && invoice.payments.data;
+    if (!payments) {
+        if (!stripe) {
+            console.error(`Stripe not configured: invoice ${invoice.id} is recorded without its payment intent`);
+            return null;
+        }
+        payments = (await stripe.invoicePayments.list({ invoice: invoice.id, status: 'paid' })).data;
+    }
+    const paid = payments.find(payment => payment.status === 'paid' && getPaymentIntentId(payment));
+    return paid ? getPaymentIntentId(paid) : null;
+}
+
+// Add the plan for a subscription if it is not there yet. metadata is the
+// checkout session's (copied onto the subscription), so invoices arriving
+// before checkout.session.completed can create it too. Returns the plan, or
+// null for a subscription that is not a known user's installment plan.
+async function ensurePaymentPlan(db, subscriptionId, metadata, sessionId = null) {
+    const existing = await db.get('SELECT * FROM payment_plans WHERE stripe_subscription_id = $1', [subscriptionId]);
+    if (existing) {
+        if (sessionId && !existing.stripe_session_id) {
+            await db.run('UPDATE payment_plans SET stripe_session_id = $1 WHERE id = $2', [sessionId, existing.id]);
+        }
+        return existing;
+    }
+
+    if (!(parseInt(metadata.installment_count, 10) > 0)) {
+        console.log(`Stripe subscription ${subscriptionId} is not an installment plan`);
+        return null;
+    }
+    const user = metadata.email ? await db.get('SELECT email FROM users WHERE email = $1', [metadata.email]) : null;
+    if (!user) {
+        console.log(`Stripe subscription ${subscriptionId} has no matching user (${metadata.email || 'no email'})`);
+        return null;
+    }
+
+    await db.run(`
+        INSERT INTO payment_plans (user_email, package_type, stripe_subscription_id, stripe_session_id, payment_method, installment_count, installment_amount_cents, installment_fee_cents, coupon_code, discount_cents)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (stripe_subscription_id) DO NOTHING
+    `, [
+        user.email,
+        metadata.package_type || 'full',
+        subscriptionId,
+        sessionId,
+        metadata.payment_method || 'card',
+        parseInt(metadata.installment_count, 10),
+        parseInt(metadata.installment_amount || '0', 10),
+        parseInt(metadata.installment_fee || '0', 10),
+        metadata.coupon_code || null,
+        parseInt(metadata.discount || '0', 10)
+    ]);
+    const plan = await db.get('SELECT * FROM payment_plans WHERE stripe_subscription_id = $1', [subscriptionId]);
+    console.log(`Payment plan ${plan.id} for ${plan.user_email}: ${plan.installment_count} installments`);
+    return plan;
+}
+
+// The last installment is in: stop the subscription so nothing more is charged
+async function endSubscription(stripe, subscriptionId) {
+    if (!stripe) {
+        console.error(`Stripe not configured: cancel subscription ${subscriptionId} in the Stripe dashboard`);
+        return;
+    }
+    await stripe.subscriptions.cancel(subscriptionId);
+}
+
+async function setPlanStatus(db, plan, status, nextPaymentAt) {
+    await db.run(
+        'UPDATE payment_plans SET status = $1, next_payment_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+        [status, nextPaymentAt, plan.id]
+    );
+    if (status !== plan.status) {
+        console.log(`Payment plan ${plan.id} for ${plan.user_email}: ${plan.status} -> ${status}`);
+    }
+}
+
+// Checkout sessions in subscription mode start an installment plan;
+// the payments themselves arrive as invoices
+async function handleCheckoutSession(db, session, status) {
+    if (session.mode === 'subscription') {
+        const plan = await ensurePaymentPlan(db, session.subscription, session.metadata || {}, session.id);
+        return plan ? plan.user_email : null;
+    }
+    return recordCheckoutSession(db, session, status);
+}
+
+// Handlers return the email of the user whose payments changed, or null.
+// options.stripe is the API client (null when Stripe is not configured).
+const EVENT_HANDLERS = {
+    // Card payments arrive paid; bank payments arrive unpaid and settle later
+    'checkout.session.completed': (db, session) =>
+        handleCheckoutSession(db, session, session.payment_status === 'unpaid' ? 'processing' : 'completed'),
+
+    'checkout.session.async_payment_succeeded': (db, session) =>
+        handleCheckoutSession(db, session, 'completed'),
+
+    'checkout.session.async_payment_failed': (db, session) =>
+        handleCheckoutSession(db, session, 'failed'),
+
+    // An installment was paid, on schedule or after a retry
+    'invoice.paid': async (db, invoice, options) => {
+        const { subscriptionId, metadata } = getInvoiceSubscription(invoice);
+        if (!subscriptionId) {
+            return null;
+        }
+        const plan = await ensurePaymentPlan(db, subscriptionId, metadata);
+        if (!plan) {
+            return null;
+        }
+
+        // Like a one-off payment: base price, less this installment's share of
+        // the discount, plus the fee adds up to the amount paid
+        const feeCents = Math.min(plan.installment_fee_cents || 0, invoice.amount_paid);
+        const discountCents = Math.ceil((plan.discount_cents || 0) / plan.installment_count);
+        const paymentIntentId = await getInvoicePaymentIntent(options.stripe, invoice);
+        await db.run(`
+            INSERT INTO payments (user_email, stripe_invoice_id, stripe_payment_intent_id, amount_cents, amount_dollars, package_type, payment_type, payment_method, base_price_cents, processing_fee_cents, discount_cents, payment_plan_id, status)
+            VALUES ($1, $2, $3, $4, $5, $6, 'installment', $7, $8, $9, $10, $11, 'completed')
+            ON CONFLICT (stripe_invoice_id) DO NOTHING
+        `, [
+            plan.user_email,
+            invoice.id,
+            paymentIntentId,
+            invoice.amount_paid,
+            invoice.amount_paid / 100,
+            plan.package_type,
+            plan.payment_method,
+            invoice.amount_paid - feeCents + discountCents,
+            feeCents,
+            discountCents,
+            plan.id
+        ]);
+
+        const paid = await db.get("SELECT COUNT(*) AS count FROM payments WHERE payment_plan_id = $1 AND payment_type = 'installment'", [plan.id]);
+        const installmentsPaid = Number(paid.count);
+        await db.run('UPDATE payment_plans SET installments_paid = $1 WHERE id = $2', [installmentsPaid, plan.id]);
+
+        if (installmentsPaid >= plan.installment_count) {
+            await setPlanStatus(db, plan, 'completed', null);
+            await endSubscription(options.stripe, subscriptionId);
+        } else if (plan.status !== 'canceled') {
+            const period = invoice.lines && invoice.lines.data && invoice.lines.data[0] && invoice.lines.data[0].period;
+            await setPlanStatus(db, plan, 'active', period && period.end ? new Date(period.end * 1000) : null);
+        }
+        return plan.user_email;
+    },
+
+    // A missed installment suspends access until Stripe's retry succeeds
+    'invoice.payment_failed': async (db, invoice) => {
+        const { subscriptionId, metadata } = getInvoiceSubscription(invoice);
+        if (!subscriptionId) {
+            return null;
+        }
+        const plan = await ensurePaymentPlan(db, subscriptionId, metadata);
+        if (!plan || plan.status === 'completed' || plan.status === 'canceled') {
+            return plan ? plan.user_email : null;
+        }
+        const nextAttempt = invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null;
+        await setPlanStatus(db, plan, 'past_due', nextAttempt);
+        return plan.user_email;
+    },
+
+    // Stripe stopped retrying (or the subscription was cancelled) before the
+    // plan was paid off
+    'customer.subscription.deleted': async (db, subscription) => {
+        const plan = await db.get('SELECT * FROM payment_plans WHERE stripe_subscription_id = $1', [subscription.id]);
+        if (!plan || plan.status === 'completed') {
+            return null;
+        }
+        await setPlanStatus(db, plan, 'canceled', null);
+        return plan.user_email;
+    },
+
+    'charge.refunded': async (db, charge) => {
+        const status = charge.refunded ? 'refunded' : 'partially_refunded';
+        const payment = await updatePaymentStatus(db, 'stripe_payment_intent_id', charge.payment_intent, status, charge.amount_refunded);
+        return payment ? payment.user_email : null;
+    },
+
+    'charge.dispute.created': async (db, dispute) => {
+        const payment = await updatePaymentStatus(db, 'stripe_payment_intent_id', dispute.payment_intent, 'disputed');
+        return payment ? payment.user_email : null;
+    }
+};
+
+// The most expensive package amountCents pays for, or null
+function getPackageForAmount(catalog, amountCents) {
+    const covered = pricing.getPackageTypes(catalog)
+        .filter(packageType => amountCents >= catalog.packages[packageType].price_cents);
+    return covered.length > 0 ? covered[covered.length - 1] : null;
+}
+
+// Set users.paid and package_type from the payment history: the package the
+// net amount paid covers (a coupon discount counts as paid), or a package an
+// admin granted by hand, whichever is higher. A manual revocation cancels the
+// payments before it.
+//
+// An active installment plan grants its package from the first installment,
+// with users.installments_outstanding set until the net amount covers it. A
+// past-due plan's installments count for nothing until the missed one is
+// paid; once a plan is cancelled, what was paid counts like any payment.
+// Returns the updated user.
+async function syncPaidStatus(db, email) {
+    const payments = await db.all(
+        'SELECT package_type, payment_type, status, amount_cents, amount_refunded_cents, discount_cents, payment_plan_id FROM payments WHERE user_email = $1 ORDER BY created_at, id',
+        [email]
+    );
+    const plans = await db.all('SELECT id, package_type, status FROM payment_plans WHERE user_email = $1', [email]);
+    const plansById = {};
+    plans.forEach(plan => {
+        plansById[plan.id] = plan;
+    });
+
+    let standing = [];
+    payments.forEach(payment => {
+        if (payment.payment_type === 'manual_adjustment' && payment.status === 'revoked') {
+            standing = [];
+        } else {
+            standing.push(payment);
+        }
+    });
+
+    const catalog = pricing.loadCatalog();
+    const packageTypes = pricing.getPackageTypes(catalog);
+    const rank = packageType => packageTypes.indexOf(packageType);
+    const higher = (a, b) => rank(b) > rank(a) ? b : a;
+
+    let netPaidCents = 0;
+    let grantedPackage = null;
+    let planPackage = null;
+    standing.filter(payment => PAID_STATUSES.includes(payment.status)).forEach(payment => {
+        const plan = payment.payment_plan_id ? plansById[payment.payment_plan_id] : null;
+        if (payment.payment_type === 'manual_adjustment') {
+            grantedPackage = higher(grantedPackage, payment.package_type);
+        } else if (!plan || plan.status !== 'past_due') {
+            netPaidCents += (payment.amount_cents || 0) + (payment.discount_cents || 0) - (payment.amount_refunded_cents || 0);
+            if (plan && plan.status === 'active') {
+                planPackage = higher(planPackage, plan.package_type);
+            }
+        }
+    });
+
+    const ownedPackage = higher(grantedPackage, getPackageForAmount(catalog, netPaidCents));
+    const packageType = higher(ownedPackage, planPackage);
+    const installmentsOutstanding = packageType !== ownedPackage;
+
+    return db.get(
+        'UPDATE users SET paid = $1, package_type = COALESCE($2, package_type), installments_outstanding = $3 WHERE email = $4 RETURNING email, paid, package_type, installments_outstanding',
+        [packageType !== null, packageType, installmentsOutstanding, email]
+    );
+}
+
+// Apply a verified Stripe event once. options.stripe is passed on to the
+// handler. Returns { duplicate, handled }.
+async function handleEvent(db, event, options = {}) {
+    try {
+        await db.run('INSERT INTO stripe_events (id, type) VALUES ($1, $2)', [event.id, event.type]);
+    } catch (error) {
+        if (error.code === '23505') {
+            console.log(`Stripe event ${event.id} already processed`);
+            return { duplicate: true, handled: false };
+        }
+        throw error;
+    }
+
+    const handler = EVENT_HANDLERS[event.type];
+    if (!handler) {
+        console.log(`Unhandled event type ${event.type}`);
+        return { duplicate: false, handled: false };
+    }
+
+    try {
+        const email = await handler(db, event.data.object, { stripe: options.stripe || null });
+        if (email) {
+            await syncPaidStatus(db, email);
+        }
+        return { duplicate: false, handled: true };
+    } catch (error) {
+        await db.run('DELETE FROM stripe_events WHERE id = $1', [event.id]);
+        throw error;
+    }
+}
+
+module.exports = {
+    PAID_STATUSES,
+    EVENT_HANDLERS,
+    handleEvent,
+    syncPaidStatus
+};
@@ -0,0 +1,144 @@
+// Crosswalk between first_survey.json item IDs and PDF mapping keys
+//
+// The survey posts fields named Q<question_number>_<item_id>, while the PDF
+// mappings in forms/mapping/*.json are keyed by human labels. The crosswalk
+// file (forms/mapping/crosswalk_first_survey.json) is the single place that
+// connects the two. Bump its "version" whenever an entry changes.
+const fs = require('fs');
+const path = require('path');
+
+const CROSSWALK_FILE = path.join(__dirname, 'forms', 'mapping', 'crosswalk_first_survey.json');
+const MAPPING_DIR = path.join(__dirname, 'forms', 'mapping');
+
+let crosswalk = null;
+let itemIdByKey = null;
+
+function loadJSON(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function getCrosswalk() {
+    if (!crosswalk) {
+        crosswalk = loadJSON(CROSSWALK_FILE);
+        itemIdByKey = new Map();
+        Object.entries(crosswalk.items).forEach(([itemId, entry]) => {
+            entry.mapping_keys.forEach(key => itemIdByKey.set(key, itemId));
+        });
+    }
+    return crosswalk;
+}
+
+function getVersion() {
+    return getCrosswalk().version;
+}
+
+// Load the survey definition referenced by the crosswalk
+function getSurvey() {
+    return loadJSON(path.join(__dirname, getCrosswalk().survey.file));
+}
+
+// Survey questions that carry an answer (page breaks are section headers)
+function getSurveyQuestions() {
+    return getSurvey().questions.filter(question => question.type !== 'page_break');
+}
+
+// Form field name posted by first-survey.html for a question
+function getFieldName(question) {
+    return `Q${question.question_number}_${question.item_id}`;
+}
+
+// Item ID that supplies the answer for a PDF mapping key, or null
+function getItemIdForKey(key) {
+    getCrosswalk();
+    return itemIdByKey.get(key) || null;
+}
+
+function getMappingKeysForItem(itemId) {
+    const entry = getCrosswalk().items[itemId];
+    return entry ? entry.mapping_keys : [];
+}
+
+// Compare the crosswalk against the survey and the given form mapping files.
+// forms: { formId: { title, textMappings: [...], checkboxMappings: [...] } }
+function buildReport(forms) {
+    const current = getCrosswalk();
+    const survey = getSurvey();
+    const questions = survey.questions.filter(question => question.type !== 'page_break');
+    const questionIds = new Set(questions.map(question => question.item_id));
+
+    // Survey questions with neither a crosswalk entry nor an explicit "ignored" reason
+    const unmappedQuestions = questions
+        .filter(question => !current.items[question.item_id] && !current.ignored[question.item_id])
+        .map(question => ({
+            item_id: question.item_id,
+            question_number: question.question_number,
+            field_name: getFieldName(question),
+            title: question.title
+        }));
+
+    // Crosswalk entries pointing at questions that no longer exist in the survey
+    const staleItems = Object.entries(current.items)
+        .filter(([itemId]) => !questionIds.has(itemId))
+        .map(([itemId, entry]) => ({ item_id: itemId, title: entry.title }));
+
+    const formReports = Object.entries(forms).map(([formId, definition]) => {
+        const mappingFiles = [...definition.textMappings, ...definition.checkboxMappings];
+        const orphanedFields = [];
+        let fillableCount = 0;
+
+        mappingFiles.forEach(fileName => {
+            Object.entries(loadJSON(path.join(MAPPING_DIR, fileName))).forEach(([fieldName, field]) => {
+                if (!field.fill || !field.key) {
+                    return;
+                }
+                fillableCount++;
+
+                const itemId = getItemIdForKey(field.key);
+                if (!itemId || !questionIds.has(itemId)) {
+                    orphanedFields.push({
+                        mapping_file: fileName,
+                        pdf_field: fieldName,
+                        page_index: field.page_index,
+                        key: field.key
+                    });
+                }
+            });
+        });
+
+        return {
+            form_id: formId,
+            title: definition.title,
+            fillable_fields: fillableCount,
+            orphaned_fields: orphanedFields
+        };
+    });
+
+    return {
+        crosswalk_version: current.version,
+        survey: {
+            file: current.survey.file,
+            form_id: survey.form_info.form_id,
+            extracted_at: survey.form_info.extracted_at,
+            // The survey was re-extracted since the crosswalk was last reviewed
+            changed_since_crosswalk: survey.form_info.form_id !== current.survey.form_id ||
+                survey.form_info.extracted_at !== current.survey.extracted_at
+        },
+        unmapped_questions: unmappedQuestions,
+        ignored_questions: Object.entries(current.ignored).map(([itemId, entry]) => ({
+            item_id: itemId,
+            title: entry.title,
+            reason: entry.reason
+        })),
+        stale_items: staleItems,
+        forms: formReports
+    };
+}
+
+module.exports = {
+    getVersion,
+    getSurveyQuestions,
+    getFieldName,
+    getItemIdForKey,
+    getMappingKeysForItem,
+    buildReport
+};
@@ -0,0 +1,133 @@
+// Second survey variants and the placeholder mappings that interpret their answers
+const fs = require('fs');
+const path = require('path');
+
+// The full v4 mapping is the reference every variant is compared against
+const SURVEY_VARIANTS = {
+    full: {
+        page: 'second-survey.html',
+        mappingFile: 'survey_questions_mapping_v4.json',
+        mappingVersion: 'v4'
+    },
+    simplified: {
+        page: 'second-survey-simplified.html',
+        mappingFile: 'survey_questions_mapping_v4_simplified.json',
+        mappingVersion: 'v4-simplified'
+    }
+};
+
+const REFERENCE_VARIANT = 'full';
+
+const mappingCache = {};
+
+function getVariant(variant) {
+    return SURVEY_VARIANTS[variant] || null;
+}
+
+// Placeholder -> question text for a variant
+function getMapping(variant) {
+    const definition = getVariant(variant);
+    if (!definition) {
+        throw new Error(`Unknown survey variant: ${variant}`);
+    }
+    if (!mappingCache[variant]) {
+        mappingCache[variant] = JSON.parse(fs.readFileSync(path.join(__dirname, definition.mappingFile), 'utf8'));
+    }
+    return mappingCache[variant];
+}
+
+// Use the variant the survey page reported, falling back to the configured one
+function resolveVariant(requested, fallback) {
+    if (getVariant(requested)) return requested;
+    if (getVariant(fallback)) return fallback;
+    return REFERENCE_VARIANT;
+}
+
+function parseResponses(responses) {
+    return typeof responses === 'string' ? JSON.parse(responses) : (responses || {});
+}
+
+function isAnswered(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Submissions stored before variants were recorded: any answer to a
+// full-only placeholder means the full survey produced it
+function detectVariant(responses) {
+    const answers = parseResponses(responses);
+    const simplified = getMapping('simplified');
+    const usesFullOnlyField = Object.keys(getMapping(REFERENCE_VARIANT))
+        .some(key => !(key in simplified) && isAnswered(answers[key]));
+    return usesFullOnlyField ? 'full' : 'simplified';
+}
+
+// Variant / mapping version for a stored second_survey_responses row
+function describeSubmission(row) {
+    const inferred = !getVariant(row.survey_variant);
+    const variant = inferred ? detectVariant(row.responses) : row.survey_variant;
+    return {
+        survey_variant: variant,
+        mapping_version: row.mapping_version || SURVEY_VARIANTS[variant].mappingVersion,
+        variant_inferred: inferred
+    };
+}
+
+// Pair each placeholder of the variant's mapping with its question and answer
+function interpretResponses(responses, variant) {
+    const answers = parseResponses(responses);
+    const mapping = getMapping(variant);
+
+    const fields = Object.entries(mapping).map(([key, question]) => ({
+        key,
+        question,
+        answer: isAnswered(answers[key]) ? answers[key] : null
+    }));
+
+    // Keys the mapping does not know about (renamed or removed placeholders)
+    const unmapped = Object.keys(answers)
+        .filter(key => !(key in mapping) && key !== 'currentSection')
+        .map(key => ({ key, answer: answers[key] }));
+
+    return { fields, unmapped };
+}
+
+// Which v4 placeholders a submission lacks: never asked by its variant, or asked but left empty
+function diffAgainstReference(responses, variant) {
+    const answers = parseResponses(responses);
+    const reference = getMapping(REFERENCE_VARIANT);
+    const asked = getMapping(variant);
+
+    const notAsked = [];
+    const unanswered = [];
+    let answeredCount = 0;
+
+    Object.entries(reference).forEach(([key, question]) => {
+        if (isAnswered(answers[key])) {
+            answeredCount++;
+        } else if (key in asked) {
+            unanswered.push({ key, question });
+        } else {
+            notAsked.push({ key, question });
+        }
+    });
+
+    return {
+        survey_variant: variant,
+        reference_mapping_version: SURVEY_VARIANTS[REFERENCE_VARIANT].mappingVersion,
+        reference_field_count: Object.keys(reference).length,
+        answered_count: answeredCount,
+        not_asked: notAsked,
+        unanswered
+    };
+}
+
+module.exports = {
+    SURVEY_VARIANTS,
+    getVariant,
+    getMapping,
+    resolveVariant,
+    detectVariant,
+    describeSubmission,
+    interpretResponses,
+    diffAgainstReference
+};
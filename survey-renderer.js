@@ -0,0 +1,296 @@
+// Survey and evaluation forms rendered from the questionnaire JSON definitions
+//
+// The page files (first-survey.html, second-survey-*.html, evaluation.html)
+// are templates: everything except the form body is hand-written, and the
+// <!-- SURVEY_FORM --> marker inside their <form> is replaced at request time
+// with sections and inputs built from:
+//   - first_survey.json                       first survey (user and team pages)
+//   - second_survey.json + variant mapping    second survey (layout + question text)
+//   - niw_comprehensive_questionnaire.json    evaluation_form layout and questions
+// The JSON files are read on every render, so editing one updates every
+// variant of the page without touching HTML.
+const fs = require('fs');
+const path = require('path');
+const surveyMappings = require('./survey-mappings');
+
+const FORM_MARKER = '<!-- SURVEY_FORM -->';
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function indent(lines, depth) {
+    const pad = ' '.repeat(depth * 4);
+    return lines.map(line => (line ? pad + line : line));
+}
+
+function toOptions(options) {
+    return (options || []).map(option => (
+        typeof option === 'string' ? { value: option, label: option } : option
+    ));
+}
+
+// One <div class="form-group"> for a normalized field:
+// { name, type, label, required, options, placeholder, explanation, min, max }
+// type is text, email, tel, number, date, paragraph, dropdown or checkbox
+function renderField(field, options = {}) {
+    const name = escapeHtml(field.name);
+    const required = field.required ? ' required' : '';
+    const label = escapeHtml(field.label) + (field.required && options.markRequired ? ' *' : '');
+    const lines = ['<div class="form-group">'];
+
+    switch (field.type) {
+        case 'paragraph': {
+            const placeholder = field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : '';
+            lines.push(`    <label for="${name}">${label}</label>`);
+            lines.push(`    <textarea id="${name}" name="${name}" rows="${options.rows || 4}"${placeholder}${required}></textarea>`);
+            break;
+        }
+        case 'dropdown':
+            lines.push(`    <label for="${name}">${label}</label>`);
+            lines.push(`    <select id="${name}" name="${name}"${required}>`);
+            lines.push(`        <option value="">${escapeHtml(field.placeholder || 'Select an option')}</option>`);
+            toOptions(field.options).forEach(option => {
+                lines.push(`        <option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`);
+            });
+            lines.push('    </select>');
+            break;
+        case 'checkbox':
+            // Posted as "<name>[]" with every checked value in an array
+            // (getFormValues in public/survey-form-data.js)
+            lines.push(`    <label>${label}</label>`);
+            toOptions(field.options).forEach(option => {
+                lines.push('    <label class="checkbox-label">');
+                lines.push(`        <input type="checkbox" name="${name}[]" value="${escapeHtml(option.value)}">`);
+                lines.push(`        ${escapeHtml(option.label)}`);
+                lines.push('    </label>');
+            });
+            break;
+        default: {
+            const attributes = [
+                field.min !== undefined ? ` min="${escapeHtml(field.min)}"` : '',
+                field.max !== undefined ? ` max="${escapeHtml(field.max)}"` : '',
+                field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : ''
+            ].join('');
+            lines.push(`    <label for="${name}">${label}</label>`);
+            lines.push(`    <input type="${escapeHtml(field.type || 'text')}" id="${name}" name="${name}"${attributes}${required}>`);
+        }
+    }
+
+    if (field.explanation) {
+        lines.push(`    <div class="field-explanation">${escapeHtml(field.explanation)}</div>`);
+    }
+    lines.push('</div>');
+    return lines;
+}
+
+// ----- First survey (first_survey.json, exported from Google Forms) -----
+
+const FIRST_SURVEY_TYPES = {
+    multiple_choice: 'dropdown',
+    dropdown: 'dropdown',
+    checkbox: 'checkbox',
+    date: 'date'
+};
+
+// "S2.1. Last Name" -> "Last Name"
+function stripQuestionNumber(title) {
+    return title.replace(/^S\d+(\.\d+)*\.?\s+/, '').trim();
+}
+
+function firstSurveyField(question) {
+    let type = FIRST_SURVEY_TYPES[question.type];
+    if (question.type === 'text') {
+        type = question.subtype === 'paragraph' ? 'paragraph' : 'text';
+    }
+    if (!type) {
+        throw new Error(`Unsupported first survey item type: ${question.type}`);
+    }
+    return {
+        name: `Q${question.question_number}_${question.item_id}`,
+        type,
+        label: stripQuestionNumber(question.title),
+        required: Boolean(question.required),
+        options: question.options,
+        explanation: question.description ? question.description.replace(/\s*\n\s*/g, ' ').trim() : ''
+    };
+}
+
+// Each page_break starts a new section
+function getFirstSurveySections(definition = readJson('first_survey.json')) {
+    const sections = [];
+    definition.questions.forEach(question => {
+        if (question.type === 'page_break') {
+            sections.push({ title: stripQuestionNumber(question.title), fields: [] });
+            return;
+        }
+        if (sections.length === 0) {
+            sections.push({ title: '', fields: [] });
+        }
+        sections[sections.length - 1].fields.push(firstSurveyField(question));
+    });
+    return sections;
+}
+
+function renderFirstSurveyForm() {
+    const lines = [];
+    getFirstSurveySections().forEach((section, index) => {
+        const number = index + 1;
+        lines.push(`<div class="survey-section" id="section-${number}" data-section="${number}" style="display: ${index === 0 ? 'block' : 'none'};">`);
+        lines.push(`    <h2>${escapeHtml(section.title)}</h2>`);
+        section.fields.forEach(field => lines.push(...indent(renderField(field), 1)));
+        lines.push('</div>');
+    });
+    return lines;
+}
+
+// ----- Second survey (second_survey.json layout + variant mapping) -----
+
+// Sections of a variant: question text comes from the variant's mapping, and
+// fields the mapping does not have are not part of that variant
+function getSecondSurveySections(variant, layout = readJson('second_survey.json')) {
+    const definition = surveyMappings.getVariant(variant);
+    if (!definition) {
+        throw new Error(`Unknown survey variant: ${variant}`);
+    }
+    const mapping = readJson(definition.mappingFile);
+
+    return layout.sections
+        .map(section => ({
+            title: section.title,
+            description: section.description,
+            fields: section.fields
+                .filter(field => field.key in mapping)
+                .map(field => ({
+                    name: field.key,
+                    type: field.type,
+                    label: mapping[field.key],
+                    required: Boolean(field.required),
+                    options: field.options,
+                    placeholder: field.placeholder
+                }))
+        }))
+        .filter(section => section.fields.length > 0);
+}
+
+function renderSecondSurveyForm(variant) {
+    const lines = [`<input type="hidden" name="survey_variant" value="${escapeHtml(variant)}">`];
+    getSecondSurveySections(variant).forEach((section, index) => {
+        const number = index + 1;
+        lines.push(`<!-- ===== Section ${number}: ${escapeHtml(section.title)} ===== -->`);
+        lines.push(`<div class="form-section${index === 0 ? ' active' : ''}" data-section="${number}">`);
+        lines.push('    <div class="section-header">');
+        lines.push(`        <h2>${escapeHtml(section.title)}</h2>`);
+        lines.push(`        <p>${escapeHtml(section.description)}</p>`);
+        lines.push('    </div>');
+        lines.push('    <div class="form-grid">');
+        section.fields.forEach(field => lines.push(...indent(renderField(field, { rows: 3 }), 2)));
+        lines.push('    </div>');
+        lines.push('</div>');
+    });
+    return lines;
+}
+
+// ----- Evaluation (evaluation_form in niw_comprehensive_questionnaire.json) -----
+
+// Fields that reference a questionnaire question take its text, limits and
+// options; the form's option values are the scoring.answer_values keys
+function evaluationField(questionnaire, field) {
+    if (!field.question) {
+        return field;
+    }
+    const section = Object.values(questionnaire).find(candidate => (
+        candidate && candidate.questions && candidate.questions[field.question]
+    ));
+    if (!section) {
+        throw new Error(`Unknown questionnaire question: ${field.question}`);
+    }
+    const question = section.questions[field.question];
+    const answerValues = questionnaire.scoring.answer_values[field.question] || {};
+    const valueFor = option => Object.keys(answerValues).find(value => answerValues[value] === option) || option;
+
+    return {
+        type: question.type === 'single_choice' ? 'dropdown' : question.type,
+        label: question.question,
+        required: Boolean(question.required),
+        explanation: question.explanation,
+        min: question.min,
+        max: question.max,
+        options: (question.options || []).map(option => ({ value: valueFor(option), label: option })),
+        ...field
+    };
+}
+
+function getEvaluationSections(questionnaire = readJson('niw_comprehensive_questionnaire.json').niw_questionnaire) {
+    return questionnaire.evaluation_form.sections.map(section => {
+        const source = section.section ? questionnaire[section.section] : {};
+        return {
+            title: section.title || source.title,
+            description: section.description || source.description,
+            fields: section.fields.map(field => evaluationField(questionnaire, field))
+        };
+    });
+}
+
+function renderEvaluationForm() {
+    const lines = [];
+    getEvaluationSections().forEach(section => {
+        lines.push('<div class="form-section">');
+        lines.push(`    <h2>${escapeHtml(section.title)}</h2>`);
+        if (section.description) {
+            lines.push(`    <p class="section-description">${escapeHtml(section.description)}</p>`);
+        }
+        section.fields.forEach(field => lines.push(...indent(renderField(field, { markRequired: true }), 1)));
+        lines.push('</div>');
+    });
+    return lines;
+}
+
+// ----- Pages -----
+
+const TEMPLATE_PAGES = {
+    'first-survey.html': renderFirstSurveyForm,
+    'first-survey-team.html': renderFirstSurveyForm,
+    'second-survey.html': () => renderSecondSurveyForm('full'),
+    'second-survey-simplified.html': () => renderSecondSurveyForm('simplified'),
+    'second-survey-team.html': () => renderSecondSurveyForm('simplified'),
+    'evaluation.html': renderEvaluationForm
+};
+
+function isTemplatePage(page) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATE_PAGES, page);
+}
+
+// Full HTML of a template page with its form rendered in place of the marker
+function renderPage(page) {
+    if (!isTemplatePage(page)) {
+        throw new Error(`Not a survey template page: ${page}`);
+    }
+    const template = fs.readFileSync(path.join(__dirname, page), 'utf8');
+    const markerLine = template.split('\n').find(line => line.includes(FORM_MARKER));
+    if (!markerLine) {
+        throw new Error(`${page} has no ${FORM_MARKER} marker`);
+    }
+    const depth = Math.floor(markerLine.indexOf(FORM_MARKER) / 4);
+    const form = indent(TEMPLATE_PAGES[page](), depth).join('\n').trimStart();
+    return template.replace(FORM_MARKER, () => form);
+}
+
+module.exports = {
+    escapeHtml,
+    renderField,
+    getFirstSurveySections,
+    getSecondSurveySections,
+    getEvaluationSections,
+    isTemplatePage,
+    renderPage
+};
@@ -0,0 +1,136 @@
+// Versioned survey submissions
+//
+// Every submission of a survey becomes a new revision (1, 2, 3 ...) for that
+// user. Exactly one revision per user and survey carries is_current = TRUE;
+// exports, PDF forms and letters all read that one.
+const { v4: uuidv4 } = require('uuid');
+
+const SURVEY_TABLES = {
+    first: 'first_survey_responses',
+    second: 'second_survey_responses'
+};
+
+function getTable(surveyType) {
+    const table = SURVEY_TABLES[surveyType];
+    if (!table) {
+        throw new Error(`Unknown survey type: ${surveyType}`);
+    }
+    return table;
+}
+
+function parseResponses(responses) {
+    return typeof responses === 'string' ? JSON.parse(responses) : (responses || {});
+}
+
+// Insert a new revision and move the current pointer to it.
+// extra: additional column values, e.g. { survey_variant, mapping_version }
+//
+// Two saves at once (an autosave and a submit) can pick the same number; the
+// loser gets a unique violation and retries with the next one, as
+// issueInvoice() in invoices.js does. The row goes in before the pointer
+// moves, and the pointer moves to the newest revision in one statement, so
+// the user is never left without a current revision.
+async function createRevision(db, surveyType, userEmail, responses, extra = {}) {
+    const table = getTable(surveyType);
+    const id = uuidv4();
+    const columns = ['id', 'user_email', 'responses', 'revision', 'is_current', ...Object.keys(extra)];
+    const placeholders = columns.map((column, index) => `$${index + 1}`);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const latest = await db.get(
+            `SELECT COALESCE(MAX(revision), 0) AS revision FROM ${table} WHERE user_email = $1`,
+            [userEmail]
+        );
+        const revision = Number(latest.revision) + 1;
+
+        try {
+            await db.run(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+                [id, userEmail, JSON.stringify(responses), revision, false, ...Object.values(extra)]
+            );
+        } catch (error) {
+            if (error.code !== '23505') {
+                throw error;
+            }
+            continue;
+        }
+
+        await db.run(`
+            UPDATE ${table}
+            SET is_current = (revision = (SELECT MAX(revision) FROM ${table} WHERE user_email = $1))
+            WHERE user_email = $1 AND (is_current = TRUE OR revision = $2)
+        `, [userEmail, revision]);
+        return { id, revision };
+    }
+    throw new Error(`Could not number a new ${surveyType} survey revision for ${userEmail}`);
+}
+
+async function getCurrentRevision(db, surveyType, userEmail) {
+    return db.get(
+        `SELECT * FROM ${getTable(surveyType)} WHERE user_email = $1 AND is_current = TRUE LIMIT 1`,
+        [userEmail]
+    );
+}
+
+async function getRevision(db, surveyType, userEmail, revision) {
+    return db.get(
+        `SELECT * FROM ${getTable(surveyType)} WHERE user_email = $1 AND revision = $2`,
+        [userEmail, revision]
+    );
+}
+
+async function listRevisions(db, surveyType, userEmail) {
+    const rows = await db.all(
+        `SELECT * FROM ${getTable(surveyType)} WHERE user_email = $1 ORDER BY revision DESC`,
+        [userEmail]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        revision: row.revision,
+        is_current: Boolean(row.is_current),
+        field_count: Object.keys(parseResponses(row.responses)).length,
+        created_at: row.created_at
+    }));
+}
+
+function formatValue(value) {
+    return Array.isArray(value) ? value.join('; ') : value;
+}
+
+// Field-level comparison of two submissions' responses
+function diffResponses(fromResponses, toResponses) {
+    const from = parseResponses(fromResponses);
+    const to = parseResponses(toResponses);
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchangedCount = 0;
+
+    fields.forEach(field => {
+        const inFrom = field in from;
+        const inTo = field in to;
+        if (!inFrom) {
+            added.push({ field, value: formatValue(to[field]) });
+        } else if (!inTo) {
+            removed.push({ field, value: formatValue(from[field]) });
+        } else if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+            changed.push({ field, from: formatValue(from[field]), to: formatValue(to[field]) });
+        } else {
+            unchangedCount++;
+        }
+    });
+
+    return { added, removed, changed, unchanged_count: unchangedCount };
+}
+
+module.exports = {
+    SURVEY_TABLES,
+    getTable,
+    createRevision,
+    getCurrentRevision,
+    getRevision,
+    listRevisions,
+    diffResponses
+};
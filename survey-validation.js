@@ -0,0 +1,155 @@
+// Server-side validation of survey submissions against the question schema
+//
+// The fields a submission may contain, their types, required flags and
+// options come from the same definitions the forms are rendered from
+// (survey-renderer.js), so a page and its validator cannot drift apart.
+// Errors are per field: [{ field, code, message }], where field is the form
+// input name, so the survey pages can show each message next to its input.
+const surveyRenderer = require('./survey-renderer');
+
+// US states, DC, territories and military "states"
+const US_STATE_CODES = new Set([
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+    'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+    'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+    'DC', 'PR', 'GU', 'VI', 'AS', 'MP', 'AA', 'AE', 'AP'
+]);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const PHONE_PATTERN = /^\+?\d{10,15}$/;
+
+// Field-specific formats on top of the input type
+const SECOND_SURVEY_FORMATS = {
+    PERSONAL_STATE: 'state',
+    USCIS_STATE: 'state',
+    PERSONAL_ZIP: 'zip',
+    USCIS_ZIP: 'zip',
+    PERSONAL_PHONE: 'phone'
+};
+
+function isBlank(value) {
+    if (Array.isArray(value)) {
+        return value.every(isBlank);
+    }
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function isValidDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+        return false;
+    }
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Message for a non-empty value that breaks the field's format, or null
+function checkFormat(format, value) {
+    const text = String(value).trim();
+    switch (format) {
+        case 'email':
+            return EMAIL_PATTERN.test(text) ? null : 'Enter a valid email address';
+        case 'number':
+            return text !== '' && Number.isFinite(Number(text)) ? null : 'Enter a number';
+        case 'date':
+            return isValidDate(text) ? null : 'Enter a valid date (YYYY-MM-DD)';
+        case 'state':
+            return US_STATE_CODES.has(text.toUpperCase()) ? null : 'Enter a 2-letter US state code (e.g. CA)';
+        case 'zip':
+            return ZIP_PATTERN.test(text) ? null : 'Enter a 5-digit ZIP code (or ZIP+4)';
+        case 'phone':
+        case 'tel':
+            return PHONE_PATTERN.test(text.replace(/[\s().-]/g, '')) ? null : 'Enter a phone number with area code (10-15 digits)';
+        default:
+            return null;
+    }
+}
+
+function optionValues(field) {
+    return (field.options || []).map(option => (typeof option === 'string' ? option : option.value));
+}
+
+function validateField(field, value, format) {
+    if (isBlank(value)) {
+        return field.required ? { code: 'required', message: 'This field is required' } : null;
+    }
+
+    if (field.type === 'checkbox') {
+        const allowed = optionValues(field);
+        const values = Array.isArray(value) ? value : [value];
+        const invalid = values.filter(item => !allowed.includes(item));
+        return invalid.length > 0
+            ? { code: 'invalid_option', message: `Not an available option: ${invalid.join(', ')}` }
+            : null;
+    }
+
+    if (Array.isArray(value) || typeof value === 'object') {
+        return { code: 'invalid_type', message: 'Expected a single value' };
+    }
+
+    if (field.type === 'dropdown') {
+        return optionValues(field).includes(String(value))
+            ? null
+            : { code: 'invalid_option', message: 'Select one of the available options' };
+    }
+
+    const message = checkFormat(format || field.type, value);
+    return message ? { code: 'invalid_format', message } : null;
+}
+
+// fields: normalized fields from survey-renderer; formats: name -> format
+function validateResponses(fields, responses, formats = {}) {
+    const errors = [];
+    const known = new Map();
+
+    fields.forEach(field => {
+        known.set(field.name, field);
+        if (field.type === 'checkbox') {
+            // Checkbox groups are posted as "<name>[]"
+            known.set(`${field.name}[]`, field);
+        }
+    });
+
+    fields.forEach(field => {
+        const value = responses[field.name] !== undefined ? responses[field.name] : responses[`${field.name}[]`];
+        const error = validateField(field, value, formats[field.name]);
+        if (error) {
+            errors.push({ field: field.name, ...error });
+        }
+    });
+
+    Object.keys(responses)
+        .filter(key => !known.has(key))
+        .forEach(key => {
+            errors.push({ field: key, code: 'unknown_field', message: 'This field is not part of the survey' });
+        });
+
+    return { valid: errors.length === 0, errors };
+}
+
+function sectionFields(sections) {
+    return sections.reduce((fields, section) => fields.concat(section.fields), []);
+}
+
+// Both validators take the answers only: the submit endpoints strip the
+// account email, survey_variant and the client's currentSection first.
+
+// First survey answers, keyed Q<number>_<item_id> as posted by first-survey.html
+function validateFirstSurvey(responses) {
+    const fields = sectionFields(surveyRenderer.getFirstSurveySections());
+    return validateResponses(fields, responses);
+}
+
+// Second survey answers for a variant, keyed by mapping placeholder
+function validateSecondSurvey(responses, variant) {
+    const fields = sectionFields(surveyRenderer.getSecondSurveySections(variant));
+    return validateResponses(fields, responses, SECOND_SURVEY_FORMATS);
+}
+
+module.exports = {
+    validateFirstSurvey,
+    validateSecondSurvey
+};
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('account', () => {
+    let server;
+
+    function login(email, password) {
+        return server.request('POST', '/api/login', { body: { email, password } });
+    }
+
+    function me(token) {
+        return server.request('GET', '/api/me', { token });
+    }
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('POST /api/register', () => {
+        it('creates an unpaid account and signs it in', async () => {
+            const response = await server.request('POST', '/api/register', { body: { email: 'New@Example.com', password: 'password123' } });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.success, true);
+            assert.strictEqual(response.body.verificationSent, true);
+            assert.ok(response.cookie);
+
+            const user = (await me(response.body.token)).body.user;
+            assert.strictEqual(user.email, 'new@example.com');
+            assert.strictEqual(user.paid, false);
+        });
+
+        it('requires an email and a password', async () => {
+            for (const body of [{ email: 'incomplete@example.com' }, { password: 'password123' }]) {
+                const response = await server.request('POST', '/api/register', { body });
+                assert.strictEqual(response.status, 400, JSON.stringify(body));
+            }
+        });
+
+        it('refuses a password shorter than a reset would allow', async () => {
+            const response = await server.request('POST', '/api/register', { body: { email: 'short@example.com', password: 'short' } });
+            assert.strictEqual(response.status, 400);
+            assert.match(response.body.error, /at least 8 characters/);
+            assert.strictEqual(await server.db.get('SELECT email FROM users WHERE email = $1', ['short@example.com']), null);
+        });
+
+        it('refuses an email that is already registered', async () => {
+            await server.createUser('taken@example.com');
+            const response = await server.request('POST', '/api/register', { body: { email: 'TAKEN@example.com', password: 'password123' } });
+            assert.strictEqual(response.status, 400);
+            assert.match(response.body.error, /already registered/);
+        });
+    });
+
+    describe('POST /api/login', () => {
+        before(async () => {
+            await server.createUser('login@example.com', { password: 'correct-horse' });
+        });
+
+        it('signs in with the right password, whatever the case of the email', async () => {
+            const response = await login('LOGIN@example.com', 'correct-horse');
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual((await me(response.body.token)).body.user.email, 'login@example.com');
+        });
+
+        it('is 401 for a wrong password and 404 for an unknown email', async () => {
+            assert.strictEqual((await login('login@example.com', 'wrong-password')).status, 401);
+            assert.strictEqual((await login('nobody@example.com', 'correct-horse')).status, 404);
+            assert.strictEqual((await login('login@example.com', '')).status, 400);
+        });
+    });
+
+    describe('GET /api/me', () => {
+        it('reports no user without a token', async () => {
+            const response = await server.request('GET', '/api/me');
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.user, null);
+        });
+
+        it('reflects payment made since the token was issued', async () => {
+            const user = await server.createUser('me@example.com');
+            await server.db.run("UPDATE users SET paid = true, package_type = 'full' WHERE email = $1", [user.email]);
+
+            const response = await me(user.token);
+            assert.strictEqual(response.body.user.paid, true);
+            assert.strictEqual(response.body.user.packageType, 'full');
+        });
+    });
+
+    describe('POST /api/logout', () => {
+        it('revokes the token and ends the session', async () => {
+            const user = await server.createUser('logout@example.com');
+            const response = await server.request('POST', '/api/logout', { token: user.token, cookie: user.cookie });
+            assert.strictEqual(response.body.success, true);
+
+            assert.strictEqual((await me(user.token)).body.user, null);
+            assert.strictEqual((await server.request('GET', '/api/me', { cookie: user.cookie })).body.user, null);
+        });
+
+        it('succeeds without a token', async () => {
+            const response = await server.request('POST', '/api/logout');
+            assert.strictEqual(response.status, 200);
+        });
+    });
+
+    describe('POST /api/set-package', () => {
+        it('records the package the user chose', async () => {
+            const user = await server.createUser('package@example.com');
+            const response = await server.request('POST', '/api/set-package', { token: user.token, body: { packageType: 'form-filling' } });
+            assert.strictEqual(response.body.success, true);
+
+            const stored = await server.db.get('SELECT package_type, paid FROM users WHERE email = $1', [user.email]);
+            assert.strictEqual(stored.package_type, 'form-filling');
+            assert.strictEqual(stored.paid, false);
+        });
+
+        it('refuses a package that is not in the catalog', async () => {
+            const user = await server.createUser('package-unknown@example.com');
+            const response = await server.request('POST', '/api/set-package', { token: user.token, body: { packageType: 'platinum' } });
+            assert.strictEqual(response.status, 400);
+
+            const stored = await server.db.get('SELECT package_type FROM users WHERE email = $1', [user.email]);
+            assert.notStrictEqual(stored.package_type, 'platinum');
+        });
+
+        it('leaves the package of a paid user to their payments', async () => {
+            const user = await server.createUser('package-paid@example.com', { paid: true });
+            await server.db.run("UPDATE users SET package_type = 'form-filling' WHERE email = $1", [user.email]);
+
+            const response = await server.request('POST', '/api/set-package', { token: user.token, body: { packageType: 'full' } });
+            assert.strictEqual(response.status, 403);
+
+            const stored = await server.db.get('SELECT package_type FROM users WHERE email = $1', [user.email]);
+            assert.strictEqual(stored.package_type, 'form-filling');
+        });
+
+        it('is 401 without a signed-in account', async () => {
+            const response = await server.request('POST', '/api/set-package', { body: { packageType: 'full' } });
+            assert.strictEqual(response.status, 401);
+        });
+    });
+});
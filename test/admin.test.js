@@ -0,0 +1,262 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const surveyMappings = require('../survey-mappings');
+const surveyRevisions = require('../survey-revisions');
+const { startTestServer } = require('./helpers/test-server');
+const { createStripeStub } = require('./helpers/stripe-stub');
+
+describe('admin API', () => {
+    const stripe = createStripeStub();
+    let server;
+    let admin;
+    let client;
+    let other;
+
+    function get(url) {
+        return server.request('GET', url, { token: admin.token });
+    }
+
+    before(async () => {
+        server = await startTestServer({ stripe });
+        admin = await server.createUser('admin@example.com', { role: 'admin' });
+        client = await server.createUser('client@example.com', { paid: true });
+        other = await server.createUser('other@example.com');
+        await server.db.run("UPDATE users SET package_type = 'full' WHERE email = $1", [client.email]);
+
+        await surveyRevisions.createRevision(server.db, 'first', client.email, { Q3_6c47c713: 'Lovelace', Q4_370ebcc3: 'Ada' });
+        await surveyRevisions.createRevision(server.db, 'first', client.email, { Q3_6c47c713: 'Lovelace', Q4_370ebcc3: 'Augusta Ada', Q9_tags: ['math', 'poetry'] });
+        await surveyRevisions.createRevision(server.db, 'second', client.email, {
+            PERSONAL_FULL_NAME: 'Ada "A" Lovelace',
+            LEGACY_FIELD: 'kept'
+        }, { survey_variant: 'simplified', mapping_version: 'v4-simplified' });
+        await server.db.run(`
+            INSERT INTO payments (user_email, stripe_session_id, stripe_payment_intent_id, amount_cents, amount_dollars, package_type, payment_type, payment_method, status)
+            VALUES ($1, 'cs_test_admin', 'pi_test_admin', 164697, 1646.97, 'full', 'initial', 'card', 'completed')
+        `, [client.email]);
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('client listings', () => {
+        it('lists every account with its survey status', async () => {
+            const response = await get('/api/admin/users');
+            const row = response.body.find(user => user.email === client.email);
+            assert.deepStrictEqual(row, {
+                email: client.email,
+                paid: true,
+                package_type: 'full',
+                first_survey_completed: true,
+                second_survey_completed: true,
+                evaluation_completed: false
+            });
+            assert.strictEqual(response.body.find(user => user.email === other.email).first_survey_completed, false);
+        });
+
+        it('lists recent first and second survey submissions', async () => {
+            const first = await get('/api/first-survey-responses');
+            assert.strictEqual(first.body.responses.filter(row => row.user_email === client.email).length, 2);
+
+            const second = await get('/api/survey-responses');
+            assert.deepStrictEqual(second.body.responses.map(row => row.user_email), [client.email]);
+        });
+    });
+
+    describe('GET /api/admin/user-data/:email', () => {
+        it('returns the account, current revisions and payments', async () => {
+            const response = await get(`/api/admin/user-data/${client.email}`);
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.first_survey.revision, 2);
+            assert.strictEqual(response.body.second_survey.survey_variant, 'simplified');
+            assert.deepStrictEqual(response.body.second_survey.unmapped_fields, ['LEGACY_FIELD']);
+            assert.strictEqual(response.body.payments.length, 1);
+        });
+
+        it('is 404 for an unknown email', async () => {
+            assert.strictEqual((await get('/api/admin/user-data/nobody@example.com')).status, 404);
+        });
+
+        it('exports one row per field as CSV', async () => {
+            const json = (await get(`/api/admin/user-data/${client.email}`)).body;
+            const response = await get(`/api/admin/user-data/${client.email}?format=csv`);
+            assert.strictEqual(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+            assert.strictEqual(response.headers.get('content-disposition'), `attachment; filename="niw-survey-${client.email}-data.csv"`);
+
+            const date = value => String(new Date(value));
+            const payment = json.payments[0];
+            const fullName = surveyMappings.getMapping('simplified').PERSONAL_FULL_NAME;
+            assert.strictEqual(response.body, [
+                '"Field","Value","Survey_Type","Question_ID","Response"',
+                '"user","email","","","client@example.com"',
+                '"user","paid","","","true"',
+                '"user","package_type","","","full"',
+                `"user","created_at","","","${date(json.user.created_at)}"`,
+                '"user","first_survey_revision","","","2"',
+                '"user","second_survey_revision","","","1"',
+                '"user","second_survey_variant","","","simplified"',
+                '"user","second_survey_mapping_version","","","v4-simplified"',
+                '"first_survey","response","first","Q3_6c47c713","Lovelace"',
+                '"first_survey","response","first","Q4_370ebcc3","Augusta Ada"',
+                '"first_survey","response","first","Q9_tags","math; poetry"',
+                `"second_survey","${fullName}","second","PERSONAL_FULL_NAME","Ada ""A"" Lovelace"`,
+                '"second_survey","response","second","LEGACY_FIELD","kept"',
+                `"payment","amount_dollars","","payment_0","${payment.amount_dollars}"`,
+                '"payment","package_type","","payment_0","full"',
+                '"payment","payment_method","","payment_0","card"',
+                '"payment","status","","payment_0","completed"',
+                `"payment","created_at","","payment_0","${date(payment.created_at)}"`
+            ].join('\n'));
+        });
+    });
+
+    describe('POST /api/admin/bulk-download', () => {
+        it('exports several clients in one CSV, leaving out unknown emails', async () => {
+            const response = await server.request('POST', '/api/admin/bulk-download', {
+                token: admin.token,
+                body: { emails: [client.email, other.email, 'nobody@example.com'], format: 'csv' }
+            });
+            assert.strictEqual(response.headers.get('content-disposition'), 'attachment; filename="niw-survey-bulk-2-users-data.csv"');
+
+            const lines = response.body.split('\n');
+            assert.strictEqual(lines[0], '"User_Email","Field","Value","Survey_Type","Question_ID","Response"');
+            assert.strictEqual(lines[1], '"client@example.com","user","email","","","client@example.com"');
+            assert.ok(lines.includes('"client@example.com","first_survey","response","first","Q4_370ebcc3","Augusta Ada"'));
+            assert.ok(lines.includes('"other@example.com","user","paid","","","false"'));
+            assert.deepStrictEqual([...new Set(lines.slice(1).map(line => line.split(',')[0]))], ['"client@example.com"', '"other@example.com"']);
+
+            // The single-client export is the bulk one without the email column
+            const single = await get(`/api/admin/user-data/${client.email}?format=csv`);
+            const clientRows = lines.filter(line => line.startsWith('"client@example.com",')).map(line => line.replace('"client@example.com",', ''));
+            assert.deepStrictEqual(clientRows, single.body.split('\n').slice(1));
+        });
+
+        it('requires a list of emails', async () => {
+            const response = await server.request('POST', '/api/admin/bulk-download', { token: admin.token, body: { emails: [] } });
+            assert.strictEqual(response.status, 400);
+        });
+    });
+
+    describe('survey revisions', () => {
+        it('lists every revision with the current one marked', async () => {
+            const response = await get(`/api/admin/user-data/${client.email}/revisions/first`);
+            assert.strictEqual(response.body.current_revision, 2);
+            assert.deepStrictEqual(response.body.revisions.map(revision => revision.revision).sort(), [1, 2]);
+            assert.strictEqual((await get(`/api/admin/user-data/${client.email}/revisions/third`)).status, 400);
+        });
+
+        it('diffs the current revision against the one before it', async () => {
+            const response = await get(`/api/admin/user-data/${client.email}/revisions/first/diff`);
+            assert.strictEqual(response.body.from.revision, 1);
+            assert.strictEqual(response.body.to.revision, 2);
+            assert.deepStrictEqual(response.body.added, [{ field: 'Q9_tags', value: 'math; poetry' }]);
+            assert.deepStrictEqual(response.body.changed, [{ field: 'Q4_370ebcc3', from: 'Ada', to: 'Augusta Ada' }]);
+            assert.strictEqual(response.body.unchanged_count, 1);
+        });
+
+        it('is 404 for a revision that does not exist', async () => {
+            assert.strictEqual((await get(`/api/admin/user-data/${client.email}/revisions/first/diff?from=1&to=7`)).status, 404);
+            assert.strictEqual((await get(`/api/admin/user-data/${other.email}/revisions/first/diff`)).status, 404);
+        });
+
+        it('compares the second survey with the full mapping', async () => {
+            const response = await get(`/api/admin/user-data/${client.email}/mapping-diff`);
+            assert.strictEqual(response.body.mapping_version, 'v4-simplified');
+            assert.strictEqual(response.body.answered_count, 1);
+            assert.ok(response.body.not_asked.length > 0);
+            assert.strictEqual((await get(`/api/admin/user-data/${other.email}/mapping-diff`)).status, 404);
+        });
+    });
+
+    describe('forms and letters', () => {
+        it('lists the PDF forms and reports on the crosswalk', async () => {
+            const forms = await get('/api/admin/forms');
+            assert.deepStrictEqual(forms.body.forms.map(form => form.id), ['i-140', 'eta-9089-appendix-a', 'g-1145']);
+
+            const report = await get('/api/admin/forms/crosswalk-report');
+            assert.strictEqual(report.body.success, true);
+            assert.ok(Array.isArray(report.body.report.unmapped_questions));
+        });
+
+        it('fills a form from the first survey', async () => {
+            const response = await get(`/api/admin/forms/${client.email}/g-1145.pdf`);
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+            assert.strictEqual((await get(`/api/admin/forms/${client.email}/i-999.pdf`)).status, 404);
+            assert.strictEqual((await get(`/api/admin/forms/${other.email}/g-1145.pdf`)).status, 404);
+        });
+
+        it('names the answers a form cannot be written in', async () => {
+            const nonLatin = await server.createUser('non-latin@example.com', { paid: true });
+            await surveyRevisions.createRevision(server.db, 'first', nonLatin.email, { Q3_6c47c713: '王', Q4_370ebcc3: 'Zoë' });
+
+            const response = await get(`/api/admin/forms/${nonLatin.email}/i-140.pdf`);
+            assert.strictEqual(response.status, 400);
+            assert.match(response.body.error, /Latin characters/);
+            assert.deepStrictEqual(response.body.fields, [
+                { field: 'Q3_6c47c713', question: 'S2.1. Last Name / Family Name / Surname', characters: '王' }
+            ]);
+        });
+
+        it('drafts a petition letter from the second survey', async () => {
+            const response = await get(`/api/admin/letters/${client.email}?format=json`);
+            assert.strictEqual(response.status, 200);
+            assert.match(response.body.content, /Ada "A" Lovelace/);
+            assert.ok(Array.isArray(response.body.missing_placeholders));
+        });
+    });
+
+    describe('POST /api/admin/payments/:id/refund', () => {
+        it('asks Stripe for the refund once per amount', async () => {
+            const payment = await server.db.get("SELECT id FROM payments WHERE stripe_session_id = 'cs_test_admin'");
+            const response = await server.request('POST', `/api/admin/payments/${payment.id}/refund`, {
+                token: admin.token,
+                body: { reason: 'Duplicate charge', amount_cents: 4797 }
+            });
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.refund, { id: 're_test_stub0001', amount_cents: 4797, status: 'succeeded' });
+
+            const [{ params, options }] = stripe.calls.refunds;
+            assert.strictEqual(params.payment_intent, 'pi_test_admin');
+            assert.strictEqual(params.amount, 4797);
+            assert.strictEqual(params.metadata.refunded_by, admin.email);
+            assert.strictEqual(options.idempotencyKey, `refund-${payment.id}-0-4797`);
+
+            // Recorded by the charge.refunded webhook, not here
+            const stored = await server.db.get('SELECT amount_refunded_cents FROM payments WHERE id = $1', [payment.id]);
+            assert.ok(!stored.amount_refunded_cents);
+        });
+    });
+
+    describe('clearing client data', () => {
+        it('clears one survey, then everything but the account and payments', async () => {
+            const survey = await server.request('POST', '/api/admin/clear-user-survey', {
+                token: admin.token,
+                body: { email: client.email, survey_type: 'second' }
+            });
+            assert.strictEqual(survey.body.deleted_count, 1);
+            assert.strictEqual(survey.body.table, 'second_survey_responses');
+
+            const all = await server.request('POST', '/api/admin/clear-user-data', { token: admin.token, body: { email: client.email } });
+            assert.strictEqual(all.body.success, true);
+
+            const data = (await get(`/api/admin/user-data/${client.email}`)).body;
+            assert.strictEqual(data.first_survey, null);
+            assert.strictEqual(data.second_survey, null);
+            assert.strictEqual(data.payments.length, 1);
+        });
+
+        it('validates the request', async () => {
+            const cases = [
+                ['/api/admin/clear-user-survey', { email: client.email, survey_type: 'third' }, 400],
+                ['/api/admin/clear-user-survey', { email: 'nobody@example.com', survey_type: 'first' }, 404],
+                ['/api/admin/clear-user-data', {}, 400],
+                ['/api/admin/clear-user-data', { email: 'nobody@example.com' }, 404]
+            ];
+            for (const [url, body, status] of cases) {
+                const response = await server.request('POST', url, { token: admin.token, body });
+                assert.strictEqual(response.status, status, `${url} ${JSON.stringify(body)}`);
+            }
+        });
+    });
+});
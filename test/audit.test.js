@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/test-server');
+const surveyRevisions = require('../survey-revisions');
+
+describe('audit log', () => {
+    let server;
+    let client;
+    let caseManager;
+    let admin;
+
+    // Events are written once the response has gone out; wait for them to land
+    async function findEvents(action, count = 1) {
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const events = await server.db.all('SELECT * FROM audit_events WHERE action = $1 ORDER BY id', [action]);
+            if (events.length >= count) {
+                return events;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.fail(`Expected ${count} ${action} event(s)`);
+    }
+
+    before(async () => {
+        server = await startTestServer();
+        client = await server.createUser('client@example.com', { paid: true });
+        caseManager = await server.createUser('manager@example.com', { role: 'case-manager' });
+        admin = await server.createUser('admin@example.com', { role: 'admin' });
+        await surveyRevisions.createRevision(server.db, 'first', client.email, { Q1_name: 'Client' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('records who viewed a client, from where', async () => {
+        const response = await server.request('GET', '/api/admin/user-data/client%40example.com', { token: caseManager.token });
+        assert.strictEqual(response.status, 200);
+
+        const [event] = await findEvents('client_data.view');
+        assert.strictEqual(event.actor_email, 'manager@example.com');
+        assert.strictEqual(event.actor_role, 'case-manager');
+        assert.strictEqual(event.target_email, 'client@example.com');
+        assert.strictEqual(event.path, '/api/admin/user-data/client%40example.com');
+        assert.strictEqual(event.status_code, 200);
+        assert.strictEqual(event.record_count, 1);
+        assert.ok(event.ip);
+        assert.ok(event.created_at);
+    });
+
+    it('records refused attempts', async () => {
+        const response = await server.request('POST', '/api/admin/bulk-download', {
+            token: client.token,
+            body: { emails: ['client@example.com'], format: 'json' }
+        });
+        assert.strictEqual(response.status, 403);
+
+        const [event] = await findEvents('client_data.bulk_export');
+        assert.strictEqual(event.actor_email, 'client@example.com');
+        assert.strictEqual(event.status_code, 403);
+    });
+
+    it('records how many clients a bulk export included', async () => {
+        const response = await server.request('POST', '/api/admin/bulk-download', {
+            token: caseManager.token,
+            body: { emails: ['client@example.com', 'nobody@example.com'], format: 'csv' }
+        });
+        assert.strictEqual(response.status, 200);
+
+        const events = await findEvents('client_data.bulk_export', 2);
+        const event = events[1];
+        assert.strictEqual(event.record_count, 1);
+        assert.deepStrictEqual(event.details, { format: 'csv', emails: ['client@example.com'] });
+    });
+
+    it('records how many rows a deletion removed', async () => {
+        const response = await server.request('POST', '/api/admin/clear-user-survey', {
+            token: caseManager.token,
+            body: { email: 'client@example.com', survey_type: 'first' }
+        });
+        assert.strictEqual(response.status, 200);
+
+        const [event] = await findEvents('client_survey.delete');
+        assert.strictEqual(event.target_email, 'client@example.com');
+        assert.strictEqual(event.record_count, 1);
+        assert.strictEqual(event.details.table, 'first_survey_responses');
+    });
+
+    describe('reading the trail', () => {
+        it('is for admins only', async () => {
+            for (const url of ['/api/admin/audit-events', '/api/admin/audit-events/export']) {
+                const response = await server.request('GET', url, { token: caseManager.token });
+                assert.strictEqual(response.status, 403, url);
+            }
+
+            const page = await server.request('GET', '/audit-log', { token: caseManager.token });
+            assert.strictEqual(page.status, 302);
+
+            const file = await server.request('GET', '/audit-log.html');
+            assert.strictEqual(file.headers.get('location'), '/audit-log');
+        });
+
+        it('filters by staff member, client and action', async () => {
+            const response = await server.request('GET', '/api/admin/audit-events?actor=MANAGER%40example.com&target=client%40example.com', { token: admin.token });
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(
+                response.body.events.map(event => event.action),
+                ['client_survey.delete', 'client_data.view']
+            );
+            assert.strictEqual(response.body.total, 2);
+
+            const byAction = await server.request('GET', '/api/admin/audit-events?action=client_data.bulk_export&limit=1', { token: admin.token });
+            assert.strictEqual(byAction.body.total, 2);
+            assert.strictEqual(byAction.body.events.length, 1);
+            assert.strictEqual(byAction.body.events[0].status_code, 200);
+        });
+
+        it('filters by date and rejects dates it cannot read', async () => {
+            const future = await server.request('GET', '/api/admin/audit-events?from=2999-01-01', { token: admin.token });
+            assert.strictEqual(future.body.total, 0);
+
+            const today = new Date().toISOString().split('T')[0];
+            const todayOnly = await server.request('GET', `/api/admin/audit-events?from=${today}&to=${today}&action=client_data.view`, { token: admin.token });
+            assert.strictEqual(todayOnly.body.total, 1);
+
+            const invalid = await server.request('GET', '/api/admin/audit-events?from=yesterday', { token: admin.token });
+            assert.strictEqual(invalid.status, 400);
+        });
+
+        it('exports as CSV and records the export', async () => {
+            const response = await server.request('GET', '/api/admin/audit-events/export?target=client%40example.com', { token: admin.token });
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/csv/);
+
+            const lines = response.body.trim().split('\n');
+            assert.strictEqual(lines[0], 'id,created_at,actor_email,actor_role,action,target_email,ip,method,path,status_code,record_count,details');
+            assert.strictEqual(lines.length, 3);
+            assert.match(lines[1], /client_data\.view/);
+
+            // The first is the case manager's refused attempt above
+            const [, event] = await findEvents('audit.export', 2);
+            assert.strictEqual(event.actor_email, 'admin@example.com');
+            assert.strictEqual(event.record_count, 2);
+        });
+    });
+});
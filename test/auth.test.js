@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('authentication', () => {
+    let server;
+    let paid;
+    let unpaid;
+
+    before(async () => {
+        server = await startTestServer();
+        paid = await server.createUser('paid@example.com', { paid: true });
+        unpaid = await server.createUser('unpaid@example.com');
+        await server.request('PUT', '/api/survey-drafts/first', {
+            token: paid.token,
+            body: { responses: { Q1_name: 'Paid Client' }, currentSection: 1 }
+        });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('email in the query string or body is not identity', () => {
+        for (const page of ['/survey', '/survey/first', '/survey/second']) {
+            it(`GET ${page}?email= redirects to sign in`, async () => {
+                const response = await server.request('GET', `${page}?email=paid%40example.com`);
+                assert.strictEqual(response.status, 302);
+                assert.strictEqual(response.headers.get('location'), '/account');
+            });
+        }
+
+        it('GET /api/me?email= reports no user', async () => {
+            const response = await server.request('GET', '/api/me?email=paid%40example.com');
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.user, null);
+        });
+
+        for (const url of ['/api/submit-first-survey', '/api/submit-survey']) {
+            it(`POST ${url} with body.email is 401`, async () => {
+                const response = await server.request('POST', url, { body: { email: 'paid@example.com', Q1_name: 'Impostor' } });
+                assert.strictEqual(response.status, 401);
+                assert.strictEqual(response.body.success, false);
+            });
+        }
+
+        it('POST /api/clear-my-data with body.email is 401 and keeps the data', async () => {
+            const response = await server.request('POST', '/api/clear-my-data', { body: { email: 'paid@example.com' } });
+            assert.strictEqual(response.status, 401);
+
+            const draft = await server.request('GET', '/api/survey-drafts/first', { token: paid.token });
+            assert.strictEqual(draft.body.draft.responses.Q1_name, 'Paid Client');
+        });
+
+        it('survey drafts cannot be read or written with ?email= or body.email', async () => {
+            const read = await server.request('GET', '/api/survey-drafts/first?email=paid%40example.com');
+            assert.strictEqual(read.status, 401);
+
+            const write = await server.request('PUT', '/api/survey-drafts/first', {
+                body: { email: 'paid@example.com', responses: { Q1_name: 'Impostor' } }
+            });
+            assert.strictEqual(write.status, 401);
+        });
+
+        it('POST /api/get-user-token no longer exists', async () => {
+            const response = await server.request('POST', '/api/get-user-token', { body: { email: 'paid@example.com' } });
+            assert.strictEqual(response.status, 404);
+        });
+    });
+
+    describe('JWT', () => {
+        it('is not accepted in the query string', async () => {
+            const response = await server.request('GET', `/survey/first?token=${paid.token}`);
+            assert.strictEqual(response.status, 302);
+
+            const api = await server.request('GET', `/api/survey-drafts/first?token=${paid.token}`);
+            assert.strictEqual(api.status, 401);
+        });
+
+        it('gets a session from /api/me that serves survey pages to a paid user', async () => {
+            const me = await server.request('GET', '/api/me', { token: paid.token });
+            assert.strictEqual(me.body.user.email, 'paid@example.com');
+
+            const response = await server.request('GET', '/survey/first', { cookie: me.cookie });
+            assert.strictEqual(response.status, 200);
+            assert.match(response.body, /<form/);
+        });
+
+        it('a body.email naming someone else does not change whose data is used', async () => {
+            const response = await server.request('PUT', '/api/survey-drafts/second', {
+                token: unpaid.token,
+                body: { email: 'paid@example.com', responses: { NAME: 'Impostor' } }
+            });
+            assert.strictEqual(response.status, 200);
+
+            const paidDraft = await server.request('GET', '/api/survey-drafts/second', { token: paid.token });
+            assert.strictEqual(paidDraft.body.draft, null);
+        });
+
+        it('is 403 for survey submissions by an unpaid user', async () => {
+            const response = await server.request('POST', '/api/submit-first-survey', { token: unpaid.token, body: {} });
+            assert.strictEqual(response.status, 403);
+            assert.strictEqual(response.body.error, 'Payment required');
+        });
+
+        it('redirects an unpaid user away from survey pages', async () => {
+            const me = await server.request('GET', '/api/me', { token: unpaid.token });
+            const response = await server.request('GET', '/survey/first', { cookie: me.cookie });
+            assert.strictEqual(response.status, 302);
+        });
+
+        it('passes a paid user through to validation', async () => {
+            const response = await server.request('POST', '/api/submit-first-survey', { token: paid.token, body: {} });
+            assert.strictEqual(response.status, 400);
+            assert.ok(Array.isArray(response.body.errors));
+        });
+
+        it('rejects a token signed with another secret', async () => {
+            const forged = jwt.sign({ email: 'paid@example.com', paid: true, ver: 0 }, 'not-the-secret', { expiresIn: '1h' });
+            const response = await server.request('POST', '/api/submit-first-survey', { token: forged, body: {} });
+            assert.strictEqual(response.status, 401);
+        });
+
+        it('rejects a token for a user that does not exist', async () => {
+            const secret = process.env.JWT_SECRET || 'niw_jwt_secret_key_2025_xyz789';
+            const token = jwt.sign({ email: 'nobody@example.com', paid: true, ver: 0 }, secret, { expiresIn: '1h' });
+            const response = await server.request('GET', '/api/survey-drafts/first', { token });
+            assert.strictEqual(response.status, 401);
+        });
+
+        it('rejects a token after logout', async () => {
+            const login = await server.request('POST', '/api/login', { body: { email: 'paid@example.com', password: 'password123' } });
+            const token = login.body.token;
+
+            await server.request('POST', '/api/logout', { token });
+            const response = await server.request('GET', '/api/survey-drafts/first', { token });
+            assert.strictEqual(response.status, 401);
+        });
+    });
+
+    describe('session', () => {
+        it('serves survey pages to a paid user', async () => {
+            const login = await server.request('POST', '/api/login', { body: { email: 'paid@example.com', password: 'password123' } });
+            const response = await server.request('GET', '/survey/first', { cookie: login.cookie });
+            assert.strictEqual(response.status, 200);
+        });
+
+        it('ends when the user logs out on all devices', async () => {
+            const user = await server.createUser('devices@example.com', { paid: true });
+            const otherDevice = await server.request('POST', '/api/login', { body: { email: 'devices@example.com', password: 'password123' } });
+
+            const logoutAll = await server.request('POST', '/api/logout-all', { token: user.token });
+            assert.strictEqual(logoutAll.status, 200);
+
+            const response = await server.request('GET', '/api/survey-drafts/first', { cookie: otherDevice.cookie });
+            assert.strictEqual(response.status, 401);
+        });
+    });
+
+    it('admin-only debug endpoints require a staff account', async () => {
+        for (const url of ['/api/first-survey-responses', '/api/survey-responses']) {
+            const response = await server.request('GET', url);
+            assert.strictEqual(response.status, 401);
+
+            const client = await server.request('GET', url, { token: paid.token });
+            assert.strictEqual(client.status, 403);
+        }
+    });
+});
@@ -0,0 +1,241 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const Stripe = require('stripe');
+const { startTestServer } = require('./helpers/test-server');
+const { createStripeStub } = require('./helpers/stripe-stub');
+
+describe('checkout', () => {
+    const stripe = createStripeStub();
+    let server;
+
+    function createSession(user, body) {
+        return server.request('POST', '/api/create-checkout-session', {
+            token: user.token,
+            body,
+            headers: { Origin: 'http://localhost:3000' }
+        });
+    }
+
+    function confirm(user, sessionId) {
+        return server.request('GET', `/api/checkout/confirm?session_id=${sessionId}`, { token: user.token });
+    }
+
+    // Deliver checkout.session.completed for a session the app created, as
+    // Stripe would once the customer has paid (or, for ACH, started paying)
+    function completeSession(sessionId, paymentStatus) {
+        const index = parseInt(sessionId.replace('cs_test_stub', ''), 10) - 1;
+        const options = stripe.calls.sessions[index];
+        const payload = JSON.stringify({
+            id: `evt_${sessionId}`,
+            object: 'event',
+            type: 'checkout.session.completed',
+            data: {
+                object: {
+                    id: sessionId,
+                    object: 'checkout.session',
+                    amount_total: options.line_items[0].price_data.unit_amount,
+                    client_reference_id: options.client_reference_id,
+                    metadata: options.metadata,
+                    mode: options.mode,
+                    payment_intent: sessionId.replace('cs_', 'pi_'),
+                    payment_method_types: options.payment_method_types,
+                    payment_status: paymentStatus,
+                    status: 'complete'
+                }
+            }
+        });
+        const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+        return server.request('POST', '/api/stripe-webhook', {
+            body: payload,
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature }
+        });
+    }
+
+    async function getQuotes(user, packageType) {
+        const response = await server.request('POST', '/api/pricing/quote', { token: user.token, body: { packageType } });
+        return response.body.quotes;
+    }
+
+    before(async () => {
+        server = await startTestServer({ stripe });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('POST /api/create-checkout-session', () => {
+        it('is 401 without a signed-in account', async () => {
+            const response = await server.request('POST', '/api/create-checkout-session', { body: { packageType: 'full' } });
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual(stripe.calls.sessions.length, 0);
+        });
+
+        it('rejects a missing or unknown package before calling Stripe', async () => {
+            const user = await server.createUser('checkout-invalid@example.com');
+            for (const packageType of [undefined, 'premium']) {
+                const response = await createSession(user, { packageType });
+                assert.strictEqual(response.status, 400, String(packageType));
+            }
+            assert.strictEqual(stripe.calls.sessions.length, 0);
+        });
+
+        it('charges the card price of the package', async () => {
+            const user = await server.createUser('checkout-card@example.com');
+            const quote = (await getQuotes(user, 'full')).card;
+
+            const response = await createSession(user, { packageType: 'full', paymentMethod: 'card' });
+            assert.strictEqual(response.status, 200);
+            assert.match(response.body.sessionId, /^cs_test_stub/);
+            assert.ok(response.body.url.endsWith(response.body.sessionId));
+
+            const options = stripe.calls.sessions.at(-1);
+            assert.strictEqual(options.mode, 'payment');
+            assert.deepStrictEqual(options.payment_method_types, ['card']);
+            assert.strictEqual(options.client_reference_id, user.email);
+            assert.strictEqual(options.line_items[0].price_data.unit_amount, quote.totalCents);
+            assert.strictEqual(options.metadata.payment_type, 'initial');
+            assert.strictEqual(options.metadata.total_price, String(quote.totalCents));
+            assert.strictEqual(options.success_url, 'http://localhost:3000/account?success=1&session_id={CHECKOUT_SESSION_ID}');
+        });
+
+        it('charges the bank transfer price for ACH', async () => {
+            const user = await server.createUser('checkout-ach@example.com');
+            const quote = (await getQuotes(user, 'full')).ach;
+
+            const response = await createSession(user, { packageType: 'full', paymentMethod: 'ach' });
+            assert.strictEqual(response.status, 200);
+
+            const options = stripe.calls.sessions.at(-1);
+            assert.deepStrictEqual(options.payment_method_types, ['us_bank_account']);
+            assert.strictEqual(options.metadata.payment_method, 'ach');
+            assert.strictEqual(options.line_items[0].price_data.unit_amount, quote.totalCents);
+        });
+
+        it('starts a monthly subscription for installments', async () => {
+            const user = await server.createUser('checkout-plan@example.com');
+            const response = await createSession(user, { packageType: 'full', installments: true });
+            assert.strictEqual(response.status, 200);
+
+            const options = stripe.calls.sessions.at(-1);
+            assert.strictEqual(options.mode, 'subscription');
+            assert.strictEqual(options.metadata.payment_type, 'installment');
+            assert.ok(options.line_items[0].price_data.recurring);
+            assert.deepStrictEqual(options.subscription_data.metadata, options.metadata);
+        });
+
+        it('holds a one-use coupon for one open checkout at a time', async () => {
+            await server.db.run("INSERT INTO coupons (code, percent_off, max_redemptions) VALUES ('ONCE', 10, 1)");
+            const first = await server.createUser('checkout-once-1@example.com');
+            const second = await server.createUser('checkout-once-2@example.com');
+            const sessionCount = stripe.calls.sessions.length;
+
+            const responses = await Promise.all([first, second].map(user => createSession(user, { packageType: 'full', couponCode: 'ONCE' })));
+            assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 400]);
+            const refused = responses.find(response => response.status === 400);
+            assert.match(refused.body.error, /held by a checkout in progress/);
+            assert.strictEqual(stripe.calls.sessions.length, sessionCount + 1);
+
+            // The Stripe session ends when the reservation does
+            const opened = stripe.calls.sessions[sessionCount];
+            const reservation = await server.db.get("SELECT * FROM coupon_reservations WHERE coupon_code = 'ONCE'");
+            assert.strictEqual(opened.expires_at, Math.floor(new Date(reservation.expires_at).getTime() / 1000));
+
+            const sessionId = responses.find(response => response.status === 200).body.sessionId;
+            assert.strictEqual(reservation.stripe_session_id, sessionId);
+            await completeSession(sessionId, 'paid');
+            const third = await server.createUser('checkout-once-3@example.com');
+            const usedUp = await createSession(third, { packageType: 'full', couponCode: 'ONCE' });
+            assert.strictEqual(usedUp.status, 400);
+            assert.match(usedUp.body.error, /used up/);
+        });
+
+        it('frees a coupon held by a checkout that expired or failed', async () => {
+            await server.db.run("INSERT INTO coupons (code, percent_off, max_redemptions) VALUES ('AGAIN', 10, 1)");
+            const user = await server.createUser('checkout-again@example.com');
+
+            const abandoned = await createSession(user, { packageType: 'full', paymentMethod: 'ach', couponCode: 'AGAIN' });
+            assert.strictEqual(abandoned.status, 200);
+            await server.db.run("UPDATE coupon_reservations SET expires_at = $1 WHERE coupon_code = 'AGAIN'", [new Date(Date.now() - 1000)]);
+
+            const retried = await createSession(user, { packageType: 'full', paymentMethod: 'ach', couponCode: 'AGAIN' });
+            assert.strictEqual(retried.status, 200);
+            await completeSession(retried.body.sessionId, 'unpaid');
+            await server.db.run("UPDATE payments SET status = 'failed' WHERE stripe_session_id = $1", [retried.body.sessionId]);
+
+            assert.strictEqual((await createSession(user, { packageType: 'full', couponCode: 'AGAIN' })).status, 200);
+        });
+    });
+
+    describe('GET /api/checkout/confirm', () => {
+        it('requires a session id', async () => {
+            const user = await server.createUser('confirm-missing@example.com');
+            const response = await server.request('GET', '/api/checkout/confirm', { token: user.token });
+            assert.strictEqual(response.status, 400);
+        });
+
+        it('reports a card checkout as pending until the webhook, then paid', async () => {
+            const user = await server.createUser('confirm-card@example.com');
+            const { sessionId } = (await createSession(user, { packageType: 'form-filling' })).body;
+
+            const pending = await confirm(user, sessionId);
+            assert.strictEqual(pending.body.status, 'pending');
+            assert.strictEqual(pending.body.paid, false);
+
+            assert.strictEqual((await completeSession(sessionId, 'paid')).status, 200);
+            const paid = await confirm(user, sessionId);
+            assert.strictEqual(paid.body.status, 'completed');
+            assert.strictEqual(paid.body.paid, true);
+            assert.strictEqual(paid.body.user.paid, true);
+            assert.strictEqual(paid.body.user.packageType, 'form-filling');
+        });
+
+        it('reports an ACH checkout as processing, without access', async () => {
+            const user = await server.createUser('confirm-ach@example.com');
+            const { sessionId } = (await createSession(user, { packageType: 'full', paymentMethod: 'ach' })).body;
+
+            await completeSession(sessionId, 'unpaid');
+            const response = await confirm(user, sessionId);
+            assert.strictEqual(response.body.status, 'processing');
+            assert.strictEqual(response.body.paid, false);
+            assert.strictEqual(response.body.user.paid, false);
+        });
+
+        it('prices an upgrade from the package already paid for', async () => {
+            const user = await server.createUser('confirm-upgrade@example.com');
+            const first = (await createSession(user, { packageType: 'form-filling' })).body.sessionId;
+            await completeSession(first, 'paid');
+
+            const quote = (await getQuotes(user, 'full')).card;
+            assert.strictEqual(quote.paymentType, 'upgrade');
+            const { sessionId } = (await createSession(user, { packageType: 'full' })).body;
+            assert.strictEqual(stripe.calls.sessions.at(-1).line_items[0].price_data.unit_amount, quote.totalCents);
+
+            await completeSession(sessionId, 'paid');
+            const response = await confirm(user, sessionId);
+            assert.strictEqual(response.body.status, 'completed');
+            assert.strictEqual(response.body.user.packageType, 'full');
+        });
+
+        it('does not report another user\'s checkout', async () => {
+            const owner = await server.createUser('confirm-owner@example.com');
+            const other = await server.createUser('confirm-other@example.com');
+            const { sessionId } = (await createSession(owner, { packageType: 'form-filling' })).body;
+            await completeSession(sessionId, 'paid');
+
+            const response = await confirm(other, sessionId);
+            assert.strictEqual(response.body.status, 'pending');
+        });
+    });
+
+    it('lists the completed payments in the buyer\'s history', async () => {
+        const user = await server.createUser('history@example.com');
+        const { sessionId } = (await createSession(user, { packageType: 'full' })).body;
+        await completeSession(sessionId, 'paid');
+
+        const response = await server.request('GET', '/api/payments', { token: user.token });
+        assert.strictEqual(response.body.payments.length, 1);
+        assert.strictEqual(response.body.payments[0].status, 'completed');
+        assert.strictEqual(response.body.payments[0].has_invoice, true);
+    });
+});
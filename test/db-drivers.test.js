@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const dbDrivers = require('../db-drivers');
+
+describe('database drivers', () => {
+    it('reject an unknown driver name', () => {
+        assert.throws(() => dbDrivers.createDriver('sqlite'), /Unknown database driver "sqlite"/);
+    });
+
+    it('need a connection string for postgres', () => {
+        const saved = { POSTGRES_URL: process.env.POSTGRES_URL, DATABASE_URL: process.env.DATABASE_URL };
+        delete process.env.POSTGRES_URL;
+        delete process.env.DATABASE_URL;
+        try {
+            assert.throws(() => dbDrivers.createDriver('postgres'), /POSTGRES_URL or DATABASE_URL/);
+        } finally {
+            Object.entries(saved).filter(([, value]) => value !== undefined)
+                .forEach(([key, value]) => { process.env[key] = value; });
+        }
+    });
+
+    it('run $1-style parameters and JSONB columns in memory', async () => {
+        const driver = dbDrivers.createDriver('memory');
+        try {
+            await driver.query('CREATE TABLE drafts (id SERIAL PRIMARY KEY, email TEXT, data JSONB)');
+            const inserted = await driver.query(
+                'INSERT INTO drafts (email, data) VALUES ($1, $2) RETURNING id',
+                ['client@example.com', JSON.stringify({ page: 2, answers: { name: 'Client' } })]
+            );
+            assert.strictEqual(inserted.rowCount, 1);
+
+            const client = await driver.connect();
+            try {
+                const result = await client.query('SELECT data FROM drafts WHERE email = $1', ['client@example.com']);
+                assert.deepStrictEqual(result.rows[0].data, { page: 2, answers: { name: 'Client' } });
+            } finally {
+                client.release();
+            }
+        } finally {
+            await driver.end();
+        }
+    });
+});
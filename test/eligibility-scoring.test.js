@@ -0,0 +1,203 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const eligibilityScoring = require('../eligibility-scoring');
+
+// The scorer is pure: these run against the questionnaire JSON only, no database
+describe('eligibility scoring', () => {
+    const questionnaire = eligibilityScoring.loadQuestionnaire();
+
+    const STRONG = {
+        EDUCATION_LEVEL: 'PhD (Doctorate) - Completed',
+        PUBLICATION_COUNT: 10,
+        CITATION_COUNT: 100,
+        RESEARCH_FIELD: 'Yes - STEM Field',
+        WORK_EXPERIENCE: 5,
+        CURRENT_POSITION: 'Faculty Member',
+        AWARDS: 'yes',
+        GRANTS: 'yes',
+        PATENTS: 'yes'
+    };
+
+    function score(changes) {
+        return eligibilityScoring.scoreEvaluation({ ...STRONG, ...changes }, questionnaire);
+    }
+
+    function prong(result, id) {
+        return result.prongs.find(candidate => candidate.id === id);
+    }
+
+    // Points one rule of a prong gave
+    function points(changes, prongId, question, label) {
+        const explanations = prong(score(changes), prongId).explanations;
+        return explanations.find(explanation => explanation.question === question && (!label || explanation.label === label)).points;
+    }
+
+    it('gives full marks to the strongest answers', () => {
+        const result = score({});
+        assert.strictEqual(result.score, 100);
+        assert.strictEqual(result.max_score, 100);
+        assert.deepStrictEqual(result.prongs.map(candidate => [candidate.id, candidate.score, candidate.max_score]), [
+            ['national_importance', 30, 30],
+            ['well_positioned', 45, 45],
+            ['waiver_benefit', 25, 25]
+        ]);
+        assert.deepStrictEqual(result.minimum_requirement_notes, []);
+    });
+
+    describe('prong 1: national importance', () => {
+        it('scores the field and counts grants and patents only when answered yes', () => {
+            assert.strictEqual(points({}, 'national_importance', 'RESEARCH_FIELD'), 15);
+            assert.strictEqual(points({ RESEARCH_FIELD: 'No - Non-STEM Field' }, 'national_importance', 'RESEARCH_FIELD'), 5);
+            assert.strictEqual(points({ RESEARCH_FIELD: undefined }, 'national_importance', 'RESEARCH_FIELD'), 0);
+
+            assert.strictEqual(points({ GRANTS: true }, 'national_importance', 'GRANTS'), 8);
+            assert.strictEqual(points({ GRANTS: 'no' }, 'national_importance', 'GRANTS'), 0);
+            assert.strictEqual(points({ PATENTS: undefined }, 'national_importance', 'PATENTS'), 0);
+        });
+    });
+
+    describe('prong 2: well positioned', () => {
+        it('scores education and position by choice', () => {
+            assert.strictEqual(points({ EDUCATION_LEVEL: "Master's Degree - Completed" }, 'well_positioned', 'EDUCATION_LEVEL'), 8);
+            assert.strictEqual(points({ EDUCATION_LEVEL: "Bachelor's Degree - Completed" }, 'well_positioned', 'EDUCATION_LEVEL'), 3);
+            assert.strictEqual(points({ CURRENT_POSITION: 'Postdoctoral Researcher' }, 'well_positioned', 'CURRENT_POSITION'), 4);
+            assert.strictEqual(points({ CURRENT_POSITION: 'Other' }, 'well_positioned', 'CURRENT_POSITION'), 1);
+        });
+
+        it('scores publications by tier, with the questionnaire threshold of 3', () => {
+            const tiers = [[10, 12], [9, 9], [5, 9], [4, 6], [3, 6], [2, 2], [0, 2], [NaN, 0]];
+            for (const [count, expected] of tiers) {
+                assert.strictEqual(points({ PUBLICATION_COUNT: count }, 'well_positioned', 'PUBLICATION_COUNT'), expected, `${count} publications`);
+            }
+        });
+
+        it('scores citations by tier, with the questionnaire threshold of 15', () => {
+            const tiers = [[100, 12], [99, 9], [50, 9], [49, 6], [15, 6], [14, 2], [0, 2]];
+            for (const [count, expected] of tiers) {
+                assert.strictEqual(points({ CITATION_COUNT: count }, 'well_positioned', 'CITATION_COUNT'), expected, `${count} citations`);
+            }
+        });
+    });
+
+    describe('prong 3: waiver benefit', () => {
+        it('scores the impact of the work by citation tier', () => {
+            const tiers = [[50, 5], [49, 3], [15, 3], [14, 0]];
+            for (const [count, expected] of tiers) {
+                assert.strictEqual(points({ CITATION_COUNT: count }, 'waiver_benefit', 'CITATION_COUNT'), expected, `${count} citations`);
+            }
+        });
+
+        it('scores work experience by tier, with the questionnaire threshold of 0 years', () => {
+            const tiers = [[5, 5], [4, 3], [2, 3], [1, 1], [0, 1], [NaN, 0]];
+            for (const [years, expected] of tiers) {
+                assert.strictEqual(points({ WORK_EXPERIENCE: years }, 'waiver_benefit', 'WORK_EXPERIENCE'), expected, `${years} years`);
+            }
+        });
+
+        it('weighs STEM fields and advanced degrees', () => {
+            assert.strictEqual(points({ RESEARCH_FIELD: 'No - Non-STEM Field' }, 'waiver_benefit', 'RESEARCH_FIELD'), 2);
+            assert.strictEqual(points({ EDUCATION_LEVEL: "Master's Degree - Completed" }, 'waiver_benefit', 'EDUCATION_LEVEL'), 4);
+            assert.strictEqual(points({ EDUCATION_LEVEL: "Bachelor's Degree - Completed" }, 'waiver_benefit', 'EDUCATION_LEVEL'), 0);
+        });
+    });
+
+    describe('minimum requirements', () => {
+        it('notes a missing advanced degree and counts below the thresholds', () => {
+            const result = score({ EDUCATION_LEVEL: "Bachelor's Degree - Completed", PUBLICATION_COUNT: 2, CITATION_COUNT: 14 });
+            assert.deepStrictEqual(result.minimum_requirement_notes.map(note => note.question), ['EDUCATION_LEVEL', 'PUBLICATION_COUNT', 'CITATION_COUNT']);
+            assert.match(result.minimum_requirement_notes[1].message, /^Fewer than 3 peer-reviewed publications/);
+            assert.match(result.minimum_requirement_notes[2].message, /^Fewer than 15 citations/);
+        });
+
+        it('is met exactly at the thresholds', () => {
+            const result = score({ EDUCATION_LEVEL: "Master's Degree - Completed", PUBLICATION_COUNT: 3, CITATION_COUNT: 15 });
+            assert.deepStrictEqual(result.minimum_requirement_notes, []);
+        });
+    });
+
+    describe('recommendations', () => {
+        // One prong whose single rule awards as many points (out of 100) as the
+        // POINTS answer, so scores and percentages can be set exactly
+        const boundaries = {
+            scoring: {
+                version: 'test',
+                minimum_requirements: {},
+                prongs: {
+                    only: {
+                        title: 'Only prong',
+                        rules: [{
+                            question: 'POINTS',
+                            label: 'Points',
+                            type: 'tiers',
+                            tiers: [100, 70, 69, 50, 49, 40, 39, 0].map(min => ({ min, points: min }))
+                        }],
+                        recommendations: [
+                            { min_percent: 70, text: 'prong strong' },
+                            { min_percent: 40, text: 'prong moderate' },
+                            { min_percent: 0, text: 'prong weak' }
+                        ]
+                    }
+                },
+                overall_recommendations: questionnaire.scoring.overall_recommendations
+            }
+        };
+
+        function scoreExactly(value) {
+            return eligibilityScoring.scoreEvaluation({ POINTS: value }, boundaries);
+        }
+
+        it('picks the prong recommendation at 70% and 40%', () => {
+            const expected = [[70, 'prong strong'], [69, 'prong moderate'], [40, 'prong moderate'], [39, 'prong weak'], [0, 'prong weak']];
+            for (const [percent, text] of expected) {
+                const result = scoreExactly(percent);
+                assert.strictEqual(result.prongs[0].percent, percent);
+                assert.strictEqual(result.prongs[0].recommendation, text, `${percent}%`);
+            }
+        });
+
+        it('picks the overall recommendation at scores of 70 and 50', () => {
+            const expected = [[70, /strong NIW case/], [69, /shows promise/], [50, /shows promise/], [49, /strengthening your profile/]];
+            for (const [value, text] of expected) {
+                const result = scoreExactly(value);
+                assert.strictEqual(result.score, value);
+                assert.match(result.recommendations[0], text, `score ${value}`);
+            }
+        });
+
+        it('lists the overall verdict, unmet requirements, then prongs weakest first', () => {
+            const result = score({ GRANTS: 'no', PATENTS: 'no', RESEARCH_FIELD: 'No - Non-STEM Field', CITATION_COUNT: 14 });
+            const weakest = [...result.prongs].sort((a, b) => a.percent - b.percent);
+            assert.deepStrictEqual(result.recommendations, [
+                result.recommendations[0],
+                result.minimum_requirement_notes[0].message,
+                ...weakest.map(candidate => candidate.recommendation)
+            ]);
+            assert.strictEqual(weakest[0].id, 'national_importance');
+        });
+    });
+
+    it('maps evaluation form values to questionnaire answers', () => {
+        const answers = eligibilityScoring.fromEvaluationForm({
+            education: 'phd',
+            publications: '7',
+            citations: '42',
+            research_field: 'yes',
+            work_experience: '3',
+            current_position: 'postdoc',
+            awards: 'no',
+            grants: 'yes',
+            patents: 'no'
+        }, questionnaire);
+        assert.deepStrictEqual(answers, {
+            EDUCATION_LEVEL: 'PhD (Doctorate) - Completed',
+            PUBLICATION_COUNT: 7,
+            CITATION_COUNT: 42,
+            RESEARCH_FIELD: 'Yes - STEM Field',
+            WORK_EXPERIENCE: 3,
+            CURRENT_POSITION: 'Postdoctoral Researcher',
+            AWARDS: 'no',
+            GRANTS: 'yes',
+            PATENTS: 'no'
+        });
+    });
+});
@@ -0,0 +1,61 @@
+// Stands in for the Stripe API client (see stripe-client.js): answers like
+// Stripe without a network call and records what the app sent, so tests can
+// check the checkout sessions and refunds it asked for.
+//
+// invoicePaymentIntents maps an invoice ID to the payment intent that paid
+// it, for invoicePayments.list.
+function createStripeStub() {
+    const calls = {
+        sessions: [],
+        refunds: [],
+        canceledSubscriptions: [],
+        invoicePayments: []
+    };
+    const invoicePaymentIntents = {};
+
+    return {
+        calls,
+        invoicePaymentIntents,
+        checkout: {
+            sessions: {
+                async create(options) {
+                    calls.sessions.push(options);
+                    const id = `cs_test_stub${String(calls.sessions.length).padStart(4, '0')}`;
+                    return { id, url: `https://checkout.stripe.com/c/pay/${id}`, ...options };
+                }
+            }
+        },
+        refunds: {
+            async create(params, options = {}) {
+                calls.refunds.push({ params, options });
+                return {
+                    id: `re_test_stub${String(calls.refunds.length).padStart(4, '0')}`,
+                    amount: params.amount,
+                    status: 'succeeded'
+                };
+            }
+        },
+        invoicePayments: {
+            async list(params) {
+                calls.invoicePayments.push(params);
+                const paymentIntent = invoicePaymentIntents[params.invoice];
+                const data = paymentIntent ? [{
+                    id: `inpay_test_${params.invoice}`,
+                    object: 'invoice_payment',
+                    invoice: params.invoice,
+                    payment: { type: 'payment_intent', payment_intent: paymentIntent },
+                    status: 'paid'
+                }] : [];
+                return { object: 'list', data, has_more: false };
+            }
+        },
+        subscriptions: {
+            async cancel(id) {
+                calls.canceledSubscriptions.push(id);
+                return { id, status: 'canceled' };
+            }
+        }
+    };
+}
+
+module.exports = { createStripeStub };
@@ -0,0 +1,95 @@
+// Runs the app on a random port against an in-memory Postgres (the memory
+// driver in db-drivers.js), so HTTP tests exercise the real routes, middleware
+// and schema.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'memory';
+process.env.MAIL_TRANSPORT = 'outbox';
+process.env.MAIL_OUTBOX_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'niw-test-mail-'));
+// Webhook fixtures are signed with this secret (see stripe-webhook.test.js)
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_local_secret';
+
+// database.js logs every query; set TEST_VERBOSE=1 to see the server output
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+// options.stripe replaces the Stripe API client (see stripe-stub.js); without
+// it Stripe is not configured. The app is loaded once per test file, so only
+// the first call's options take effect.
+async function startTestServer(options = {}) {
+    if (options.stripe) {
+        require('../../stripe-client').useClient(options.stripe);
+    }
+    const db = require('../../database');
+    const app = require('../../server');
+    await db.initDatabase();
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // options: { body, token, cookie, headers }. body is sent as JSON, or as
+    // is when it is already a string. Redirects are returned, not followed.
+    async function request(method, url, options = {}) {
+        const headers = { ...options.headers };
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (options.token) {
+            headers['Authorization'] = `Bearer ${options.token}`;
+        }
+        if (options.cookie) {
+            headers['Cookie'] = options.cookie;
+        }
+
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers,
+            body: typeof options.body === 'string' ? options.body
+                : options.body !== undefined ? JSON.stringify(options.body) : undefined,
+            redirect: 'manual'
+        });
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            // Pages and redirects are not JSON
+        }
+
+        const setCookie = response.headers.getSetCookie()[0];
+        return {
+            status: response.status,
+            headers: response.headers,
+            body,
+            cookie: setCookie ? setCookie.split(';')[0] : null
+        };
+    }
+
+    // Register through the API; returns { email, token, cookie }.
+    // role makes the account staff (see staff-roles.js).
+    async function createUser(email, { paid = false, role = null, password = 'password123' } = {}) {
+        const response = await request('POST', '/api/register', { body: { email, password } });
+        if (paid) {
+            await db.run('UPDATE users SET paid = true WHERE email = $1', [email]);
+        }
+        if (role) {
+            await db.run('UPDATE users SET role = $1 WHERE email = $2', [role, email]);
+        }
+        return { email, token: response.body.token, cookie: response.cookie };
+    }
+
+    function close() {
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { db, baseUrl, request, createUser, close };
+}
+
+module.exports = { startTestServer };
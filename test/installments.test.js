@@ -0,0 +1,218 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+const { startTestServer } = require('./helpers/test-server');
+const { createStripeStub } = require('./helpers/stripe-stub');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'stripe', `${name}.json`), 'utf8'));
+}
+
+// A fixture as another delivery: a new event id, with changes to its object
+function withChanges(name, suffix, changes = {}) {
+    const event = loadFixture(name);
+    event.id += suffix;
+    Object.assign(event.data.object, changes);
+    return event;
+}
+
+describe('installment plans', () => {
+    // Invoices in the basil API versions do not carry their payment intent;
+    // the app lists the invoice's payments to find it
+    const stripe = createStripeStub();
+    Object.assign(stripe.invoicePaymentIntents, {
+        in_test_plan0001: 'pi_test_plan0001',
+        in_test_plan0002: 'pi_test_plan0002',
+        in_test_plan0003: 'pi_test_plan0003'
+    });
+    let server;
+    let user;
+    let admin;
+
+    function sendEvent(event) {
+        const payload = JSON.stringify(event);
+        const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+        return server.request('POST', '/api/stripe-webhook', {
+            body: payload,
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature }
+        });
+    }
+
+    async function getMe(account = user) {
+        const me = await server.request('GET', '/api/me', { token: account.token });
+        return me.body.user;
+    }
+
+    function getPlan() {
+        return server.db.get('SELECT * FROM payment_plans WHERE stripe_subscription_id = $1', ['sub_test_plan0001']);
+    }
+
+    before(async () => {
+        server = await startTestServer({ stripe });
+        user = await server.createUser('plan@example.com');
+        admin = await server.createUser('admin@example.com', { role: 'admin' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('are quoted for packages that have one', async () => {
+        const full = await server.request('POST', '/api/pricing/quote', { token: user.token, body: { packageType: 'full' } });
+        assert.strictEqual(full.status, 200);
+        assert.strictEqual(full.body.installmentQuotes.card.installmentTotalCents, 54899);
+        assert.strictEqual(full.body.installmentQuotes.ach.installmentTotalCents, 53350);
+
+        const formFilling = await server.request('POST', '/api/pricing/quote', { token: user.token, body: { packageType: 'form-filling' } });
+        assert.strictEqual(formFilling.body.installmentQuotes, null);
+    });
+
+    it('starts the plan on checkout without granting access', async () => {
+        await sendEvent(loadFixture('checkout.session.completed.installments'));
+
+        const plan = await getPlan();
+        assert.strictEqual(plan.user_email, 'plan@example.com');
+        assert.strictEqual(plan.installment_count, 3);
+        assert.strictEqual(plan.installments_paid, 0);
+        assert.strictEqual(plan.status, 'active');
+        assert.strictEqual((await getMe()).paid, false);
+    });
+
+    it('unlocks both surveys after the first installment', async () => {
+        await sendEvent(loadFixture('invoice.paid'));
+
+        const plan = await getPlan();
+        assert.strictEqual(plan.installments_paid, 1);
+        assert.ok(plan.next_payment_at);
+        const payment = await server.db.get('SELECT stripe_payment_intent_id FROM payments WHERE stripe_invoice_id = $1', ['in_test_plan0001']);
+        assert.strictEqual(payment.stripe_payment_intent_id, 'pi_test_plan0001');
+        assert.deepStrictEqual(stripe.calls.invoicePayments, [{ invoice: 'in_test_plan0001', status: 'paid' }]);
+
+        const me = await getMe();
+        assert.strictEqual(me.paid, true);
+        assert.strictEqual(me.packageType, 'full');
+        assert.strictEqual(me.installmentsOutstanding, true);
+
+        assert.strictEqual((await server.request('GET', '/survey/first', { token: user.token })).status, 200);
+        assert.strictEqual((await server.request('GET', '/survey/second', { token: user.token })).status, 200);
+        // Past the payment check to validation
+        assert.strictEqual((await server.request('POST', '/api/submit-survey', { token: user.token, body: {} })).status, 400);
+
+        const confirm = await server.request('GET', '/api/checkout/confirm?session_id=cs_test_plan0001', { token: user.token });
+        assert.strictEqual(confirm.body.status, 'completed');
+    });
+
+    it('holds back deliverables until the last installment', async () => {
+        const letter = await server.request('GET', '/api/admin/letters/plan@example.com', { token: admin.token });
+        assert.strictEqual(letter.status, 403);
+        const form = await server.request('GET', '/api/admin/forms/plan@example.com/i-140.pdf', { token: admin.token });
+        assert.strictEqual(form.status, 403);
+    });
+
+    it('suspends access while an installment is past due', async () => {
+        await sendEvent(loadFixture('invoice.payment_failed'));
+
+        assert.strictEqual((await getPlan()).status, 'past_due');
+        assert.strictEqual((await getMe()).paid, false);
+        assert.strictEqual((await server.request('GET', '/survey/first', { token: user.token })).status, 302);
+    });
+
+    it('restores access when the retry succeeds', async () => {
+        await sendEvent(withChanges('invoice.paid', '_retry', { id: 'in_test_plan0002', billing_reason: 'subscription_cycle' }));
+
+        const plan = await getPlan();
+        assert.strictEqual(plan.status, 'active');
+        assert.strictEqual(plan.installments_paid, 2);
+        assert.strictEqual((await getMe()).paid, true);
+    });
+
+    it('records each invoice once, by its own ID rather than a checkout session', async () => {
+        // Another event for an invoice already recorded
+        await sendEvent(withChanges('invoice.paid', '_again', { id: 'in_test_plan0002', billing_reason: 'subscription_cycle' }));
+        assert.strictEqual((await getPlan()).installments_paid, 2);
+
+        const installments = await server.db.all(
+            "SELECT stripe_session_id, stripe_invoice_id FROM payments WHERE user_email = 'plan@example.com' AND payment_type = 'installment' ORDER BY id"
+        );
+        assert.deepStrictEqual(installments.map(row => row.stripe_session_id), [null, null]);
+        assert.strictEqual(installments[1].stripe_invoice_id, 'in_test_plan0002');
+    });
+
+    it('releases everything once the last installment is paid', async () => {
+        await sendEvent(withChanges('invoice.paid', '_last', { id: 'in_test_plan0003', billing_reason: 'subscription_cycle' }));
+
+        const plan = await getPlan();
+        assert.strictEqual(plan.status, 'completed');
+        assert.strictEqual(plan.installments_paid, 3);
+        assert.strictEqual(plan.next_payment_at, null);
+
+        const me = await getMe();
+        assert.strictEqual(me.paid, true);
+        assert.strictEqual(me.installmentsOutstanding, false);
+        assert.strictEqual((await server.request('GET', '/survey/second', { token: user.token })).status, 200);
+
+        // Stripe ends the subscription; the plan stays completed
+        await sendEvent(loadFixture('customer.subscription.deleted'));
+        assert.strictEqual((await getPlan()).status, 'completed');
+
+        const payments = await server.request('GET', '/api/payments', { token: user.token });
+        assert.strictEqual(payments.body.payments.length, 3);
+        assert.strictEqual(payments.body.plans[0].status, 'completed');
+    });
+
+    it('refunds an installment and reacts to its refund and dispute events', async () => {
+        const installment = await server.db.get('SELECT id FROM payments WHERE stripe_invoice_id = $1', ['in_test_plan0001']);
+        const response = await server.request('POST', `/api/admin/payments/${installment.id}/refund`, {
+            token: admin.token,
+            body: { reason: 'Plan cancelled by the client' }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(stripe.calls.refunds[0].params.payment_intent, 'pi_test_plan0001');
+        assert.strictEqual(stripe.calls.refunds[0].params.amount, 54899);
+
+        await sendEvent(withChanges('charge.refunded', '_plan', {
+            payment_intent: 'pi_test_plan0001',
+            amount: 54899,
+            amount_captured: 54899,
+            amount_refunded: 54899
+        }));
+        const refunded = await server.db.get('SELECT status, amount_refunded_cents FROM payments WHERE id = $1', [installment.id]);
+        assert.deepStrictEqual(refunded, { status: 'refunded', amount_refunded_cents: 54899 });
+        assert.strictEqual((await getMe()).packageType, 'form-filling');
+
+        await sendEvent(withChanges('charge.dispute.created', '_plan', { payment_intent: 'pi_test_plan0002' }));
+        const disputed = await server.db.get('SELECT status FROM payments WHERE stripe_invoice_id = $1', ['in_test_plan0002']);
+        assert.strictEqual(disputed.status, 'disputed');
+        // The last installment alone still covers form filling
+        assert.strictEqual((await getMe()).packageType, 'form-filling');
+    });
+
+    it('keeps what a cancelled plan paid for', async () => {
+        const other = await server.createUser('other-plan@example.com');
+        const metadata = { ...loadFixture('invoice.paid').data.object.parent.subscription_details.metadata, email: other.email };
+        // With the invoice's payments included, nothing is asked of Stripe
+        await sendEvent(withChanges('invoice.paid', '_other', {
+            id: 'in_test_other0001',
+            parent: { type: 'subscription_details', subscription_details: { subscription: 'sub_test_other0001', metadata } },
+            payments: {
+                object: 'list',
+                data: [{ object: 'invoice_payment', payment: { type: 'payment_intent', payment_intent: 'pi_test_other0001' }, status: 'paid' }]
+            }
+        }));
+        const payment = await server.db.get('SELECT stripe_payment_intent_id FROM payments WHERE stripe_invoice_id = $1', ['in_test_other0001']);
+        assert.strictEqual(payment.stripe_payment_intent_id, 'pi_test_other0001');
+        assert.ok(!stripe.calls.invoicePayments.some(params => params.invoice === 'in_test_other0001'));
+        assert.strictEqual((await getMe(other)).installmentsOutstanding, true);
+
+        await sendEvent(withChanges('customer.subscription.deleted', '_other', { id: 'sub_test_other0001' }));
+
+        const plan = await server.db.get('SELECT status FROM payment_plans WHERE stripe_subscription_id = $1', ['sub_test_other0001']);
+        assert.strictEqual(plan.status, 'canceled');
+        const me = await getMe(other);
+        assert.strictEqual(me.paid, true);
+        assert.strictEqual(me.packageType, 'form-filling');
+        assert.strictEqual(me.installmentsOutstanding, false);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const invoices = require('../invoices');
+const pricing = require('../pricing');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('invoices', () => {
+    const catalog = pricing.loadCatalog();
+
+    it('itemize the price, coupon and fee up to the amount charged', () => {
+        const payment = {
+            package_type: 'full', payment_type: 'initial', payment_method: 'card',
+            amount_cents: 123523, base_price_cents: 159900, discount_cents: 39975, processing_fee_cents: 3598
+        };
+        const items = invoices.buildLineItems(catalog, payment, { couponCode: 'SPRING25' });
+        assert.deepStrictEqual(items, [
+            ['Full Package', 159900],
+            ['Coupon SPRING25', -39975],
+            ['3% processing fee', 3598]
+        ]);
+        assert.strictEqual(items.reduce((total, [, cents]) => total + cents, 0), payment.amount_cents);
+    });
+
+    describe('GET /api/payments/:id/invoice.pdf', () => {
+        let server;
+        let client;
+        let other;
+        let caseManager;
+        let admin;
+
+        async function addPayment(email, sessionId, status) {
+            const payment = await server.db.get(`
+                INSERT INTO payments (user_email, stripe_session_id, amount_cents, amount_dollars, package_type, payment_type, payment_method, base_price_cents, processing_fee_cents, status)
+                VALUES ($1, $2, 164697, 1646.97, 'full', 'initial', 'card', 159900, 4797, $3)
+                RETURNING id
+            `, [email, sessionId, status]);
+            return payment.id;
+        }
+
+        function download(user, id) {
+            return server.request('GET', `/api/payments/${id}/invoice.pdf`, { token: user.token });
+        }
+
+        before(async () => {
+            server = await startTestServer();
+            client = await server.createUser('client@example.com');
+            other = await server.createUser('other@example.com');
+            caseManager = await server.createUser('manager@example.com', { role: 'case-manager' });
+            admin = await server.createUser('admin@example.com', { role: 'admin' });
+        });
+
+        after(async () => {
+            await server.close();
+        });
+
+        it('gives the owner a PDF with the next invoice number, kept on later downloads', async () => {
+            const first = await addPayment(client.email, 'cs_test_invoice1', 'completed');
+            const second = await addPayment(client.email, 'cs_test_invoice2', 'partially_refunded');
+
+            const response = await download(client, second);
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+            assert.ok(response.body.startsWith('%PDF'));
+            assert.match(response.headers.get('content-disposition'), /invoice-INV-000001\.pdf/);
+
+            const next = await download(client, first);
+            assert.match(next.headers.get('content-disposition'), /invoice-INV-000002\.pdf/);
+            const again = await download(client, second);
+            assert.match(again.headers.get('content-disposition'), /invoice-INV-000001\.pdf/);
+
+            const payments = await server.request('GET', '/api/payments', { token: client.token });
+            const listed = payments.body.payments.find(payment => payment.id === second);
+            assert.strictEqual(listed.invoice_number, 'INV-000001');
+            assert.strictEqual(listed.has_invoice, true);
+        });
+
+        it('is 404 for other clients, staff without payment access and unknown payments', async () => {
+            const id = await addPayment(client.email, 'cs_test_invoice3', 'completed');
+            assert.strictEqual((await download(other, id)).status, 404);
+            assert.strictEqual((await download(caseManager, id)).status, 404);
+            assert.strictEqual((await download(client, 'abc')).status, 404);
+            assert.strictEqual((await server.request('GET', `/api/payments/${id}/invoice.pdf`)).status, 401);
+        });
+
+        it('lets an admin download a client invoice, recorded in the audit trail', async () => {
+            const id = await addPayment(client.email, 'cs_test_invoice4', 'completed');
+            const response = await download(admin, id);
+            assert.strictEqual(response.status, 200);
+
+            // The audit event is written once the response has gone out
+            await new Promise(resolve => setTimeout(resolve, 50));
+            const events = await server.db.all("SELECT * FROM audit_events WHERE action = 'invoice.export'");
+            assert.ok(events.some(event => event.actor_email === admin.email && event.target_email === client.email));
+            assert.ok(!events.some(event => event.actor_email === client.email));
+        });
+
+        it('has no invoice for a payment that has not gone through', async () => {
+            const id = await addPayment(client.email, 'cs_test_invoice5', 'processing');
+            assert.strictEqual((await download(client, id)).status, 409);
+        });
+    });
+});
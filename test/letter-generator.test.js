@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const letterGenerator = require('../letter-generator');
+const surveyMappings = require('../survey-mappings');
+
+// A submission that answers every placeholder its variant's mapping asks
+function answerEverything(variant) {
+    const responses = {};
+    Object.keys(surveyMappings.getMapping(variant)).forEach(key => {
+        responses[key] = `${key} answer`;
+    });
+    return responses;
+}
+
+describe('letter generator', () => {
+    for (const variant of ['full', 'simplified']) {
+        it(`leaves no placeholder unresolved for a complete ${variant} submission`, () => {
+            const letter = letterGenerator.generateLetter(answerEverything(variant));
+            assert.deepStrictEqual(letter.missingPlaceholders, []);
+            assert.doesNotMatch(letter.content, /\[[A-Z0-9_]+\]|\{\{/);
+        });
+    }
+
+    it('names the field of work from the education answers when no research field was asked', () => {
+        const responses = answerEverything('simplified');
+        assert.match(letterGenerator.generateLetter(responses).content, /work lies in EDU_FIELD answer/);
+
+        delete responses.EDU_FIELD;
+        assert.match(letterGenerator.generateLetter(responses).content, /expertise in EDU_MAJOR_1 answer/);
+
+        responses.RESEARCH_FIELD_PRIMARY = 'Computational Biology';
+        assert.match(letterGenerator.generateLetter(responses).content, /work lies in Computational Biology/);
+    });
+
+    it('reports placeholders that were not answered', () => {
+        const letter = letterGenerator.generateLetter({ PERSONAL_FULL_NAME: 'Ada Lovelace' });
+        assert.ok(letter.missingPlaceholders.includes('RESEARCH_FIELD_PRIMARY'));
+        assert.match(letter.content, /\[RESEARCH_FIELD_PRIMARY\]/);
+    });
+});
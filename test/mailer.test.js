@@ -0,0 +1,75 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mailer = require('../mailer');
+
+describe('mailer', () => {
+    const saved = {
+        NODE_ENV: process.env.NODE_ENV,
+        MAIL_TRANSPORT: process.env.MAIL_TRANSPORT,
+        MAIL_FROM: process.env.MAIL_FROM,
+        SENDGRID_API_KEY: process.env.SENDGRID_API_KEY
+    };
+    const fetch = global.fetch;
+
+    afterEach(() => {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+        global.fetch = fetch;
+    });
+
+    it('refuses to run in production without a transport that delivers', async () => {
+        process.env.NODE_ENV = 'production';
+        for (const transport of [undefined, 'console', 'outbox']) {
+            if (transport) {
+                process.env.MAIL_TRANSPORT = transport;
+            } else {
+                delete process.env.MAIL_TRANSPORT;
+            }
+            assert.throws(() => mailer.checkConfiguration(), /MAIL_TRANSPORT/, String(transport));
+            await assert.rejects(mailer.sendMail({ to: 'client@example.com', subject: 'Hi', text: 'token' }), /MAIL_TRANSPORT/);
+        }
+
+        process.env.MAIL_TRANSPORT = 'sendgrid';
+        assert.strictEqual(mailer.checkConfiguration().transport, 'sendgrid');
+    });
+
+    it('logs only the recipient and subject with the console transport', async () => {
+        process.env.MAIL_TRANSPORT = 'console';
+        const logged = [];
+        const log = console.log;
+        console.log = (...args) => logged.push(args.join(' '));
+        try {
+            await mailer.sendMail({ to: 'client@example.com', subject: 'Reset your password', text: 'https://example.com/account?reset=secret-token' });
+        } finally {
+            console.log = log;
+        }
+        assert.strictEqual(logged.length, 1);
+        assert.match(logged[0], /client@example\.com.*Reset your password/);
+        assert.doesNotMatch(logged[0], /secret-token/);
+    });
+
+    it('sends the sender name and address separately to SendGrid', async () => {
+        process.env.MAIL_TRANSPORT = 'sendgrid';
+        process.env.SENDGRID_API_KEY = 'SG.test';
+        const requests = [];
+        global.fetch = async (url, options) => {
+            requests.push(JSON.parse(options.body));
+            return new Response(null, { status: 202, headers: { 'x-message-id': 'msg_1' } });
+        };
+
+        delete process.env.MAIL_FROM;
+        await mailer.sendMail({ to: 'client@example.com', subject: 'Hi', text: 'Hello' });
+        process.env.MAIL_FROM = 'support@example.com';
+        await mailer.sendMail({ to: 'client@example.com', subject: 'Hi', text: 'Hello' });
+
+        assert.deepStrictEqual(requests.map(request => request.from), [
+            { name: 'TurboNIW', email: 'no-reply@turboniw.com' },
+            { email: 'support@example.com' }
+        ]);
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const databaseCleaner = require('../database-cleaner');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('maintenance endpoints', () => {
+    let server;
+    let client;
+    let caseManager;
+    let admin;
+    let otherAdmin;
+
+    before(async () => {
+        server = await startTestServer();
+        client = await server.createUser('client@example.com');
+        caseManager = await server.createUser('manager@example.com', { role: 'case-manager' });
+        admin = await server.createUser('admin@example.com', { role: 'admin' });
+        otherAdmin = await server.createUser('admin2@example.com', { role: 'admin' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    const ENDPOINTS = ['/api/clean-database', '/api/migrate-database', '/api/record-payment', '/api/update-user-payment'];
+
+    it('are 401 without a signed-in account', async () => {
+        for (const url of ENDPOINTS) {
+            const response = await server.request('POST', url, { body: { email: 'client@example.com', paid: true } });
+            assert.strictEqual(response.status, 401, url);
+        }
+    });
+
+    it('are 403 for clients and staff below admin', async () => {
+        for (const user of [client, caseManager]) {
+            for (const url of ENDPOINTS) {
+                const response = await server.request('POST', url, { token: user.token, body: { email: user.email, paid: true, reason: 'x' } });
+                assert.strictEqual(response.status, 403, `${user.email} ${url}`);
+            }
+        }
+        const me = await server.request('GET', '/api/me', { token: client.token });
+        assert.strictEqual(me.body.user.paid, false);
+    });
+
+    it('runs migrations for an admin', async () => {
+        const response = await server.request('POST', '/api/migrate-database', { token: admin.token });
+        assert.strictEqual(response.status, 200);
+    });
+
+    describe('POST /api/update-user-payment', () => {
+        it('requires a reason', async () => {
+            const response = await server.request('POST', '/api/update-user-payment', {
+                token: admin.token,
+                body: { email: 'client@example.com', paid: true, reason: '  ' }
+            });
+            assert.strictEqual(response.status, 400);
+        });
+
+        it('is 404 for an unknown account', async () => {
+            const response = await server.request('POST', '/api/update-user-payment', {
+                token: admin.token,
+                body: { email: 'nobody@example.com', paid: true, reason: 'Comped' }
+            });
+            assert.strictEqual(response.status, 404);
+        });
+
+        it('updates the user and records the reason in the payment history', async () => {
+            const response = await server.request('POST', '/api/update-user-payment', {
+                token: admin.token,
+                body: { email: 'client@example.com', paid: true, packageType: 'full', reason: 'Paid by wire transfer' }
+            });
+            assert.strictEqual(response.status, 200);
+
+            const me = await server.request('GET', '/api/me', { token: client.token });
+            assert.strictEqual(me.body.user.paid, true);
+
+            const payment = await server.db.get('SELECT * FROM payments WHERE user_email = $1', ['client@example.com']);
+            assert.strictEqual(payment.payment_type, 'manual_adjustment');
+            assert.strictEqual(payment.status, 'completed');
+            assert.strictEqual(payment.amount_cents, 0);
+            assert.strictEqual(payment.note, 'Paid by wire transfer');
+            assert.strictEqual(payment.recorded_by, 'admin@example.com');
+        });
+    });
+
+    describe('POST /api/record-payment', () => {
+        it('validates the payment', async () => {
+            const response = await server.request('POST', '/api/record-payment', {
+                token: admin.token,
+                body: { user_email: 'client@example.com', amount_cents: '100' }
+            });
+            assert.strictEqual(response.status, 400);
+        });
+
+        it('rejects an unknown package or payment type without recording it', async () => {
+            const payment = {
+                user_email: 'client@example.com',
+                stripe_session_id: 'cs_test_manual_unknown',
+                amount_cents: 99900,
+                package_type: 'full',
+                payment_type: 'initial'
+            };
+            for (const body of [{ ...payment, package_type: 'premium' }, { ...payment, payment_type: 'full' }, { ...payment, payment_type: 'manual_adjustment' }]) {
+                const response = await server.request('POST', '/api/record-payment', { token: admin.token, body });
+                assert.strictEqual(response.status, 400, JSON.stringify(body));
+            }
+            assert.strictEqual(await server.db.get('SELECT * FROM payments WHERE stripe_session_id = $1', ['cs_test_manual_unknown']), null);
+        });
+
+        it('records who entered the payment', async () => {
+            const response = await server.request('POST', '/api/record-payment', {
+                token: admin.token,
+                body: {
+                    user_email: 'client@example.com',
+                    stripe_session_id: 'cs_test_manual',
+                    amount_cents: 99900,
+                    package_type: 'full',
+                    payment_type: 'initial'
+                }
+            });
+            assert.strictEqual(response.status, 200);
+
+            const payment = await server.db.get('SELECT * FROM payments WHERE stripe_session_id = $1', ['cs_test_manual']);
+            assert.strictEqual(payment.recorded_by, 'admin@example.com');
+            assert.strictEqual(payment.amount_dollars, 999);
+        });
+    });
+
+    describe('POST /api/clean-database', () => {
+        it('is refused in production, before any confirmation', async () => {
+            const nodeEnv = process.env.NODE_ENV;
+            process.env.NODE_ENV = 'production';
+            try {
+                const response = await server.request('POST', '/api/clean-database', { token: admin.token, body: {} });
+                assert.strictEqual(response.status, 403);
+                assert.strictEqual(response.body.confirmation_token, undefined);
+            } finally {
+                process.env.NODE_ENV = nodeEnv;
+            }
+        });
+
+        it('rejects a confirmation token issued to another admin or made up', async () => {
+            const first = await server.request('POST', '/api/clean-database', { token: admin.token, body: {} });
+            assert.strictEqual(first.status, 428);
+            assert.ok(first.body.confirmation_token);
+
+            const otherAdminUse = await server.request('POST', '/api/clean-database', {
+                token: otherAdmin.token,
+                body: { confirmation_token: first.body.confirmation_token }
+            });
+            assert.strictEqual(otherAdminUse.status, 400);
+
+            const madeUp = await server.request('POST', '/api/clean-database', {
+                token: admin.token,
+                body: { confirmation_token: 'not-a-token' }
+            });
+            assert.strictEqual(madeUp.status, 400);
+
+            const users = await server.db.get('SELECT COUNT(*) AS count FROM users');
+            assert.strictEqual(Number(users.count), 4);
+        });
+
+        it('deletes everything but the audit trail once confirmed', async () => {
+            // A row in every table that references users, so the order of the deletes matters
+            await server.db.run("INSERT INTO survey_responses (id, user_email, responses) VALUES ('legacy-1', $1, '{}')", [client.email]);
+            await server.db.run("INSERT INTO survey_drafts (id, user_email, survey_type, responses) VALUES ('draft-clean', $1, 'first', '{}')", [client.email]);
+            await server.db.run(`
+                INSERT INTO payment_plans (user_email, package_type, stripe_subscription_id, installment_count, installment_amount_cents)
+                VALUES ($1, 'full', 'sub_clean', 3, 54899)
+            `, [client.email]);
+            const payment = await server.db.get(`
+                INSERT INTO payments (user_email, stripe_session_id, amount_cents, amount_dollars, package_type, payment_type, status)
+                VALUES ($1, 'cs_test_clean', 54899, 548.99, 'full', 'installment', 'completed') RETURNING id
+            `, [client.email]);
+            await server.db.run("INSERT INTO invoices (sequence, invoice_number, payment_id) VALUES (9001, 'INV-CLEAN', $1)", [payment.id]);
+
+            const first = await server.request('POST', '/api/clean-database', { token: admin.token, body: {} });
+            const confirmed = await server.request('POST', '/api/clean-database', {
+                token: admin.token,
+                body: { confirmation_token: first.body.confirmation_token }
+            });
+            assert.strictEqual(confirmed.status, 200);
+
+            for (const table of databaseCleaner.CLEANED_TABLES) {
+                const rows = await server.db.get(`SELECT COUNT(*) AS count FROM ${table}`);
+                assert.strictEqual(Number(rows.count), 0, table);
+            }
+
+            const events = await server.db.get("SELECT COUNT(*) AS count FROM audit_events WHERE action = 'payment.update'");
+            assert.ok(Number(events.count) > 0);
+        });
+    });
+});
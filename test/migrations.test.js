@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const migrator = require('../migrator');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('schema migrations', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    async function tableExists(name) {
+        const row = await server.db.get(
+            "SELECT COUNT(*) AS count FROM information_schema.tables WHERE table_name = $1",
+            [name]
+        );
+        return Number(row.count) > 0;
+    }
+
+    it('are numbered without gaps or duplicates', () => {
+        const migrations = migrator.loadMigrations();
+        migrations.forEach((migration, index) => {
+            assert.strictEqual(migration.version, index + 1, migrator.formatMigration(migration));
+        });
+    });
+
+    it('are all applied when the server starts', async () => {
+        const status = await migrator.getStatus(server.db);
+        assert.ok(status.length > 0);
+        assert.ok(status.every(migration => migration.applied && !migration.missing));
+        assert.deepStrictEqual(await migrator.migrate(server.db), []);
+    });
+
+    it('roll back the newest migrations and apply them again', async () => {
+        // Scratch migrations numbered after the real ones. (pg-mem keeps a
+        // dropped table's primary key index, so real tables cannot be recreated.)
+        const scratch = [1, 2].map(step => ({
+            version: 900 + step,
+            name: `scratch_${step}`,
+            up: db => db.query(`CREATE TABLE IF NOT EXISTS migration_scratch_${step} (value TEXT)`),
+            down: db => db.query(`DROP TABLE IF EXISTS migration_scratch_${step}`)
+        }));
+        const migrations = [...migrator.loadMigrations(), ...scratch];
+
+        const applied = await migrator.migrate(server.db, { migrations, to: 901 });
+        assert.deepStrictEqual(applied.map(migrator.formatMigration), ['901_scratch_1']);
+        assert.deepStrictEqual(
+            (await migrator.migrate(server.db, { migrations })).map(migrator.formatMigration),
+            ['902_scratch_2']
+        );
+        assert.strictEqual(await tableExists('migration_scratch_2'), true);
+
+        const rolledBack = await migrator.rollback(server.db, { migrations, steps: 2 });
+        assert.deepStrictEqual(rolledBack.map(migrator.formatMigration), ['902_scratch_2', '901_scratch_1']);
+        assert.strictEqual(await tableExists('migration_scratch_1'), false);
+        assert.strictEqual(await tableExists('migration_scratch_2'), false);
+        const status = await migrator.getStatus(server.db, migrations);
+        assert.deepStrictEqual(status.filter(migration => !migration.applied).map(migration => migration.version), [901, 902]);
+    });
+
+    it('report applied migrations whose file is gone and refuse to roll them back', async () => {
+        await server.db.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'removed')");
+        try {
+            const removed = (await migrator.getStatus(server.db)).pop();
+            assert.strictEqual(removed.version, 999);
+            assert.strictEqual(removed.applied, true);
+            assert.strictEqual(removed.missing, true);
+            await assert.rejects(migrator.rollback(server.db), /file is missing/);
+        } finally {
+            await server.db.run('DELETE FROM schema_migrations WHERE version = 999');
+        }
+    });
+
+    it('reject a rollback of zero steps', async () => {
+        await assert.rejects(migrator.rollback(server.db, { steps: 0 }), /positive whole number/);
+    });
+
+    it('create the survey tables clients clear their own data from', async () => {
+        const user = await server.createUser('migrated@example.com');
+        await server.db.run(`
+            INSERT INTO evaluation_responses (email, name, education, publications, citations, research_field, work_experience, current_position, awards, grants, patents, evaluation_score)
+            VALUES ($1, 'Client', 'PhD', 3, 40, 'Biology', 5, 'Researcher', '', '', '', 50)
+        `, [user.email]);
+        await server.db.run(
+            "INSERT INTO second_survey_responses (id, user_email, responses) VALUES ($1, $2, '{}')",
+            ['second-migrated', user.email]
+        );
+
+        const response = await server.request('POST', '/api/clear-my-data', { token: user.token });
+        assert.strictEqual(response.status, 200);
+        const evaluation = await server.db.get('SELECT COUNT(*) AS count FROM evaluation_responses WHERE email = $1', [user.email]);
+        const secondSurvey = await server.db.get('SELECT COUNT(*) AS count FROM second_survey_responses WHERE user_email = $1', [user.email]);
+        assert.strictEqual(Number(evaluation.count), 0);
+        assert.strictEqual(Number(secondSurvey.count), 0);
+    });
+});
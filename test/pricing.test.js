@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const pricing = require('../pricing');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('pricing', () => {
+    const catalog = pricing.loadCatalog();
+
+    describe('getQuote', () => {
+        it('adds the card fee to the package price', () => {
+            const quote = pricing.getQuote(catalog, { packageType: 'full', paymentMethod: 'card' });
+            assert.strictEqual(quote.paymentType, 'initial');
+            assert.strictEqual(quote.basePriceCents, 159900);
+            assert.strictEqual(quote.processingFeeCents, 4797);
+            assert.strictEqual(quote.totalCents, 164697);
+        });
+
+        it('charges the difference for an upgrade', () => {
+            const quote = pricing.getQuote(catalog, { packageType: 'full', ownedPackage: 'form-filling', paymentMethod: 'ach' });
+            assert.strictEqual(quote.paymentType, 'upgrade');
+            assert.strictEqual(quote.productName, 'Upgrade to Full Package');
+            assert.strictEqual(quote.basePriceCents, 130000);
+            assert.strictEqual(quote.totalCents, 130050);
+        });
+
+        it('takes the coupon off before the fee', () => {
+            const quote = pricing.getQuote(catalog, { packageType: 'full', paymentMethod: 'card', coupon: { code: 'SPRING25', percent_off: 25 } });
+            assert.strictEqual(quote.discountCents, 39975);
+            assert.strictEqual(quote.processingFeeCents, 3598);
+            assert.strictEqual(quote.totalCents, 123523);
+            assert.strictEqual(quote.couponCode, 'SPRING25');
+        });
+
+        it('refuses purchases that are not possible', () => {
+            assert.ok(pricing.getQuote(catalog, { packageType: 'gold' }).error);
+            assert.ok(pricing.getQuote(catalog, { packageType: 'full', paymentMethod: 'cash' }).error);
+            assert.ok(pricing.getQuote(catalog, { packageType: 'full', ownedPackage: 'full' }).error);
+            assert.ok(pricing.getQuote(catalog, { packageType: 'form-filling', ownedPackage: 'full' }).error);
+            assert.ok(pricing.getQuote(catalog, { packageType: 'full', paymentMethod: 'card', coupon: { code: 'FREE', percent_off: 100 } }).error);
+        });
+
+        it('recognizes upgrades in sessions without a payment type', () => {
+            assert.strictEqual(pricing.inferPaymentType(catalog, 'full', 130000), 'upgrade');
+            assert.strictEqual(pricing.inferPaymentType(catalog, 'full', 159900), 'initial');
+        });
+    });
+
+    describe('getInstallmentQuote', () => {
+        it('splits the price and charges the fee on each installment', () => {
+            const quote = pricing.getInstallmentQuote(catalog, { packageType: 'full', paymentMethod: 'card' });
+            assert.strictEqual(quote.paymentType, 'installment');
+            assert.strictEqual(quote.installmentCount, 3);
+            assert.strictEqual(quote.installmentBaseCents, 53300);
+            assert.strictEqual(quote.installmentFeeCents, 1599);
+            assert.strictEqual(quote.installmentTotalCents, 54899);
+            assert.strictEqual(quote.totalCents, 164697);
+        });
+
+        it('only offers packages with a plan, and not for upgrades', () => {
+            assert.ok(pricing.getInstallmentQuote(catalog, { packageType: 'form-filling', paymentMethod: 'card' }).error);
+            assert.ok(pricing.getInstallmentQuote(catalog, { packageType: 'full', ownedPackage: 'form-filling', paymentMethod: 'card' }).error);
+        });
+    });
+
+    describe('coupons', () => {
+        let server;
+        let client;
+        let referrer;
+        let caseManager;
+        let admin;
+
+        function createCoupon(body, user = admin) {
+            return server.request('POST', '/api/admin/coupons', { token: user.token, body });
+        }
+
+        function quote(body, user = client) {
+            return server.request('POST', '/api/pricing/quote', { token: user.token, body });
+        }
+
+        before(async () => {
+            server = await startTestServer();
+            client = await server.createUser('client@example.com');
+            referrer = await server.createUser('referrer@example.com');
+            caseManager = await server.createUser('manager@example.com', { role: 'case-manager' });
+            admin = await server.createUser('admin@example.com', { role: 'admin' });
+        });
+
+        after(async () => {
+            await server.close();
+        });
+
+        it('publishes the catalog, cheapest package first', async () => {
+            const response = await server.request('GET', '/api/pricing');
+            assert.deepStrictEqual(response.body.pricing.packages.map(pkg => pkg.type), ['form-filling', 'full']);
+            assert.strictEqual(response.body.pricing.upgrades['form-filling'].full.price_cents, 130000);
+        });
+
+        it('are created by admins only', async () => {
+            const refused = await createCoupon({ code: 'spring25', percent_off: 25 }, caseManager);
+            assert.strictEqual(refused.status, 403);
+
+            const response = await createCoupon({ code: 'spring25', percent_off: 25, max_redemptions: 1 });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.coupon.code, 'SPRING25');
+
+            const duplicate = await createCoupon({ code: 'SPRING25', amount_off_cents: 1000 });
+            assert.strictEqual(duplicate.status, 409);
+        });
+
+        it('are validated', async () => {
+            const invalid = [
+                { code: 'x', percent_off: 10 },
+                { code: 'BOTH', percent_off: 10, amount_off_cents: 1000 },
+                { code: 'TOOMUCH', percent_off: 150 },
+                { code: 'NOPKG', percent_off: 10, packages: ['gold'] },
+                { code: 'FRIEND', kind: 'referral', percent_off: 10 },
+                { code: 'LATER', percent_off: 10, expires_at: 'someday' }
+            ];
+            for (const body of invalid) {
+                const response = await createCoupon(body);
+                assert.strictEqual(response.status, 400, body.code);
+            }
+        });
+
+        it('are applied to quotes for every payment method', async () => {
+            const response = await quote({ packageType: 'full', couponCode: ' spring25 ' });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.quotes.card.totalCents, 123523);
+            assert.strictEqual(response.body.quotes.ach.totalCents, 119975);
+        });
+
+        it('are refused once used up', async () => {
+            await server.db.run(`
+                INSERT INTO payments (user_email, stripe_session_id, amount_cents, amount_dollars, package_type, payment_type, coupon_code, discount_cents, status)
+                VALUES ($1, 'cs_test_coupon', 123523, 1235.23, 'full', 'initial', 'SPRING25', 39975, 'completed')
+            `, [referrer.email]);
+
+            const response = await quote({ packageType: 'full', couponCode: 'SPRING25' });
+            assert.strictEqual(response.status, 400);
+            assert.match(response.body.error, /used up/);
+
+            const list = await server.request('GET', '/api/admin/coupons', { token: admin.token });
+            assert.strictEqual(list.body.coupons.find(coupon => coupon.code === 'SPRING25').redemptions, 1);
+        });
+
+        it('are refused when expired, for other packages or deactivated', async () => {
+            await createCoupon({ code: 'OLD', percent_off: 10, expires_at: '2020-01-01' });
+            await createCoupon({ code: 'FORMS', amount_off_cents: 5000, packages: ['form-filling'] });
+            await createCoupon({ code: 'GONE', percent_off: 10 });
+            const deactivated = await server.request('POST', '/api/admin/coupons/gone/deactivate', { token: admin.token });
+            assert.strictEqual(deactivated.body.coupon.active, false);
+
+            for (const couponCode of ['OLD', 'FORMS', 'GONE', 'NOSUCHCODE']) {
+                const response = await quote({ packageType: 'full', couponCode });
+                assert.strictEqual(response.status, 400, couponCode);
+            }
+            const forms = await quote({ packageType: 'form-filling', couponCode: 'FORMS' });
+            assert.strictEqual(forms.body.quotes.ach.totalCents, 24950);
+        });
+
+        it('do not let referrers use their own referral code', async () => {
+            const created = await createCoupon({ code: 'REF-JANE', kind: 'referral', referrer_email: referrer.email, percent_off: 10 });
+            assert.strictEqual(created.status, 200);
+
+            const own = await quote({ packageType: 'full', couponCode: 'REF-JANE' }, referrer);
+            assert.strictEqual(own.status, 400);
+
+            const friend = await quote({ packageType: 'full', couponCode: 'REF-JANE' });
+            assert.strictEqual(friend.status, 200);
+        });
+
+        it('match the referrer whatever the case of the email', async () => {
+            const created = await createCoupon({ code: 'REF-JANE-CASE', kind: 'referral', referrer_email: referrer.email.toUpperCase(), percent_off: 10 });
+            assert.strictEqual(created.status, 200);
+            assert.strictEqual(created.body.coupon.referrer_email, referrer.email);
+
+            const own = await quote({ packageType: 'full', couponCode: 'REF-JANE-CASE' }, referrer);
+            assert.strictEqual(own.status, 400);
+
+            // Coupons stored before referrer emails were lowercased
+            await server.db.run('UPDATE coupons SET referrer_email = $1 WHERE code = $2', [referrer.email.toUpperCase(), 'REF-JANE-CASE']);
+            const stored = await quote({ packageType: 'full', couponCode: 'REF-JANE-CASE' }, referrer);
+            assert.strictEqual(stored.status, 400);
+        });
+
+        it('price an upgrade from the package already paid for', async () => {
+            await server.db.run("UPDATE users SET paid = TRUE, package_type = 'form-filling' WHERE email = $1", [client.email]);
+
+            const response = await quote({ packageType: 'full' });
+            assert.strictEqual(response.body.quotes.card.paymentType, 'upgrade');
+            assert.strictEqual(response.body.quotes.card.basePriceCents, 130000);
+
+            const same = await quote({ packageType: 'form-filling' });
+            assert.strictEqual(same.status, 400);
+        });
+    });
+});
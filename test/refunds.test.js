@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('POST /api/admin/payments/:id/refund', () => {
+    let server;
+    let client;
+    let caseManager;
+    let admin;
+    let paymentId;
+
+    function refund(user, id, body) {
+        return server.request('POST', `/api/admin/payments/${id}/refund`, { token: user.token, body });
+    }
+
+    async function addPayment(sessionId, status, paymentIntent) {
+        const payment = await server.db.get(`
+            INSERT INTO payments (user_email, stripe_session_id, stripe_payment_intent_id, amount_cents, amount_dollars, package_type, payment_type, status, amount_refunded_cents)
+            VALUES ($1, $2, $3, 164697, 1646.97, 'full', 'initial', $4, 4797)
+            RETURNING id
+        `, [client.email, sessionId, paymentIntent, status]);
+        return payment.id;
+    }
+
+    before(async () => {
+        server = await startTestServer();
+        client = await server.createUser('client@example.com');
+        caseManager = await server.createUser('manager@example.com', { role: 'case-manager' });
+        admin = await server.createUser('admin@example.com', { role: 'admin' });
+        paymentId = await addPayment('cs_test_refund', 'partially_refunded', 'pi_test_refund');
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('is for admins only', async () => {
+        for (const user of [client, caseManager]) {
+            const response = await refund(user, paymentId, { reason: 'Requested' });
+            assert.strictEqual(response.status, 403, user.email);
+        }
+    });
+
+    it('requires a reason', async () => {
+        const response = await refund(admin, paymentId, { reason: ' ' });
+        assert.strictEqual(response.status, 400);
+    });
+
+    it('is 404 for an unknown payment', async () => {
+        for (const id of ['999', 'abc']) {
+            const response = await refund(admin, id, { reason: 'Requested' });
+            assert.strictEqual(response.status, 404, id);
+        }
+    });
+
+    it('refuses payments that were not made through Stripe or are not paid', async () => {
+        const manual = await addPayment('manual-refund', 'completed', null);
+        const failed = await addPayment('cs_test_refund_failed', 'failed', 'pi_test_refund_failed');
+        for (const id of [manual, failed]) {
+            const response = await refund(admin, id, { reason: 'Requested' });
+            assert.strictEqual(response.status, 400, String(id));
+        }
+    });
+
+    it('refuses more than is left to refund', async () => {
+        for (const amount of [159901, 0, '100']) {
+            const response = await refund(admin, paymentId, { reason: 'Requested', amount_cents: amount });
+            assert.strictEqual(response.status, 400, String(amount));
+        }
+    });
+
+    it('records the attempt against the client', async () => {
+        const response = await refund(admin, paymentId, { reason: 'Requested', amount_cents: 1000 });
+        // No Stripe key in the test environment
+        assert.strictEqual(response.status, 500);
+
+        let event;
+        for (let attempt = 0; attempt < 50 && !event; attempt++) {
+            event = await server.db.get("SELECT * FROM audit_events WHERE action = 'payment.refund' AND actor_email = $1 AND status_code = 500", [admin.email]);
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.ok(event);
+        assert.strictEqual(event.target_email, 'client@example.com');
+    });
+});
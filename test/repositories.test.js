@@ -0,0 +1,176 @@
+// The repositories run against the in-memory driver directly, without the
+// HTTP server in front of them
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'memory';
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+}
+
+const db = require('../database');
+const surveyRevisions = require('../survey-revisions');
+const clientData = require('../client-data');
+const users = require('../repositories/users');
+const surveys = require('../repositories/surveys');
+const payments = require('../repositories/payments');
+const evaluations = require('../repositories/evaluations');
+
+describe('repositories', () => {
+    before(async () => {
+        await db.initDatabase();
+    });
+
+    describe('users', () => {
+        it('creates, verifies and finds an account', async () => {
+            await users.create(db, 'repo-user@example.com', 'hash');
+            assert.strictEqual((await users.findByEmail(db, 'repo-user@example.com')).email_verified, false);
+
+            await users.markEmailVerified(db, 'repo-user@example.com');
+            const user = await users.findByEmail(db, 'repo-user@example.com');
+            assert.strictEqual(user.email_verified, true);
+            assert.ok(user.email_verified_at);
+            assert.strictEqual(await users.findByEmail(db, 'nobody@example.com'), null);
+        });
+
+        it('sets and clears staff roles', async () => {
+            await users.create(db, 'repo-staff@example.com', 'hash');
+            assert.deepStrictEqual(await users.setRole(db, 'repo-staff@example.com', 'support'), { email: 'repo-staff@example.com', role: 'support' });
+            assert.ok((await users.listStaff(db)).some(staff => staff.email === 'repo-staff@example.com'));
+
+            await users.setRole(db, 'repo-staff@example.com', null);
+            assert.ok(!(await users.listStaff(db)).some(staff => staff.email === 'repo-staff@example.com'));
+            assert.ok(!await users.setRole(db, 'nobody@example.com', 'admin'));
+        });
+
+        it('lists accounts with their survey status', async () => {
+            await users.create(db, 'repo-surveyed@example.com', 'hash');
+            await surveyRevisions.createRevision(db, 'first', 'repo-surveyed@example.com', { name: 'Ada' });
+
+            const listed = await users.listWithSurveyStatus(db);
+            const surveyed = listed.find(user => user.email === 'repo-surveyed@example.com');
+            assert.strictEqual(surveyed.first_survey_completed, true);
+            assert.strictEqual(surveyed.second_survey_completed, false);
+            assert.strictEqual(surveyed.evaluation_completed, false);
+        });
+    });
+
+    describe('surveys', () => {
+        it('saves, replaces and deletes drafts', async () => {
+            const email = 'repo-drafts@example.com';
+            await users.create(db, email, 'hash');
+
+            await surveys.saveDraft(db, email, 'first', { responses: { q1: 'a' }, currentSection: 1, updatedAt: new Date() });
+            await surveys.saveDraft(db, email, 'first', { responses: { q1: 'b' }, currentSection: 2, updatedAt: new Date() });
+            await surveys.saveDraft(db, email, 'second', { responses: {}, currentSection: 0, updatedAt: new Date() });
+
+            const draft = surveys.formatDraft(await surveys.getDraft(db, email, 'first'));
+            assert.deepStrictEqual(draft.responses, { q1: 'b' });
+            assert.strictEqual(draft.current_section, 2);
+
+            assert.strictEqual(await surveys.deleteDrafts(db, email, 'first'), 1);
+            assert.strictEqual(await surveys.getDraft(db, email, 'first'), null);
+            assert.strictEqual(await surveys.deleteDrafts(db, email), 1);
+            assert.strictEqual(surveys.formatDraft(await surveys.getDraft(db, email, 'second')), null);
+        });
+
+        it('numbers revisions saved at the same moment in turn, leaving one current', async () => {
+            const email = 'repo-concurrent@example.com';
+            await users.create(db, email, 'hash');
+            await surveyRevisions.createRevision(db, 'first', email, { '1': 'draft' });
+
+            const saved = await Promise.all([
+                surveyRevisions.createRevision(db, 'first', email, { '1': 'autosave' }),
+                surveyRevisions.createRevision(db, 'first', email, { '1': 'submit' })
+            ]);
+            assert.deepStrictEqual(saved.map(revision => revision.revision).sort(), [2, 3]);
+
+            const revisions = await surveyRevisions.listRevisions(db, 'first', email);
+            assert.deepStrictEqual(revisions.map(revision => [revision.revision, revision.is_current]), [[3, true], [2, false], [1, false]]);
+        });
+
+        it('deletes every revision of a submission', async () => {
+            const email = 'repo-revisions@example.com';
+            await users.create(db, email, 'hash');
+            await surveyRevisions.createRevision(db, 'second', email, { '1': 'yes' });
+            await surveyRevisions.createRevision(db, 'second', email, { '1': 'no' });
+
+            assert.strictEqual(await surveys.hasSubmission(db, 'second', email), true);
+            assert.strictEqual(await surveys.deleteSubmissions(db, 'second', email), 2);
+            assert.strictEqual(await surveys.hasSubmission(db, 'second', email), false);
+        });
+    });
+
+    describe('payments', () => {
+        it('records manual payments and adjustments in the history', async () => {
+            const email = 'repo-payments@example.com';
+            await users.create(db, email, 'hash');
+
+            await payments.recordManual(db, {
+                user_email: email,
+                stripe_session_id: 'cs_repo_manual',
+                amount_cents: 50000,
+                package_type: 'full',
+                payment_type: 'full'
+            }, 'admin@example.com');
+            await payments.recordAdjustment(db, { email, packageType: 'full', paid: false, reason: 'Chargeback' }, 'admin@example.com');
+
+            const history = await payments.listHistory(db, email);
+            assert.deepStrictEqual(history.map(payment => payment.status).sort(), ['completed', 'revoked']);
+
+            const manual = await payments.findBySession(db, 'cs_repo_manual', email);
+            assert.deepStrictEqual(manual, { status: 'completed', package_type: 'full' });
+            assert.strictEqual(await payments.findBySession(db, 'cs_repo_manual', 'other@example.com'), null);
+
+            const { id } = history.find(payment => payment.status === 'completed');
+            assert.strictEqual((await payments.findById(db, String(id))).recorded_by, 'admin@example.com');
+        });
+
+        it('only finds payments by a whole-number id', async () => {
+            assert.strictEqual(await payments.findById(db, '0x10'), null);
+            assert.strictEqual(await payments.findById(db, '1; DROP TABLE payments'), null);
+        });
+    });
+
+    describe('evaluations', () => {
+        it('stores an evaluation for any email and deletes it', async () => {
+            const email = 'repo-evaluation@example.com';
+            await evaluations.create(db, {
+                email,
+                name: 'Ada',
+                education: 'phd',
+                publications: '12',
+                citations: '300',
+                research_field: 'Physics',
+                work_experience: '6',
+                current_position: 'Researcher',
+                awards: 'none',
+                grants: 'none',
+                patents: 'none'
+            }, { score: 70, recommendations: ['Publish more', 'Get letters'] });
+
+            assert.strictEqual(await evaluations.hasEvaluation(db, email), true);
+            assert.strictEqual(await evaluations.deleteForEmail(db, email), 1);
+            assert.strictEqual(await evaluations.hasEvaluation(db, email), false);
+        });
+    });
+
+    describe('client data', () => {
+        it('loads a client and exports them as CSV', async () => {
+            const email = 'repo-client@example.com';
+            await users.create(db, email, 'hash');
+            await surveyRevisions.createRevision(db, 'first', email, { full_name: 'Ada "A" Lovelace' });
+
+            const data = await clientData.loadClientData(db, email);
+            assert.strictEqual(data.user.email, email);
+            assert.strictEqual(data.second_survey, null);
+            assert.deepStrictEqual(data.payments, []);
+            assert.strictEqual(await clientData.loadClientData(db, 'nobody@example.com'), null);
+
+            const csv = clientData.toCSV(data);
+            assert.ok(csv.includes('"Ada ""A"" Lovelace"'));
+            assert.strictEqual(clientData.toBulkCSV([data]).split('\n')[0].split(',')[0], '"User_Email"');
+        });
+    });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('staff roles', () => {
+    let server;
+    let client;
+    let viewer;
+    let caseManager;
+    let admin;
+
+    before(async () => {
+        server = await startTestServer();
+        client = await server.createUser('client@example.com', { paid: true });
+        viewer = await server.createUser('viewer@example.com', { role: 'viewer' });
+        caseManager = await server.createUser('manager@example.com', { role: 'case-manager' });
+        admin = await server.createUser('admin@example.com', { role: 'admin' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('admin API', () => {
+        it('is 401 without a signed-in account, whatever key is passed', async () => {
+            for (const url of ['/api/admin/users', '/api/admin/users?key=xie123']) {
+                const response = await server.request('GET', url);
+                assert.strictEqual(response.status, 401);
+            }
+        });
+
+        it('is 403 for clients', async () => {
+            const response = await server.request('GET', '/api/admin/users', { token: client.token });
+            assert.strictEqual(response.status, 403);
+        });
+
+        it('lets a viewer read but not export, edit or manage staff', async () => {
+            const users = await server.request('GET', '/api/admin/users', { token: viewer.token });
+            assert.strictEqual(users.status, 200);
+            assert.ok(users.body.some(user => user.email === 'client@example.com'));
+
+            const bulk = await server.request('POST', '/api/admin/bulk-download', {
+                token: viewer.token,
+                body: { emails: ['client@example.com'], format: 'json' }
+            });
+            assert.strictEqual(bulk.status, 403);
+
+            const clear = await server.request('POST', '/api/admin/clear-user-data', {
+                token: viewer.token,
+                body: { email: 'client@example.com' }
+            });
+            assert.strictEqual(clear.status, 403);
+
+            const staff = await server.request('GET', '/api/admin/staff', { token: viewer.token });
+            assert.strictEqual(staff.status, 403);
+        });
+
+        it('lets a case manager export but not manage staff', async () => {
+            const bulk = await server.request('POST', '/api/admin/bulk-download', {
+                token: caseManager.token,
+                body: { emails: ['client@example.com'], format: 'json' }
+            });
+            assert.strictEqual(bulk.status, 200);
+
+            const staff = await server.request('POST', '/api/admin/staff', {
+                token: caseManager.token,
+                body: { email: 'client@example.com', role: 'admin' }
+            });
+            assert.strictEqual(staff.status, 403);
+        });
+
+        it('accepts the session cookie from login', async () => {
+            const login = await server.request('POST', '/api/login', { body: { email: 'viewer@example.com', password: 'password123' } });
+            const response = await server.request('GET', '/api/admin/users', { cookie: login.cookie });
+            assert.strictEqual(response.status, 200);
+        });
+    });
+
+    describe('managing staff', () => {
+        it('lists staff for an admin', async () => {
+            const response = await server.request('GET', '/api/admin/staff', { token: admin.token });
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(
+                response.body.staff.map(member => [member.email, member.role]),
+                [['admin@example.com', 'admin'], ['manager@example.com', 'case-manager'], ['viewer@example.com', 'viewer']]
+            );
+        });
+
+        it('grants and removes a role, taking effect on the next request', async () => {
+            const grant = await server.request('POST', '/api/admin/staff', {
+                token: admin.token,
+                body: { email: 'client@example.com', role: 'viewer' }
+            });
+            assert.strictEqual(grant.status, 200);
+            assert.strictEqual((await server.request('GET', '/api/admin/users', { token: client.token })).status, 200);
+
+            const me = await server.request('GET', '/api/me', { token: client.token });
+            assert.strictEqual(me.body.user.role, 'viewer');
+
+            const remove = await server.request('POST', '/api/admin/staff', {
+                token: admin.token,
+                body: { email: 'client@example.com', role: null }
+            });
+            assert.strictEqual(remove.status, 200);
+            assert.strictEqual((await server.request('GET', '/api/admin/users', { token: client.token })).status, 403);
+        });
+
+        it('rejects unknown roles, unknown accounts and changing your own role', async () => {
+            const badRole = await server.request('POST', '/api/admin/staff', {
+                token: admin.token,
+                body: { email: 'client@example.com', role: 'superuser' }
+            });
+            assert.strictEqual(badRole.status, 400);
+
+            const unknown = await server.request('POST', '/api/admin/staff', {
+                token: admin.token,
+                body: { email: 'nobody@example.com', role: 'viewer' }
+            });
+            assert.strictEqual(unknown.status, 404);
+
+            const self = await server.request('POST', '/api/admin/staff', {
+                token: admin.token,
+                body: { email: 'admin@example.com', role: null }
+            });
+            assert.strictEqual(self.status, 400);
+        });
+    });
+
+    describe('staff pages', () => {
+        it('send visitors without a staff account to sign in', async () => {
+            for (const url of ['/data-management', '/data-management?key=xie123', '/api-docs', '/first-survey?password=sanqi2025niw', '/second-survey']) {
+                const response = await server.request('GET', url);
+                assert.strictEqual(response.status, 302, url);
+                assert.strictEqual(response.headers.get('location'), '/account', url);
+            }
+        });
+
+        it('cannot be fetched as static files', async () => {
+            for (const [file, route] of [['/data-management.html', '/data-management'], ['/api-docs.html', '/api-docs']]) {
+                const response = await server.request('GET', file);
+                assert.strictEqual(response.status, 302);
+                assert.strictEqual(response.headers.get('location'), route);
+            }
+        });
+
+        it('are served to staff signed in with a session', async () => {
+            const login = await server.request('POST', '/api/login', { body: { email: 'viewer@example.com', password: 'password123' } });
+            for (const url of ['/data-management', '/api-docs', '/first-survey', '/second-survey']) {
+                const response = await server.request('GET', url, { cookie: login.cookie });
+                assert.strictEqual(response.status, 200, url);
+                assert.doesNotMatch(response.body, /xie123/);
+            }
+        });
+    });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const stripeSandbox = require('../stripe-sandbox');
+const { startTestServer } = require('./helpers/test-server');
+
+describe('Stripe sandbox', () => {
+    const stripe = stripeSandbox.createSandbox({ webhookSecret: process.env.STRIPE_WEBHOOK_SECRET });
+    let server;
+    let admin;
+
+    // Start a checkout as the account page does; returns the session ID
+    async function checkout(user, body) {
+        const response = await server.request('POST', '/api/create-checkout-session', {
+            token: user.token,
+            body,
+            headers: { Origin: server.baseUrl }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.url, `/stripe-sandbox/checkout/${response.body.sessionId}`);
+        return response.body.sessionId;
+    }
+
+    // Press an outcome button on the mock checkout page
+    function complete(sessionId, outcome) {
+        return server.request('POST', `/stripe-sandbox/checkout/${sessionId}`, { body: { outcome } });
+    }
+
+    async function getStatus(user, sessionId) {
+        const response = await server.request('GET', `/api/checkout/confirm?session_id=${sessionId}`, { token: user.token });
+        return { status: response.body.status, paid: response.body.user.paid };
+    }
+
+    function getPayment(sessionId) {
+        return server.db.get('SELECT * FROM payments WHERE stripe_session_id = $1', [sessionId]);
+    }
+
+    before(async () => {
+        server = await startTestServer({ stripe });
+        admin = await server.createUser('admin@example.com', { role: 'admin' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('is refused in production', () => {
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+        try {
+            assert.throws(() => stripeSandbox.createSandbox(), /production/);
+        } finally {
+            process.env.NODE_ENV = nodeEnv;
+        }
+    });
+
+    describe('card checkout', () => {
+        it('shows the mock checkout page with the card outcomes', async () => {
+            const user = await server.createUser('sandbox-page@example.com');
+            const sessionId = await checkout(user, { packageType: 'full' });
+
+            const page = await server.request('GET', `/stripe-sandbox/checkout/${sessionId}`);
+            assert.strictEqual(page.status, 200);
+            assert.match(page.body, /Full Package/);
+            assert.match(page.body, /1646\.97 USD/);
+            assert.deepStrictEqual([...page.body.matchAll(/name="outcome" value="(\w+)"/g)].map(match => match[1]), ['paid', 'failed', 'refunded']);
+
+            const list = await server.request('GET', '/stripe-sandbox');
+            assert.ok(list.body.includes(sessionId));
+        });
+
+        it('pays and returns to the account page', async () => {
+            const user = await server.createUser('sandbox-card@example.com');
+            const sessionId = await checkout(user, { packageType: 'full' });
+
+            const response = await complete(sessionId, 'paid');
+            assert.strictEqual(response.status, 303);
+            assert.strictEqual(response.headers.get('location'), `${server.baseUrl}/account?success=1&session_id=${sessionId}`);
+
+            assert.deepStrictEqual(await getStatus(user, sessionId), { status: 'completed', paid: true });
+            const payment = await getPayment(sessionId);
+            assert.strictEqual(payment.amount_cents, 164697);
+            assert.match(payment.stripe_payment_intent_id, /^pi_sandbox_/);
+        });
+
+        it('records a failed payment without granting access', async () => {
+            const user = await server.createUser('sandbox-failed@example.com');
+            const sessionId = await checkout(user, { packageType: 'full' });
+
+            await complete(sessionId, 'failed');
+            assert.deepStrictEqual(await getStatus(user, sessionId), { status: 'failed', paid: false });
+        });
+
+        it('pays and refunds in full', async () => {
+            const user = await server.createUser('sandbox-refunded@example.com');
+            const sessionId = await checkout(user, { packageType: 'form-filling' });
+
+            await complete(sessionId, 'refunded');
+            const payment = await getPayment(sessionId);
+            assert.strictEqual(payment.status, 'refunded');
+            assert.strictEqual(payment.amount_refunded_cents, payment.amount_cents);
+            assert.strictEqual((await getStatus(user, sessionId)).paid, false);
+        });
+
+        it('delivers its events to this server whatever Host the browser sends', async () => {
+            const user = await server.createUser('sandbox-host@example.com');
+            const sessionId = await checkout(user, { packageType: 'full' });
+
+            // fetch replaces a Host header with the URL's, so send it with http
+            const status = await new Promise((resolve, reject) => {
+                const body = JSON.stringify({ outcome: 'paid' });
+                const request = http.request(`${server.baseUrl}/stripe-sandbox/checkout/${sessionId}`, {
+                    method: 'POST',
+                    headers: { Host: 'attacker.example', 'Content-Type': 'application/json' }
+                }, response => {
+                    response.resume();
+                    resolve(response.statusCode);
+                });
+                request.on('error', reject);
+                request.end(body);
+            });
+            assert.strictEqual(status, 303);
+            assert.strictEqual((await getPayment(sessionId)).status, 'completed');
+            assert.deepStrictEqual(await getStatus(user, sessionId), { status: 'completed', paid: true });
+        });
+
+        it('refuses an outcome the session cannot have, and unknown sessions', async () => {
+            const user = await server.createUser('sandbox-invalid@example.com');
+            const sessionId = await checkout(user, { packageType: 'full' });
+
+            assert.strictEqual((await complete(sessionId, 'processing')).status, 400);
+            await complete(sessionId, 'paid');
+            assert.strictEqual((await complete(sessionId, 'paid')).status, 400);
+            assert.strictEqual((await complete('cs_test_sandbox_unknown', 'paid')).status, 404);
+        });
+    });
+
+    describe('ACH checkout', () => {
+        it('stays processing until the bank payment clears', async () => {
+            const user = await server.createUser('sandbox-ach@example.com');
+            const sessionId = await checkout(user, { packageType: 'full', paymentMethod: 'ach' });
+
+            await complete(sessionId, 'processing');
+            assert.deepStrictEqual(await getStatus(user, sessionId), { status: 'processing', paid: false });
+
+            const page = await server.request('GET', `/stripe-sandbox/checkout/${sessionId}`);
+            assert.match(page.body, /Bank payment clears/);
+
+            await complete(sessionId, 'paid');
+            assert.deepStrictEqual(await getStatus(user, sessionId), { status: 'completed', paid: true });
+        });
+
+        it('records a bank payment that fails after processing', async () => {
+            const user = await server.createUser('sandbox-ach-failed@example.com');
+            const sessionId = await checkout(user, { packageType: 'full', paymentMethod: 'ach' });
+
+            await complete(sessionId, 'processing');
+            await complete(sessionId, 'failed');
+            assert.deepStrictEqual(await getStatus(user, sessionId), { status: 'failed', paid: false });
+        });
+    });
+
+    it('upgrades a paid package', async () => {
+        const user = await server.createUser('sandbox-upgrade@example.com');
+        await complete(await checkout(user, { packageType: 'form-filling' }), 'paid');
+
+        const sessionId = await checkout(user, { packageType: 'full' });
+        await complete(sessionId, 'paid');
+
+        assert.strictEqual((await getPayment(sessionId)).payment_type, 'upgrade');
+        const me = await server.request('GET', '/api/me', { token: user.token });
+        assert.strictEqual(me.body.user.packageType, 'full');
+    });
+
+    it('delivers the refund an admin asks for', async () => {
+        const user = await server.createUser('sandbox-admin-refund@example.com');
+        const sessionId = await checkout(user, { packageType: 'full' });
+        await complete(sessionId, 'paid');
+        const payment = await getPayment(sessionId);
+
+        const response = await server.request('POST', `/api/admin/payments/${payment.id}/refund`, {
+            token: admin.token,
+            body: { reason: 'Goodwill', amount_cents: 10000 }
+        });
+        assert.strictEqual(response.status, 200);
+        await stripe.sandbox.idle();
+
+        const refunded = await getPayment(sessionId);
+        assert.strictEqual(refunded.status, 'partially_refunded');
+        assert.strictEqual(refunded.amount_refunded_cents, 10000);
+
+        // More than is left to refund is refused as Stripe would
+        await assert.rejects(
+            stripe.refunds.create({ payment_intent: payment.stripe_payment_intent_id, amount: payment.amount_cents }),
+            { type: 'StripeInvalidRequestError' }
+        );
+    });
+
+    it('pays an installment plan off and ends the subscription', async () => {
+        const user = await server.createUser('sandbox-plan@example.com');
+        const sessionId = await checkout(user, { packageType: 'full', installments: true });
+
+        await complete(sessionId, 'paid');
+        const plan = await server.db.get('SELECT * FROM payment_plans WHERE stripe_session_id = $1', [sessionId]);
+        assert.strictEqual(plan.installments_paid, 1);
+        assert.strictEqual(plan.status, 'active');
+        const getPlan = () => server.db.get('SELECT status, installments_paid FROM payment_plans WHERE id = $1', [plan.id]);
+        assert.strictEqual((await getStatus(user, sessionId)).status, 'completed');
+
+        await complete(sessionId, 'failed');
+        assert.deepStrictEqual(await getPlan(), { status: 'past_due', installments_paid: 1 });
+
+        for (let installment = 2; installment <= 3; installment++) {
+            assert.strictEqual((await complete(sessionId, 'paid')).status, 303);
+        }
+        assert.deepStrictEqual(await getPlan(), { status: 'completed', installments_paid: 3 });
+        assert.strictEqual(stripe.sandbox.getSession(sessionId).state, 'canceled');
+
+        // Found through the invoices' payments, so installments can be refunded
+        const installments = await server.db.all("SELECT stripe_payment_intent_id FROM payments WHERE payment_plan_id = $1 AND status = 'completed'", [plan.id]);
+        assert.strictEqual(installments.length, 3);
+        installments.forEach(installment => assert.match(installment.stripe_payment_intent_id, /^pi_sandbox_/));
+
+        const me = await server.request('GET', '/api/me', { token: user.token });
+        assert.strictEqual(me.body.user.paid, true);
+    });
+});
@@ -0,0 +1,240 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+const { startTestServer } = require('./helpers/test-server');
+
+// Stripe-format event payloads, signed with the test server's webhook secret
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'stripe', `${name}.json`), 'utf8'));
+}
+
+describe('Stripe webhook', () => {
+    let server;
+    let card;
+    let ach;
+
+    function sendEvent(event, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+        const payload = JSON.stringify(event);
+        const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+        return server.request('POST', '/api/stripe-webhook', {
+            body: payload,
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature }
+        });
+    }
+
+    async function getPaid(user) {
+        const me = await server.request('GET', '/api/me', { token: user.token });
+        return me.body.user.paid;
+    }
+
+    function getPayment(sessionId) {
+        return server.db.get('SELECT * FROM payments WHERE stripe_session_id = $1', [sessionId]);
+    }
+
+    before(async () => {
+        server = await startTestServer();
+        card = await server.createUser('card@example.com');
+        ach = await server.createUser('ach@example.com');
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('signature', () => {
+        it('rejects a payload signed with another secret', async () => {
+            const response = await sendEvent(loadFixture('checkout.session.completed.card'), 'whsec_someone_else');
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(await getPaid(card), false);
+        });
+
+        it('rejects an unsigned payload', async () => {
+            const response = await server.request('POST', '/api/stripe-webhook', { body: loadFixture('checkout.session.completed.card') });
+            assert.strictEqual(response.status, 400);
+        });
+
+        it('rejects a payload changed after signing', async () => {
+            const event = loadFixture('checkout.session.completed.card');
+            const payload = JSON.stringify(event);
+            const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+            const response = await server.request('POST', '/api/stripe-webhook', {
+                body: payload.replace('card@example.com', 'ach@example.com'),
+                headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature }
+            });
+            assert.strictEqual(response.status, 400);
+        });
+    });
+
+    describe('card payment', () => {
+        it('records the payment and marks the user paid on checkout.session.completed', async () => {
+            const response = await sendEvent(loadFixture('checkout.session.completed.card'));
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.duplicate, false);
+
+            const payment = await getPayment('cs_test_card0001');
+            assert.strictEqual(payment.status, 'completed');
+            assert.strictEqual(payment.amount_cents, 164697);
+            assert.strictEqual(payment.stripe_payment_intent_id, 'pi_test_card0001');
+            assert.strictEqual(await getPaid(card), true);
+        });
+
+        it('applies a redelivered event only once', async () => {
+            const response = await sendEvent(loadFixture('checkout.session.completed.card'));
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.duplicate, true);
+
+            const payments = await server.db.all('SELECT id FROM payments WHERE user_email = $1', ['card@example.com']);
+            assert.strictEqual(payments.length, 1);
+        });
+
+        it('is reported by /api/checkout/confirm to its owner only', async () => {
+            const own = await server.request('GET', '/api/checkout/confirm?session_id=cs_test_card0001', { token: card.token });
+            assert.strictEqual(own.body.status, 'completed');
+            assert.strictEqual(own.body.paid, true);
+            assert.strictEqual(own.body.token, undefined);
+
+            const other = await server.request('GET', '/api/checkout/confirm?session_id=cs_test_card0001', { token: ach.token });
+            assert.strictEqual(other.body.status, 'pending');
+            assert.strictEqual(other.body.paid, false);
+
+            const anonymous = await server.request('GET', '/api/checkout/confirm?session_id=cs_test_card0001');
+            assert.strictEqual(anonymous.status, 401);
+        });
+
+        it('removes access on a full refund', async () => {
+            await sendEvent(loadFixture('charge.refunded'));
+
+            const payment = await getPayment('cs_test_card0001');
+            assert.strictEqual(payment.status, 'refunded');
+            assert.strictEqual(payment.amount_refunded_cents, 164697);
+            assert.strictEqual(await getPaid(card), false);
+        });
+
+        it('marks the payment disputed on charge.dispute.created', async () => {
+            await sendEvent(loadFixture('charge.dispute.created'));
+
+            const payment = await getPayment('cs_test_card0001');
+            assert.strictEqual(payment.status, 'disputed');
+            assert.strictEqual(await getPaid(card), false);
+        });
+    });
+
+    describe('partial refunds', () => {
+        let user;
+
+        // The card fixtures, for another user and payment
+        function withPayment(name, suffix, changes = {}) {
+            const event = loadFixture(name);
+            event.id += `_partial${suffix}`;
+            Object.assign(event.data.object, { payment_intent: 'pi_test_partial' }, changes);
+            return event;
+        }
+
+        async function getMe() {
+            const me = await server.request('GET', '/api/me', { token: user.token });
+            return me.body.user;
+        }
+
+        before(async () => {
+            user = await server.createUser('partial@example.com');
+            await sendEvent(withPayment('checkout.session.completed.card', '', { id: 'cs_test_partial', client_reference_id: user.email }));
+        });
+
+        it('keeps the package while the net amount still covers its price', async () => {
+            // The 3% card fee (4797) back
+            await sendEvent(withPayment('charge.refunded', '1', { refunded: false, amount_refunded: 4797 }));
+
+            const payment = await getPayment('cs_test_partial');
+            assert.strictEqual(payment.status, 'partially_refunded');
+            assert.strictEqual(payment.amount_refunded_cents, 4797);
+            const me = await getMe();
+            assert.strictEqual(me.paid, true);
+            assert.strictEqual(me.packageType, 'full');
+        });
+
+        it('downgrades to the package the net amount covers', async () => {
+            await sendEvent(withPayment('charge.refunded', '2', { refunded: false, amount_refunded: 104797 }));
+
+            const me = await getMe();
+            assert.strictEqual(me.paid, true);
+            assert.strictEqual(me.packageType, 'form-filling');
+        });
+
+        it('removes access once the net amount covers no package', async () => {
+            await sendEvent(withPayment('charge.refunded', '3', { refunded: false, amount_refunded: 144797 }));
+
+            assert.strictEqual((await getPayment('cs_test_partial')).status, 'partially_refunded');
+            assert.strictEqual((await getMe()).paid, false);
+
+            const payments = await server.request('GET', '/api/payments', { token: user.token });
+            assert.strictEqual(payments.body.payments[0].amount_refunded_cents, 144797);
+        });
+    });
+
+    it('counts a coupon discount as paid', async () => {
+        const user = await server.createUser('coupon@example.com');
+        const event = loadFixture('checkout.session.completed.card');
+        event.id += '_coupon';
+        Object.assign(event.data.object, { id: 'cs_test_coupon', payment_intent: 'pi_test_coupon', client_reference_id: user.email, amount_total: 123523 });
+        Object.assign(event.data.object.metadata, { coupon_code: 'SPRING25', discount: '39975', processing_fee: '3598' });
+        await sendEvent(event);
+
+        const payment = await getPayment('cs_test_coupon');
+        assert.strictEqual(payment.coupon_code, 'SPRING25');
+        assert.strictEqual(payment.discount_cents, 39975);
+        const me = await server.request('GET', '/api/me', { token: user.token });
+        assert.strictEqual(me.body.user.paid, true);
+        assert.strictEqual(me.body.user.packageType, 'full');
+    });
+
+    describe('ACH payment', () => {
+        it('keeps the user unpaid while the bank payment is processing', async () => {
+            await sendEvent(loadFixture('checkout.session.completed.ach'));
+
+            const payment = await getPayment('cs_test_ach0001');
+            assert.strictEqual(payment.status, 'processing');
+            assert.strictEqual(payment.payment_method, 'ach');
+            assert.strictEqual(await getPaid(ach), false);
+
+            const confirm = await server.request('GET', '/api/checkout/confirm?session_id=cs_test_ach0001', { token: ach.token });
+            assert.strictEqual(confirm.body.status, 'processing');
+            assert.strictEqual(confirm.body.paid, false);
+        });
+
+        it('marks the user paid once the payment succeeds', async () => {
+            await sendEvent(loadFixture('checkout.session.async_payment_succeeded'));
+
+            assert.strictEqual((await getPayment('cs_test_ach0001')).status, 'completed');
+            assert.strictEqual(await getPaid(ach), true);
+        });
+
+        it('ignores a failure that arrives after the success', async () => {
+            await sendEvent(loadFixture('checkout.session.async_payment_failed'));
+
+            assert.strictEqual((await getPayment('cs_test_ach0001')).status, 'completed');
+            assert.strictEqual(await getPaid(ach), true);
+        });
+
+        it('records a failed bank payment without granting access', async () => {
+            const user = await server.createUser('failed-ach@example.com');
+            for (const name of ['checkout.session.completed.ach', 'checkout.session.async_payment_failed']) {
+                const event = loadFixture(name);
+                event.id += '_failed';
+                event.data.object.id = 'cs_test_ach_failed';
+                event.data.object.payment_intent = 'pi_test_ach_failed';
+                event.data.object.client_reference_id = user.email;
+                await sendEvent(event);
+            }
+
+            assert.strictEqual((await getPayment('cs_test_ach_failed')).status, 'failed');
+            assert.strictEqual(await getPaid(user), false);
+        });
+    });
+
+    it('acknowledges event types it does not handle', async () => {
+        const response = await sendEvent({ id: 'evt_unhandled', object: 'event', type: 'customer.created', data: { object: { id: 'cus_1' } } });
+        assert.strictEqual(response.status, 200);
+    });
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const eligibilityScoring = require('../eligibility-scoring');
+const surveyRenderer = require('../survey-renderer');
+const { formDataToObject } = require('../public/survey-form-data');
+const { startTestServer } = require('./helpers/test-server');
+
+// A valid answer for every required field of a survey's sections
+function buildAnswers(sections) {
+    const answers = {};
+    sections.flatMap(section => section.fields).filter(field => field.required).forEach(field => {
+        const option = field.options && field.options[0];
+        const optionValue = typeof option === 'string' ? option : option && option.value;
+        if (field.type === 'dropdown') {
+            answers[field.name] = optionValue;
+        } else if (field.type === 'checkbox') {
+            answers[field.name] = [optionValue];
+        } else if (field.type === 'date') {
+            answers[field.name] = '2020-01-15';
+        } else if (field.type === 'number') {
+            answers[field.name] = '5';
+        } else if (field.type === 'email') {
+            answers[field.name] = 'applicant@example.com';
+        } else if (field.type === 'tel') {
+            answers[field.name] = '415-555-0100';
+        } else if (/_STATE$/.test(field.name)) {
+            answers[field.name] = 'CA';
+        } else if (/_ZIP$/.test(field.name)) {
+            answers[field.name] = '94105';
+        } else {
+            answers[field.name] = `Answer to ${field.name}`;
+        }
+    });
+    return answers;
+}
+
+const STRONG_EVALUATION = {
+    email: 'evaluation@example.com',
+    name: 'Ada Lovelace',
+    education: 'phd',
+    publications: '25',
+    citations: '800',
+    research_field: 'yes',
+    work_experience: '8',
+    current_position: 'research_scientist',
+    awards: 'yes',
+    grants: 'yes',
+    patents: 'yes',
+    timeline: 'immediate'
+};
+
+describe('surveys', () => {
+    let server;
+    let client;
+
+    before(async () => {
+        server = await startTestServer();
+        client = await server.createUser('surveys@example.com', { paid: true });
+        await server.db.run("UPDATE users SET package_type = 'full' WHERE email = $1", [client.email]);
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    describe('POST /api/submit-first-survey', () => {
+        const answers = buildAnswers(surveyRenderer.getFirstSurveySections());
+
+        it('stores the answers and replaces the draft', async () => {
+            await server.request('PUT', '/api/survey-drafts/first', { token: client.token, body: { responses: { partial: true } } });
+
+            const response = await server.request('POST', '/api/submit-first-survey', { token: client.token, body: { ...answers, currentSection: 3 } });
+            assert.strictEqual(response.status, 200, JSON.stringify(response.body.errors));
+            assert.strictEqual(response.body.revision, 1);
+
+            const stored = await server.db.get('SELECT responses FROM first_survey_responses WHERE id = $1', [response.body.responseId]);
+            assert.deepStrictEqual(stored.responses, answers);
+            const draft = await server.request('GET', '/api/survey-drafts/first', { token: client.token });
+            assert.strictEqual(draft.body.draft, null);
+        });
+
+        it('adds a revision when resubmitted', async () => {
+            const response = await server.request('POST', '/api/submit-first-survey', { token: client.token, body: answers });
+            assert.strictEqual(response.body.revision, 2);
+        });
+
+        it('keeps every box checked in a checkbox group, as the page posts them', async () => {
+            const field = surveyRenderer.getFirstSurveySections().flatMap(section => section.fields).find(candidate => candidate.type === 'checkbox');
+            const [first, second] = field.options.map(option => (typeof option === 'string' ? option : option.value));
+
+            // The page's FormData: the group's name ends in "[]", one entry per checked box
+            const formData = new FormData();
+            Object.entries(answers).filter(([name]) => name !== field.name).forEach(([name, value]) => formData.append(name, value));
+            formData.append(`${field.name}[]`, first);
+            formData.append(`${field.name}[]`, second);
+
+            const response = await server.request('POST', '/api/submit-first-survey', { token: client.token, body: formDataToObject(formData) });
+            assert.strictEqual(response.status, 200, JSON.stringify(response.body.errors));
+            const stored = await server.db.get('SELECT responses FROM first_survey_responses WHERE id = $1', [response.body.responseId]);
+            assert.deepStrictEqual(stored.responses[`${field.name}[]`], [first, second]);
+        });
+
+        it('lists each invalid field', async () => {
+            const field = Object.keys(answers)[0];
+            const response = await server.request('POST', '/api/submit-first-survey', { token: client.token, body: { ...answers, [field]: '', Q999_unknown: 'x' } });
+            assert.strictEqual(response.status, 400);
+            assert.deepStrictEqual(response.body.errors.map(error => [error.field, error.code]).sort(), [
+                [field, 'required'],
+                ['Q999_unknown', 'unknown_field']
+            ].sort());
+        });
+    });
+
+    describe('POST /api/submit-survey', () => {
+        for (const variant of ['simplified', 'full']) {
+            it(`stores the ${variant} survey with its mapping version`, async () => {
+                const answers = buildAnswers(surveyRenderer.getSecondSurveySections(variant));
+                const response = await server.request('POST', '/api/submit-survey', {
+                    token: client.token,
+                    body: { ...answers, survey_variant: variant }
+                });
+                assert.strictEqual(response.status, 200, JSON.stringify(response.body.errors));
+                assert.strictEqual(response.body.surveyVariant, variant);
+                assert.ok(response.body.mappingVersion);
+
+                const stored = await server.db.get('SELECT survey_variant, responses FROM second_survey_responses WHERE id = $1', [response.body.responseId]);
+                assert.strictEqual(stored.survey_variant, variant);
+                assert.deepStrictEqual(stored.responses, answers);
+            });
+        }
+
+        it('rejects answers that break a field\'s format', async () => {
+            const answers = buildAnswers(surveyRenderer.getSecondSurveySections('simplified'));
+            const response = await server.request('POST', '/api/submit-survey', {
+                token: client.token,
+                body: { ...answers, PERSONAL_STATE: 'Narnia', survey_variant: 'simplified' }
+            });
+            assert.strictEqual(response.status, 400);
+            assert.deepStrictEqual(response.body.errors.map(error => error.field), ['PERSONAL_STATE']);
+        });
+
+        it('is 403 for an unpaid user', async () => {
+            const unpaid = await server.createUser('unpaid-survey@example.com');
+            const response = await server.request('POST', '/api/submit-survey', { token: unpaid.token, body: {} });
+            assert.strictEqual(response.status, 403);
+            assert.strictEqual(response.body.error, 'Payment required');
+        });
+    });
+
+    describe('POST /api/submit-evaluation', () => {
+        it('scores the answers with the questionnaire rules and stores them', async () => {
+            const expected = eligibilityScoring.scoreEvaluation(eligibilityScoring.fromEvaluationForm(STRONG_EVALUATION));
+
+            const response = await server.request('POST', '/api/submit-evaluation', { body: STRONG_EVALUATION });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.score, expected.score);
+            assert.strictEqual(response.body.max_score, expected.max_score);
+            assert.deepStrictEqual(response.body.prongs, expected.prongs);
+
+            const stored = await server.db.get('SELECT evaluation_score, publications FROM evaluation_responses WHERE email = $1', [STRONG_EVALUATION.email]);
+            assert.strictEqual(stored.evaluation_score, expected.score);
+            assert.strictEqual(stored.publications, 25);
+        });
+
+        it('scores a weaker profile lower, with recommendations', async () => {
+            const strong = await server.request('POST', '/api/submit-evaluation', { body: STRONG_EVALUATION });
+            const weak = await server.request('POST', '/api/submit-evaluation', {
+                body: {
+                    ...STRONG_EVALUATION,
+                    email: 'weak-evaluation@example.com',
+                    education: 'bachelors',
+                    publications: '0',
+                    citations: '0',
+                    research_field: 'no',
+                    work_experience: '1',
+                    current_position: 'student',
+                    awards: 'no',
+                    grants: 'no',
+                    patents: 'no'
+                }
+            });
+            assert.ok(weak.body.score < strong.body.score);
+            assert.ok(weak.body.recommendations.length > 0);
+        });
+
+        it('requires every field of the form', async () => {
+            const { citations, ...incomplete } = STRONG_EVALUATION;
+            const response = await server.request('POST', '/api/submit-evaluation', { body: incomplete });
+            assert.strictEqual(response.status, 400);
+        });
+    });
+
+    it('GET /api/my-data reports what the user has on file', async () => {
+        const response = await server.request('GET', '/api/my-data', { token: client.token });
+        assert.deepStrictEqual(response.body, { success: true, first_survey: true, second_survey: true, evaluation: false });
+
+        const fresh = await server.createUser('no-data@example.com');
+        const empty = await server.request('GET', '/api/my-data', { token: fresh.token });
+        assert.deepStrictEqual(empty.body, { success: true, first_survey: false, second_survey: false, evaluation: false });
+    });
+});
@@ -0,0 +1,64 @@
+// JWT issuing and persistent revocation
+//
+// Every token carries a jti (unique id) and ver (the user's token_version at
+// issue time). Logging out stores the jti in revoked_tokens until the token
+// would have expired anyway; "log out all sessions" bumps users.token_version,
+// which invalidates every older token of that user at once.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+const TOKEN_LIFETIME = '7d';
+
+async function getTokenVersion(db, email) {
+    const user = await db.get('SELECT token_version FROM users WHERE email = $1', [email]);
+    return user ? Number(user.token_version || 0) : null;
+}
+
+// claims: { email, paid, packageType }
+async function signUserToken(db, secret, claims) {
+    const version = await getTokenVersion(db, claims.email);
+    return jwt.sign({ ...claims, ver: version || 0 }, secret, { expiresIn: TOKEN_LIFETIME, jwtid: uuidv4() });
+}
+
+// Tokens issued before they carried a jti are identified by their hash
+function getTokenId(token, decoded) {
+    return decoded.jti || crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// decoded: the verified payload of token
+async function isRevoked(db, token, decoded) {
+    const revoked = await db.get('SELECT jti FROM revoked_tokens WHERE jti = $1', [getTokenId(token, decoded)]);
+    if (revoked) {
+        return true;
+    }
+    const version = await getTokenVersion(db, decoded.email);
+    return version === null || Number(decoded.ver || 0) < version;
+}
+
+async function revokeToken(db, token, decoded) {
+    await db.run(
+        `INSERT INTO revoked_tokens (jti, user_email, expires_at) VALUES ($1, $2, $3)
+         ON CONFLICT (jti) DO NOTHING`,
+        [getTokenId(token, decoded), decoded.email, new Date(decoded.exp * 1000)]
+    );
+}
+
+// Log out every session of a user
+async function revokeAllForUser(db, email) {
+    await db.run('UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE email = $1', [email]);
+}
+
+// Revocations of tokens that have expired on their own are no longer needed
+async function pruneRevokedTokens(db) {
+    const result = await db.run('DELETE FROM revoked_tokens WHERE expires_at < $1', [new Date()]);
+    return result.changes;
+}
+
+module.exports = {
+    signUserToken,
+    isRevoked,
+    revokeToken,
+    revokeAllForUser,
+    pruneRevokedTokens
+};